@@ -0,0 +1,9 @@
+-- Migration: Track the stored file of each batch upload item
+-- Items are uploaded to storage while the batch is processed; confirming an
+-- item turns it into a sheet, which needs the same file fields as a normal upload.
+
+ALTER TABLE batch_upload_items ADD COLUMN IF NOT EXISTS storage_key TEXT;
+ALTER TABLE batch_upload_items ADD COLUMN IF NOT EXISTS file_size BIGINT;
+ALTER TABLE batch_upload_items ADD COLUMN IF NOT EXISTS file_hash TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_batch_items_sheet ON batch_upload_items(sheet_id);
@@ -0,0 +1,6 @@
+-- Migration: Keep every property OCR extracted for a batch item
+-- Title, composer, arranger and lyricist have their own columns; tempo, opus,
+-- key/time signature, copyright year and publisher (plus the source line of
+-- each field) are kept here and used as defaults when the item is confirmed.
+
+ALTER TABLE batch_upload_items ADD COLUMN IF NOT EXISTS extracted_metadata JSONB DEFAULT '{}';
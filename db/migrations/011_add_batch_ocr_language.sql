@@ -0,0 +1,6 @@
+-- Migration: OCR language per batch
+-- Chosen at upload (request, then user preference, then server default) and
+-- kept on the batch so items resumed after a restart use the same language.
+-- 'auto' means the script is detected per file.
+
+ALTER TABLE batch_uploads ADD COLUMN IF NOT EXISTS ocr_language TEXT;
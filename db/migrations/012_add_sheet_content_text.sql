@@ -0,0 +1,41 @@
+-- Migration: Searchable sheet content
+-- Text read from each page (PDF text layer, or OCR for scans and photos) is
+-- stored per page in sheet_pages and concatenated into sheets.content_text,
+-- which joins the search vector at the lowest weight so a lyric line or a
+-- movement name inside an anthology finds the sheet without outranking titles.
+
+ALTER TABLE sheets ADD COLUMN IF NOT EXISTS content_text TEXT;
+ALTER TABLE sheets ADD COLUMN IF NOT EXISTS content_indexed_at TIMESTAMPTZ;
+
+CREATE TABLE IF NOT EXISTS sheet_pages (
+    sheet_id UUID NOT NULL REFERENCES sheets(id) ON DELETE CASCADE,
+    page_number SMALLINT NOT NULL,
+    text TEXT,
+    text_source TEXT, -- 'text' (PDF text layer) or 'ocr'
+    search_vector TSVECTOR GENERATED ALWAYS AS (to_tsvector('english', COALESCE(text, ''))) STORED,
+    PRIMARY KEY (sheet_id, page_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_sheet_pages_search ON sheet_pages USING GIN(search_vector);
+
+ALTER TABLE sheet_pages ENABLE ROW LEVEL SECURITY;
+
+CREATE OR REPLACE FUNCTION update_search_vector()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.search_vector :=
+        setweight(to_tsvector('english', COALESCE(NEW.title, '')), 'A') ||
+        setweight(to_tsvector('english', COALESCE(NEW.composer, '')), 'A') ||
+        setweight(to_tsvector('english', COALESCE(NEW.subtitle, '')), 'B') ||
+        setweight(to_tsvector('english', COALESCE(NEW.arranger, '')), 'B') ||
+        setweight(to_tsvector('english', COALESCE(array_to_string(NEW.tags, ' '), '')), 'B') ||
+        setweight(to_tsvector('english', COALESCE(NEW.notes, '')), 'C') ||
+        setweight(to_tsvector('english', COALESCE(NEW.content_text, '')), 'D');
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_sheets_search ON sheets;
+CREATE TRIGGER trg_sheets_search
+    BEFORE INSERT OR UPDATE OF title, subtitle, composer, arranger, tags, notes, content_text
+    ON sheets FOR EACH ROW EXECUTE FUNCTION update_search_vector();
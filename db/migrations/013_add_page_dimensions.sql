@@ -0,0 +1,10 @@
+-- Migration: Per-page size and orientation
+-- sheets.page_count already exists; page_dimensions holds one entry per page:
+-- {page, width, height, rotation, orientation, unit}. PDFs are measured in
+-- points (crop box, after /Rotate); images count as one page measured in pixels.
+-- Batch items record the same while processing so confirmed sheets get it too.
+
+ALTER TABLE sheets ADD COLUMN IF NOT EXISTS page_dimensions JSONB DEFAULT '[]';
+
+ALTER TABLE batch_upload_items ADD COLUMN IF NOT EXISTS page_count SMALLINT;
+ALTER TABLE batch_upload_items ADD COLUMN IF NOT EXISTS page_dimensions JSONB DEFAULT '[]';
@@ -0,0 +1,9 @@
+-- Migration: Thumbnails and page previews
+-- Generated PNGs are stored next to the sheet's file ("<storage_key>.thumb.png",
+-- "<storage_key>.p<n>.png"). thumbnail_key and each preview's storageKey are kept
+-- so the images can be removed with the file.
+-- page_previews: [{page, url, storageKey}], filled only when PAGE_PREVIEWS is enabled.
+
+ALTER TABLE sheets ADD COLUMN IF NOT EXISTS thumbnail_url TEXT;
+ALTER TABLE sheets ADD COLUMN IF NOT EXISTS thumbnail_key TEXT;
+ALTER TABLE sheets ADD COLUMN IF NOT EXISTS page_previews JSONB DEFAULT '[]';
@@ -0,0 +1,7 @@
+-- Migration: Notation file metadata
+-- MusicXML and MIDI uploads carry their part list and length. parts holds
+-- [{name, instrument}] where instrument is the matching instruments.name (or null);
+-- the matched instruments are also linked through sheet_instruments.
+
+ALTER TABLE sheets ADD COLUMN IF NOT EXISTS parts JSONB DEFAULT '[]';
+ALTER TABLE sheets ADD COLUMN IF NOT EXISTS measure_count INTEGER;
@@ -0,0 +1,5 @@
+-- Migration: ABC notation sheets
+-- Tunes written in ABC are kept as text on the sheet rather than as an uploaded
+-- file. A tune from a multi-tune file keeps the file header in front of it.
+
+ALTER TABLE sheets ADD COLUMN IF NOT EXISTS abc_notation TEXT;
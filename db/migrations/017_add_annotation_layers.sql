@@ -0,0 +1,38 @@
+-- Migration: Annotation layers
+-- Annotations are kept per author instead of in sheets.annotations, so people a
+-- sheet is shared with can annotate it:
+--   'private' layers - seen only by their author (annotate_self and up)
+--   'shared'  layers - seen by everyone with access (annotate_all and up)
+
+CREATE TABLE IF NOT EXISTS annotation_layers (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    sheet_id UUID NOT NULL REFERENCES sheets(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name TEXT NOT NULL DEFAULT 'Annotations',
+    visibility TEXT NOT NULL DEFAULT 'shared' CHECK (visibility IN ('private', 'shared')),
+    annotations JSONB NOT NULL DEFAULT '{}',
+    created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+    updated_at TIMESTAMPTZ DEFAULT NOW() NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_annotation_layers_sheet ON annotation_layers(sheet_id);
+CREATE INDEX IF NOT EXISTS idx_annotation_layers_user ON annotation_layers(user_id);
+
+-- Layers a user has switched off for themselves
+CREATE TABLE IF NOT EXISTS hidden_annotation_layers (
+    layer_id UUID NOT NULL REFERENCES annotation_layers(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    PRIMARY KEY (layer_id, user_id)
+);
+
+ALTER TABLE annotation_layers ENABLE ROW LEVEL SECURITY;
+ALTER TABLE hidden_annotation_layers ENABLE ROW LEVEL SECURITY;
+
+-- Existing annotations become the owner's shared layer
+INSERT INTO annotation_layers (sheet_id, user_id, annotations)
+SELECT s.id, s.user_id, s.annotations
+FROM sheets s
+WHERE s.annotations IS NOT NULL AND s.annotations <> '{}'::jsonb
+  AND NOT EXISTS (SELECT 1 FROM annotation_layers l WHERE l.sheet_id = s.id);
+
+COMMENT ON COLUMN sheets.annotations IS 'Superseded by annotation_layers (migration 017); no longer written';
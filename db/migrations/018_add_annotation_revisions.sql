@@ -0,0 +1,18 @@
+-- Migration: Annotation revisions
+-- Each write to a layer bumps its revision, and each annotation carries a stable
+-- id and its own rev, so edits can be made conditional (If-Match) and stale
+-- writes from another device rejected.
+
+ALTER TABLE annotation_layers ADD COLUMN IF NOT EXISTS revision INTEGER NOT NULL DEFAULT 1;
+
+-- Give existing annotations an id and rev (keeping any id the client already set)
+UPDATE annotation_layers l
+SET annotations = (
+    SELECT COALESCE(jsonb_object_agg(page.key, (
+        SELECT COALESCE(jsonb_agg(jsonb_build_object('id', gen_random_uuid(), 'rev', 1) || ann.value ORDER BY ann.position), '[]'::jsonb)
+        FROM jsonb_array_elements(page.value) WITH ORDINALITY AS ann(value, position)
+    )), '{}'::jsonb)
+    FROM jsonb_each(l.annotations) AS page
+    WHERE jsonb_typeof(page.value) = 'array'
+)
+WHERE jsonb_typeof(l.annotations) = 'object';
@@ -0,0 +1,46 @@
+-- Migration: Annotation history and snapshots
+-- Every change to an annotation layer is logged with its author, time and the
+-- layer's full state afterwards, so a sheet, a layer or a single page can be
+-- restored to an earlier point and the last change undone. Entries outlive the
+-- layer they describe, so deleted layers can be brought back.
+-- Named snapshots ("Concert 2026 markings") keep the layers as they were.
+
+CREATE TABLE IF NOT EXISTS annotation_history (
+    id BIGSERIAL PRIMARY KEY,
+    sheet_id UUID NOT NULL REFERENCES sheets(id) ON DELETE CASCADE,
+    layer_id UUID NOT NULL,
+    layer_user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    layer_name TEXT NOT NULL,
+    visibility TEXT NOT NULL,
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    action TEXT NOT NULL, -- 'create', 'update', 'delete', 'restore' or 'undo'
+    revision INTEGER NOT NULL,
+    pages INTEGER[] NOT NULL DEFAULT '{}', -- pages the change touched
+    annotations JSONB NOT NULL DEFAULT '{}',
+    reverts BIGINT, -- for 'undo': the entry undone
+    undone BOOLEAN NOT NULL DEFAULT false,
+    created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_annotation_history_sheet ON annotation_history(sheet_id, id);
+CREATE INDEX IF NOT EXISTS idx_annotation_history_layer ON annotation_history(layer_id, id);
+
+CREATE TABLE IF NOT EXISTS annotation_snapshots (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    sheet_id UUID NOT NULL REFERENCES sheets(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    name TEXT NOT NULL,
+    layers JSONB NOT NULL DEFAULT '[]', -- [{ layer_id, layer_user_id, layer_name, visibility, annotations }]
+    created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_annotation_snapshots_sheet ON annotation_snapshots(sheet_id);
+
+ALTER TABLE annotation_history ENABLE ROW LEVEL SECURITY;
+ALTER TABLE annotation_snapshots ENABLE ROW LEVEL SECURITY;
+
+-- Existing layers start their history with their current state
+INSERT INTO annotation_history (sheet_id, layer_id, layer_user_id, layer_name, visibility, user_id, action, revision, annotations, created_at)
+SELECT l.sheet_id, l.id, l.user_id, l.name, l.visibility, l.user_id, 'create', l.revision, l.annotations, l.updated_at
+FROM annotation_layers l
+WHERE NOT EXISTS (SELECT 1 FROM annotation_history h WHERE h.layer_id = l.id);
@@ -0,0 +1,21 @@
+-- Migration: Share invitations
+-- Sharing a sheet or folder with an email that has no account yet stores an
+-- invitation; when that email registers, its invitations become real shares
+-- (sheet_shares / folder_shares) with the permission given, and are removed.
+
+CREATE TABLE IF NOT EXISTS share_invitations (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    email TEXT NOT NULL, -- lower case
+    sheet_id UUID REFERENCES sheets(id) ON DELETE CASCADE,
+    folder_id UUID REFERENCES folders(id) ON DELETE CASCADE,
+    permission share_permission DEFAULT 'view' NOT NULL,
+    invited_by_user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+    CONSTRAINT share_invitation_target CHECK ((sheet_id IS NULL) <> (folder_id IS NULL)),
+    CONSTRAINT unique_sheet_invitation UNIQUE (sheet_id, email),
+    CONSTRAINT unique_folder_invitation UNIQUE (folder_id, email)
+);
+
+CREATE INDEX IF NOT EXISTS idx_share_invitations_email ON share_invitations(email);
+
+ALTER TABLE share_invitations ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,28 @@
+-- Migration: Public share links
+-- A link with a random token lets anyone open a sheet, or the sheets of a
+-- folder and its subfolders, without an account. Owners choose an expiry, a
+-- password, whether the PDF may be downloaded or only viewed, and how many
+-- times it may be opened. Revoked links are kept so their counts stay visible.
+
+CREATE TABLE IF NOT EXISTS share_links (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    token TEXT NOT NULL UNIQUE,
+    sheet_id UUID REFERENCES sheets(id) ON DELETE CASCADE,
+    folder_id UUID REFERENCES folders(id) ON DELETE CASCADE,
+    created_by_user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    permission TEXT NOT NULL DEFAULT 'view', -- 'view' or 'download'
+    password_hash TEXT, -- bcrypt; NULL when the link has no password
+    expires_at TIMESTAMPTZ,
+    max_views INTEGER, -- NULL for no limit
+    view_count INTEGER NOT NULL DEFAULT 0,
+    last_viewed_at TIMESTAMPTZ,
+    revoked_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+    CONSTRAINT share_link_target CHECK ((sheet_id IS NULL) <> (folder_id IS NULL)),
+    CONSTRAINT share_link_permission CHECK (permission IN ('view', 'download'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_share_links_sheet ON share_links(sheet_id);
+CREATE INDEX IF NOT EXISTS idx_share_links_folder ON share_links(folder_id);
+
+ALTER TABLE share_links ENABLE ROW LEVEL SECURITY;
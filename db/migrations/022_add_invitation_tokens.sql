@@ -0,0 +1,13 @@
+-- Migration: Invitation tokens
+-- An invitation only becomes a share for someone who shows the token from the
+-- invitation email, so registering the invited address alone gets nothing.
+-- Invitations from before this migration get a token that was never emailed;
+-- invite those addresses again.
+
+ALTER TABLE share_invitations ADD COLUMN IF NOT EXISTS token TEXT;
+
+UPDATE share_invitations SET token = replace(gen_random_uuid()::text, '-', '') WHERE token IS NULL;
+
+ALTER TABLE share_invitations ALTER COLUMN token SET NOT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_share_invitations_token ON share_invitations(token);
@@ -2,23 +2,48 @@ require('dotenv').config();
 
 const express = require('express');
 const cors = require('cors');
-const multer = require('multer');
-const path = require('path');
 const fs = require('fs');
-const { PDFDocument, rgb, StandardFonts } = require('pdf-lib');
+const path = require('path');
+const { PDFDocument } = require('pdf-lib');
 const { v4: uuidv4 } = require('uuid');
-const crypto = require('crypto');
-const Tesseract = require('tesseract.js');
 
 // Database and Storage
 const db = require('./lib/db');
 const { uploadFile, deleteFile } = require('./lib/storage');
-
-// Import pdf-parse directly from lib to avoid test code in index.js
-const pdfParse = require('pdf-parse/lib/pdf-parse');
+const { upload, calculateFileHash, removeTempFile } = require('./lib/upload');
+const { extractMetadataFromFile, extractMetadataFromImage } = require('./lib/ocr');
+const ocrPool = require('./lib/ocr-pool');
+const { listLanguages, resolveLanguage } = require('./lib/ocr-languages');
+const { isValidUUID, parseFolderIds, parseJsonArray, createSheet } = require('./lib/sheets');
 
 // Auth routes and middleware
 const authRoutes = require('./routes/auth');
+const batchRoutes = require('./routes/batches');
+const ocrJobRoutes = require('./routes/ocr-jobs');
+const pdfToolRoutes = require('./routes/pdf-tools');
+const annotationLayerRoutes = require('./routes/annotation-layers');
+const annotationHistoryRoutes = require('./routes/annotation-history');
+const sheetEventRoutes = require('./routes/sheet-events');
+const shareLinkRoutes = require('./routes/share-links');
+const publicLinkRoutes = require('./routes/public-links');
+const { resumeInterruptedBatches } = require('./lib/batches');
+const { queueContentIndexing, queueUnindexedSheets } = require('./lib/sheet-content');
+const { backfillPageInfo } = require('./lib/page-info');
+const { createThumbnail, queuePreviews, deletePreviewFiles } = require('./lib/previews');
+const { storeGeneratedFile, readUploadedFile, queueFileProcessing, sendSheetPdf, contentDisposition } = require('./lib/sheet-files');
+const { buildPdfFromPhotos } = require('./lib/photo-pdf');
+const { writePdfMetadata } = require('./lib/pdf-metadata');
+const { drawAnnotations } = require('./lib/annotation-render');
+const { writePdfAnnotations } = require('./lib/pdf-annotations');
+const { ABC_TYPE, readAbcInput, createAbcSheets, abcUpdateFields } = require('./lib/abc');
+const {
+    parseAnnotations, listLayers, combineLayers, createLayer, getDefaultLayer, saveDefaultLayer
+} = require('./lib/annotation-layers');
+const {
+    SHARE_PERMISSIONS, hasPermission, getSheetAccess, getSheetsAccess, getFolderAccess, filterManageableFolders,
+    sharedFoldersSql, sheetSharePermissionSql, folderSharePermissionSql
+} = require('./lib/access');
+const { createInvitation, listInvitations, revokeInvitation } = require('./lib/invitations');
 const { authenticate, optionalAuth } = require('./middleware/auth');
 
 const app = express();
@@ -59,143 +84,36 @@ app.use(cors({
     },
     credentials: true
 }));
-app.use(express.json());
-
-// Ensure uploads directory exists (for temporary files during OCR)
-const uploadDir = path.join(__dirname, 'uploads');
-if (!fs.existsSync(uploadDir)){
-    fs.mkdirSync(uploadDir);
-}
-
-// --- MULTER CONFIGURATION ---
-const storage = multer.diskStorage({
-    destination: (req, file, cb) => {
-        cb(null, 'uploads/');
-    },
-    filename: (req, file, cb) => {
-        cb(null, Date.now() + '-' + file.originalname);
-    }
-});
-const upload = multer({ storage });
+// Room for image annotations, which are sent inline as data: URLs
+app.use(express.json({ limit: '5mb' }));
 
 // Health check endpoint for Render
 app.get('/health', (req, res) => {
-    res.status(200).json({ status: 'ok-v2', timestamp: new Date().toISOString() });
+    res.status(200).json({ status: 'ok-v2', timestamp: new Date().toISOString(), ocr: ocrPool.getPoolStats() });
 });
 
 // Auth routes
 app.use('/api/auth', authRoutes);
 
-// Helper to calculate file hash
-function calculateFileHash(filePath) {
-    return new Promise((resolve, reject) => {
-        const hash = crypto.createHash('sha256');
-        const stream = fs.createReadStream(filePath);
-        stream.on('data', data => hash.update(data));
-        stream.on('end', () => resolve(hash.digest('hex')));
-        stream.on('error', reject);
-    });
-}
+// Batch upload routes
+app.use('/api/batches', batchRoutes);
 
-// --- OCR HELPER ---
-// OCR language: defaults to English, can be configured via OCR_LANGUAGE env var
-// Common values: 'eng' (English), 'ell' (Greek), 'deu' (German), 'fra' (French), 'ita' (Italian)
-// Multiple languages can be specified: 'eng+ell' for English and Greek
-const OCR_LANGUAGE = process.env.OCR_LANGUAGE || 'eng';
+// Asynchronous OCR jobs
+app.use('/api/ocr/jobs', ocrJobRoutes);
 
-async function extractMetadataFromImage(imagePath) {
-    const worker = await Tesseract.createWorker(OCR_LANGUAGE, 1, {
-        logger: m => console.log('Tesseract:', m.status, m.progress ? Math.round(m.progress * 100) + '%' : '')
-    });
-    const ret = await worker.recognize(imagePath);
-    await worker.terminate();
-
-    console.log('=== OCR RAW TEXT ===');
-    console.log(ret.data.text);
-    console.log('=== OCR LINES COUNT:', ret.data.lines?.length || 0, '===');
-
-    return processSmartMetadata(ret.data);
-}
-
-async function extractMetadataFromPdf(pdfPath) {
-    const dataBuffer = fs.readFileSync(pdfPath);
-    // pdf-parse doesn't have a built-in "first page only" option for text extraction,
-    // but we can pass a pagerender callback to stop after page 1, or just 
-    // truncate the text if it contains page markers.
-    const options = {
-        max: 1 // Only process the first page
-    };
-    const data = await pdfParse(dataBuffer, options);
-
-    const lines = data.text.split('\n').map(l => l.trim()).filter(l => l.length > 0);
-    return {
-        title: lines[0] || "",
-        composer: lines[1] || "",
-        rawText: data.text
-    };
-}
+// Split, merge, reorder, rotate and crop sheet PDFs
+app.use('/api/sheets', pdfToolRoutes);
 
-function processSmartMetadata(tesseractData) {
-    const rawText = tesseractData.text || "";
-    const textLines = rawText.split('\n').map(l => l.trim()).filter(l => l.length > 0);
+// Per-author annotation layers
+app.use('/api/sheets', annotationLayerRoutes);
+app.use('/api/sheets', annotationHistoryRoutes);
 
-    if (textLines.length === 0) return { title: "", composer: "", rawText: "" };
+// Live annotation changes and presence
+app.use('/api/sheets', sheetEventRoutes);
 
-    let title = "";
-    let composer = "";
-
-    const isCleanLine = (text) => {
-        const greekLetters = (text.match(/[Α-Ωα-ωά-ώ]/g) || []).length;
-        const latinLetters = (text.match(/[A-Za-z]/g) || []).length;
-        const totalLetters = greekLetters + latinLetters;
-        const noiseChars = (text.match(/[̓̀́̈͂ͅ᾽῾᾿῎῍῏῝῞῟῭΅`΄''‛""‟․‥…‧\-–—―\.·•○●◦◘◙◌◍◎◐◑◒◓◔◕◖◗◰◱◲◳◴◵◶◷◸◹◺◻◼◽◾◿☀☁☂☃☄★☆☇☈☉☊☋☌☍☎☏☐☑☒☓☔☕☖☗☘☙☚☛☜☝☞☟☠☡☢☣☤☥☦☧☨☩☪☫☬☭☮☯☰☱☲☳☴☵☶☷☸☹☺☻☼☽☾☿♀♁♂♃♄♅♆♇♈♉♊♋♌♍♎♏♐♑♒♓♔♕♖♗♘♙♚♛♜♝♞♟♠♡♢♣♤♥♦♧♨♩♪♫♬♭♮♯]/g) || []).length;
-        return totalLetters >= 3 && totalLetters > noiseChars;
-    };
-
-    for (const line of textLines) {
-        if (!isCleanLine(line)) continue;
-        if (line.match(/^(Μουσική|Στίχοι|Music|Lyrics|Composer):/i)) continue;
-        if (line.length >= 4) {
-            title = line;
-            break;
-        }
-    }
-
-    for (const line of textLines) {
-        const musicMatch = line.match(/Μουσική[:\s]+([Α-Ωα-ωά-ώA-Za-z\s]+?)(?:\s+Στίχοι|\s+Lyrics|$)/i);
-        if (musicMatch) {
-            composer = musicMatch[1].trim();
-            break;
-        }
-        const lyricsMatch = line.match(/Στίχοι[:\s]+([Α-Ωα-ωά-ώA-Za-z\s]+?)(?:\s+Μουσική|\s+Music|$)/i);
-        if (lyricsMatch && !composer) {
-            composer = lyricsMatch[1].trim();
-        }
-    }
-
-    if (!composer) {
-        let foundTitle = false;
-        for (const line of textLines) {
-            if (!isCleanLine(line)) continue;
-            if (!foundTitle) {
-                foundTitle = true;
-                continue;
-            }
-            if (line !== title && line.length >= 3) {
-                composer = line;
-                break;
-            }
-        }
-    }
-
-    console.log('Extracted - Title:', title, '| Composer:', composer);
-
-    return {
-        title: title || "",
-        composer: composer || "",
-        rawText: rawText
-    };
-}
+// Public share links: managed by owners, opened without an account
+app.use('/api', shareLinkRoutes);
+app.use('/api/public/links', publicLinkRoutes);
 
 // --- ROUTES ---
 
@@ -568,6 +486,33 @@ app.get('/api/admin/stats', requireAdmin, async (req, res) => {
     }
 });
 
+// Admin API: Index page text of sheets uploaded before content search existed
+app.post('/api/admin/sheets/index-content', requireAdmin, async (req, res) => {
+    try {
+        const queued = await queueUnindexedSheets();
+        console.log(`Queued ${queued} sheet(s) for content indexing`);
+        res.status(202).json({ queued });
+    } catch (e) {
+        console.error('Queue content indexing failed:', e);
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// Admin API: Record page count and page sizes of sheets uploaded before they were stored
+app.post('/api/admin/sheets/backfill-pages', requireAdmin, async (req, res) => {
+    try {
+        const queued = await backfillPageInfo();
+        if (queued === null) {
+            return res.status(409).json({ error: 'A page backfill is already running' });
+        }
+        console.log(`Page info backfill started for ${queued} sheet(s)`);
+        res.status(202).json({ queued });
+    } catch (e) {
+        console.error('Page info backfill failed:', e);
+        res.status(500).json({ error: e.message });
+    }
+});
+
 // Admin API: Users List
 app.get('/api/admin/users', requireAdmin, async (req, res) => {
     try {
@@ -591,9 +536,10 @@ app.delete('/api/admin/users/:id', requireAdmin, async (req, res) => {
     const { id } = req.params;
     try {
         // First delete storage files
-        const files = await db.query('SELECT storage_key FROM sheets WHERE user_id = $1', [id]);
+        const files = await db.query('SELECT storage_key, thumbnail_key, page_previews FROM sheets WHERE user_id = $1', [id]);
         for (const file of files.rows) {
             if (file.storage_key) await deleteFile(file.storage_key);
+            await deletePreviewFiles(file);
         }
         
         // Delete user (cascade will handle sheets/folders/shares if schema configured, otherwise manual)
@@ -615,29 +561,24 @@ app.get('/api/admin/logs', requireAdmin, (req, res) => {
     res.json(logBuffer);
 });
 
-// OCR Route
-app.post('/api/ocr', upload.single('file'), async (req, res) => {
+// OCR languages the client can offer (installed = traineddata already on disk)
+app.get('/api/ocr/languages', (req, res) => {
+    res.json({ default: ocrPool.OCR_LANGUAGE, languages: listLanguages() });
+});
+
+// OCR Route (waits for the result; large scans should use /api/ocr/jobs)
+app.post('/api/ocr', optionalAuth, upload.single('file'), async (req, res) => {
     if (!req.file) return res.status(400).json({ error: "No file uploaded" });
 
     console.log('OCR Request - File:', req.file.originalname, 'Type:', req.file.mimetype);
 
     try {
-        let metadata = { title: "", composer: "" };
-
-        if (req.file.mimetype === 'application/pdf') {
-            metadata = await extractMetadataFromPdf(req.file.path);
-            if (!metadata.title && !metadata.composer && !metadata.rawText) {
-                return res.json({
-                    title: "",
-                    composer: "",
-                    warning: "No embedded text found in PDF. Please convert to image for OCR."
-                });
-            }
-        } else if (req.file.mimetype.startsWith('image/')) {
-            metadata = await extractMetadataFromImage(req.file.path);
-        } else {
-            return res.json({ title: "", composer: "", warning: "Unsupported file type for OCR" });
-        }
+        // lang: 'eng', 'ell+eng', 'auto'; defaults to the user's preference
+        const lang = await resolveLanguage(req.body.lang || req.query.lang, req.user?.id);
+        // Scanned PDFs: OCR the first N pages (metadata still comes from page 1)
+        const pages = parseInt(req.body.pages || req.query.pages);
+
+        const metadata = await extractMetadataFromFile(req.file.path, req.file.mimetype, { pages, lang });
 
         // Clean up temp file
         fs.unlinkSync(req.file.path);
@@ -645,7 +586,8 @@ app.post('/api/ocr', upload.single('file'), async (req, res) => {
         res.json(metadata);
     } catch (e) {
         console.error("OCR Failed", e);
-        res.status(500).json({ error: "OCR Failed: " + e.message });
+        if (fs.existsSync(req.file.path)) fs.unlinkSync(req.file.path);
+        res.status(e.status || 500).json({ error: "OCR Failed: " + e.message });
     }
 });
 
@@ -875,15 +817,17 @@ app.get('/api/suggestions', authenticate, async (req, res) => {
 
 app.get('/api/folders', authenticate, async (req, res) => {
     try {
+        // Folders shared with the user bring their subfolders along
         const result = await db.query(`
+            WITH RECURSIVE ${sharedFoldersSql('$1')}
             SELECT f.*,
                    CASE WHEN f.user_id = $1 THEN true ELSE false END as is_owner,
                    CASE WHEN f.user_id != $1 THEN u.display_name ELSE null END as shared_by,
-                   fs.permission as share_permission
+                   share.permission as share_permission
             FROM folders f
-            LEFT JOIN folder_shares fs ON f.id = fs.folder_id AND fs.shared_with_user_id = $1
+            CROSS JOIN LATERAL (SELECT ${folderSharePermissionSql('f')} AS permission) share
             LEFT JOIN users u ON f.user_id = u.id
-            WHERE f.user_id = $1 OR fs.shared_with_user_id = $1
+            WHERE f.user_id = $1 OR share.permission IS NOT NULL
             ORDER BY f.display_order, f.name
         `, [req.user.id]);
         res.json(result.rows);
@@ -897,6 +841,15 @@ app.post('/api/folders', authenticate, async (req, res) => {
     const { name, parentId, color } = req.body;
 
     try {
+        // Subfolders go in folders the user owns or has full access to
+        if (parentId) {
+            const parent = await getFolderAccess(parentId, req.user.id);
+            if (!parent) return res.status(404).json({ error: 'Parent folder not found' });
+            if (!hasPermission(parent.permission, 'full')) {
+                return res.status(403).json({ error: 'You do not have permission to add folders here' });
+            }
+        }
+
         const result = await db.query(
             `INSERT INTO folders (name, parent_id, color, user_id)
              VALUES ($1, $2, $3, $4)
@@ -914,7 +867,14 @@ app.delete('/api/folders/:id', authenticate, async (req, res) => {
     const { id } = req.params;
 
     try {
-        await db.query('DELETE FROM folders WHERE id = $1 AND user_id = $2', [id, req.user.id]);
+        // Only owner or users with 'full' permission can delete
+        const access = await getFolderAccess(id, req.user.id);
+        if (!access) return res.status(404).json({ error: 'Folder not found' });
+        if (!hasPermission(access.permission, 'full')) {
+            return res.status(403).json({ error: 'You do not have permission to delete this folder' });
+        }
+
+        await db.query('DELETE FROM folders WHERE id = $1', [id]);
         res.status(204).send();
     } catch (e) {
         console.error('Delete folder failed:', e);
@@ -924,22 +884,38 @@ app.delete('/api/folders/:id', authenticate, async (req, res) => {
 
 // --- FOLDER SHARING ---
 
+// A pending invitation, as share routes return it
+function serializeInvitation(invitation) {
+    return {
+        id: invitation.id,
+        ...(invitation.sheet_id ? { sheet_id: invitation.sheet_id } : { folder_id: invitation.folder_id }),
+        email: invitation.email,
+        permission: invitation.permission,
+        email_sent: invitation.email_sent,
+        created_at: invitation.created_at
+    };
+}
+
 // Share a folder with another user by email
 app.post('/api/folders/:id/share', authenticate, async (req, res) => {
     const { id } = req.params;
     const { email, permission = 'view' } = req.body;
 
     if (!email) return res.status(400).json({ error: 'Email is required' });
-    if (!VALID_PERMISSIONS.includes(permission)) {
+    if (!SHARE_PERMISSIONS.includes(permission)) {
         return res.status(400).json({ error: 'Invalid permission level' });
     }
 
     try {
-        const folderCheck = await db.query('SELECT id FROM folders WHERE id = $1 AND user_id = $2', [id, req.user.id]);
-        if (folderCheck.rows.length === 0) return res.status(404).json({ error: 'Folder not found or you do not own it' });
+        const access = await getFolderAccess(id, req.user.id);
+        if (access?.permission !== 'owner') return res.status(404).json({ error: 'Folder not found or you do not own it' });
 
+        // Emails without an account get an invitation, accepted when they register
         const userResult = await db.query('SELECT id, email FROM users WHERE LOWER(email) = LOWER($1)', [email]);
-        if (userResult.rows.length === 0) return res.status(404).json({ error: 'Email not registered to a user' });
+        if (userResult.rows.length === 0) {
+            const invitation = await createInvitation({ folderId: id }, email, permission, req.user.id, access.folder.name);
+            return res.status(201).json({ message: 'Invitation created', invitation: serializeInvitation(invitation) });
+        }
         const targetUser = userResult.rows[0];
 
         if (targetUser.id === req.user.id) return res.status(400).json({ error: 'Cannot share with yourself' });
@@ -965,7 +941,7 @@ app.post('/api/folders/:id/share', authenticate, async (req, res) => {
         });
     } catch (e) {
         console.error('Share folder failed:', e);
-        res.status(500).json({ error: e.message });
+        res.status(e.status || 500).json({ error: e.message });
     }
 });
 
@@ -973,8 +949,8 @@ app.post('/api/folders/:id/share', authenticate, async (req, res) => {
 app.get('/api/folders/:id/shares', authenticate, async (req, res) => {
     const { id } = req.params;
     try {
-        const folderCheck = await db.query('SELECT id FROM folders WHERE id = $1 AND user_id = $2', [id, req.user.id]);
-        if (folderCheck.rows.length === 0) return res.status(404).json({ error: 'Folder not found or access denied' });
+        const access = await getFolderAccess(id, req.user.id);
+        if (access?.permission !== 'owner') return res.status(404).json({ error: 'Folder not found or access denied' });
 
         const result = await db.query(`
             SELECT fs.id, fs.permission, fs.created_at,
@@ -1004,8 +980,8 @@ app.delete('/api/folders/:id/share', authenticate, async (req, res) => {
     if (!email) return res.status(400).json({ error: 'Email is required' });
 
     try {
-        const folderCheck = await db.query('SELECT id FROM folders WHERE id = $1 AND user_id = $2', [id, req.user.id]);
-        if (folderCheck.rows.length === 0) return res.status(404).json({ error: 'Folder not found or access denied' });
+        const access = await getFolderAccess(id, req.user.id);
+        if (access?.permission !== 'owner') return res.status(404).json({ error: 'Folder not found or access denied' });
 
         const userResult = await db.query('SELECT id FROM users WHERE LOWER(email) = LOWER($1)', [email]);
         if (userResult.rows.length === 0) return res.status(404).json({ error: 'User not found' });
@@ -1019,8 +995,57 @@ app.delete('/api/folders/:id/share', authenticate, async (req, res) => {
     }
 });
 
+// Pending invitations to a folder (emails without an account yet)
+app.get('/api/folders/:id/invitations', authenticate, async (req, res) => {
+    const { id } = req.params;
+    try {
+        const access = await getFolderAccess(id, req.user.id);
+        if (access?.permission !== 'owner') return res.status(404).json({ error: 'Folder not found or access denied' });
+
+        res.json(await listInvitations({ folderId: id }));
+    } catch (e) {
+        console.error('Get folder invitations failed:', e);
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// Revoke a pending folder invitation
+app.delete('/api/folders/:id/invitations/:invitationId', authenticate, async (req, res) => {
+    const { id, invitationId } = req.params;
+    try {
+        const access = await getFolderAccess(id, req.user.id);
+        if (access?.permission !== 'owner') return res.status(404).json({ error: 'Folder not found or access denied' });
+
+        if (!await revokeInvitation({ folderId: id }, invitationId)) {
+            return res.status(404).json({ error: 'Invitation not found' });
+        }
+        res.status(200).json({ message: 'Invitation revoked' });
+    } catch (e) {
+        console.error('Revoke folder invitation failed:', e);
+        res.status(500).json({ error: e.message });
+    }
+});
+
 // --- SHEETS ---
 
+// Pages listed per sheet in content_matches when searching with q
+const MAX_CONTENT_MATCHES = 10;
+// ts_headline marks matches with these control characters; the page text is
+// HTML-escaped before they become <mark> tags
+const MATCH_START = '\u0002';
+const MATCH_END = '\u0003';
+// Photos accepted by POST /api/sheets/photos (pages of one piece)
+const MAX_PHOTO_PAGES = 50;
+
+// A content match with its snippet as HTML: the page text escaped, the matches in <mark>
+function highlightMatch({ page, snippet }) {
+    const html = snippet
+        .replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`)
+        .replaceAll(MATCH_START, '<mark>')
+        .replaceAll(MATCH_END, '</mark>');
+    return { page, snippet: html };
+}
+
 app.get('/api/sheets', authenticate, async (req, res) => {
     try {
         const { 
@@ -1038,7 +1063,20 @@ app.get('/api/sheets', authenticate, async (req, res) => {
             folder_id
         } = req.query;
 
+        // With q, list the pages whose text matches, with the match highlighted (q is always $2)
+        const contentMatches = q ? `,
+                   (SELECT COALESCE(json_agg(m ORDER BY m.page), '[]'::json) FROM (
+                        SELECT sp.page_number as page,
+                               ts_headline('english', sp.text, plainto_tsquery('english', $2),
+                                   'StartSel=${MATCH_START}, StopSel=${MATCH_END}, MaxWords=25, MinWords=10, MaxFragments=2') as snippet
+                        FROM sheet_pages sp
+                        WHERE sp.sheet_id = s.id AND sp.search_vector @@ plainto_tsquery('english', $2)
+                        ORDER BY sp.page_number
+                        LIMIT ${MAX_CONTENT_MATCHES}
+                   ) m) as content_matches` : '';
+
         let query = `
+            WITH RECURSIVE ${sharedFoldersSql('$1')}
             SELECT s.*, g.name as genre_name,
                    COALESCE(
                        (SELECT array_agg(sf.folder_id)
@@ -1052,25 +1090,12 @@ app.get('/api/sheets', authenticate, async (req, res) => {
                     LIMIT 1) as instrument,
                    CASE WHEN s.user_id = $1 THEN true ELSE false END as is_owner,
                    CASE WHEN s.user_id != $1 THEN u.display_name ELSE null END as shared_by,
-                   COALESCE(
-                       ss.permission, 
-                       (SELECT fs.permission 
-                        FROM folder_shares fs
-                        JOIN sheet_folders sf ON fs.folder_id = sf.folder_id
-                        WHERE sf.sheet_id = s.id AND fs.shared_with_user_id = $1
-                        LIMIT 1)
-                   ) as share_permission
+                   share.permission as share_permission${contentMatches}
             FROM sheets s
+            CROSS JOIN LATERAL (SELECT ${sheetSharePermissionSql('$1')} AS permission) share
             LEFT JOIN genres g ON s.genre_id = g.id
-            LEFT JOIN sheet_shares ss ON s.id = ss.sheet_id AND ss.shared_with_user_id = $1
             LEFT JOIN users u ON s.user_id = u.id
-            WHERE (s.user_id = $1 
-               OR ss.shared_with_user_id = $1
-               OR EXISTS (
-                   SELECT 1 FROM sheet_folders sf
-                   JOIN folder_shares fs ON sf.folder_id = fs.folder_id
-                   WHERE sf.sheet_id = s.id AND fs.shared_with_user_id = $1
-               ))
+            WHERE (s.user_id = $1 OR share.permission IS NOT NULL)
         `;
 
         const params = [req.user.id];
@@ -1148,7 +1173,11 @@ app.get('/api/sheets', authenticate, async (req, res) => {
         query += ` ORDER BY ${sortColumn} ${sortOrder}`;
 
         const result = await db.query(query, params);
-        res.json(result.rows);
+        // Page text can run to an anthology's worth; it's searched, not listed
+        res.json(result.rows.map(({ content_text, ...sheet }) => ({
+            ...sheet,
+            ...(sheet.content_matches && { content_matches: sheet.content_matches.map(highlightMatch) })
+        })));
     } catch (e) {
         console.error('Get sheets failed:', e);
         res.status(500).json({ error: e.message });
@@ -1159,17 +1188,19 @@ app.get('/api/sheets/:id', authenticate, async (req, res) => {
     const { id } = req.params;
 
     try {
-        const result = await db.query(`
-            SELECT s.*,
-                   CASE WHEN s.user_id = $2 THEN true ELSE false END as is_owner
-            FROM sheets s
-            LEFT JOIN sheet_shares ss ON s.id = ss.sheet_id AND ss.shared_with_user_id = $2
-            WHERE s.id = $1 AND (s.user_id = $2 OR ss.shared_with_user_id = $2)
-        `, [id, req.user.id]);
-        if (result.rows.length === 0) {
+        const access = await getSheetAccess(id, req.user.id);
+        if (!access) {
             return res.status(404).json({ error: 'Sheet not found' });
         }
-        res.json(result.rows[0]);
+        // `annotations` is the caller's own default layer; GET /api/sheets/:id/layers has everyone's
+        // Page text is searched through GET /api/sheets, not sent with the sheet
+        const { sheet: { content_text, ...sheet }, permission } = access;
+        sheet.is_owner = permission === 'owner';
+        sheet.permission = permission;
+        const layer = await getDefaultLayer(id, req.user.id);
+        sheet.annotations = layer?.annotations || {};
+        sheet.annotation_layer_id = layer?.id || null;
+        res.json(sheet);
     } catch (e) {
         console.error('Get sheet failed:', e);
         res.status(500).json({ error: e.message });
@@ -1185,12 +1216,23 @@ app.post('/api/sheets', authenticate, upload.single('file'), async (req, res) =>
     } = req.body;
 
     try {
+        // ABC notation is kept as text on the sheet; a file of several tunes becomes one sheet per tune
+        const abc = readAbcInput(req.body, req.file);
+        if (abc !== null) {
+            const sheets = await createAbcSheets(req.user.id, abc, req.body);
+            return res.status(201).json(sheets.length === 1 ? sheets[0] : { sheets });
+        }
+
         let fileUrl = null;
         let fileName = null;
         let fileSize = null;
         let fileType = null;
         let storageKey = null;
         let fileHash = null;
+        let pageInfo = { pageCount: null, pages: [] };
+        let thumbnail = null;
+        let embedded = null;
+        let imported = null;
 
         console.log('Create sheet - req.file:', req.file ? req.file.originalname : 'NO FILE');
 
@@ -1209,6 +1251,12 @@ app.post('/api/sheets', authenticate, upload.single('file'), async (req, res) =>
                 });
             }
 
+            // Notation files and PDFs carry their own metadata; request fields still win.
+            // Markings in a PDF become an editable layer.
+            ({ pageInfo, embedded, imported } = await readUploadedFile(req.file, {
+                importAnnotations: req.body.importAnnotations !== 'false'
+            }));
+
             console.log('Uploading to Supabase Storage:', req.file.path);
             try {
                 const uploadResult = await uploadFile(req.file.path, req.file.originalname);
@@ -1222,199 +1270,169 @@ app.post('/api/sheets', authenticate, upload.single('file'), async (req, res) =>
                 console.error('Storage upload failed:', uploadErr);
             }
 
-            // Clean up local temp file
-            if (fs.existsSync(req.file.path)) {
-                fs.unlinkSync(req.file.path);
+            if (fileUrl) {
+                thumbnail = await createThumbnail(req.file.path, fileType, storageKey);
             }
-        }
-
-        // Parse tags to array
-        const tagsArray = tags ? tags.split(',').map(t => t.trim()).filter(t => t) : [];
 
-        // Handle legacy folder IDs (convert non-UUID to null)
-        const isValidUUID = (str) => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(str);
-
-        // Parse folderIds (can be JSON string or array)
-        let parsedFolderIds = [];
-        if (folderIds) {
-            try {
-                parsedFolderIds = typeof folderIds === 'string' ? JSON.parse(folderIds) : folderIds;
-                parsedFolderIds = parsedFolderIds.filter(id => isValidUUID(id));
-            } catch (e) {
-                parsedFolderIds = [];
+            // Clean up local temp file (kept for content indexing when the upload worked)
+            if (!fileUrl && fs.existsSync(req.file.path)) {
+                fs.unlinkSync(req.file.path);
             }
         }
-        // Legacy support: if folderId provided but no folderIds
-        if (parsedFolderIds.length === 0 && folderId && isValidUUID(folderId)) {
-            parsedFolderIds = [folderId];
-        }
 
-        // Parse media links
-        let parsedMediaLinks = [];
-        if (mediaLinks) {
-            try {
-                parsedMediaLinks = typeof mediaLinks === 'string' ? JSON.parse(mediaLinks) : mediaLinks;
-            } catch (e) {
-                parsedMediaLinks = [];
-            }
-        }
+        const fromFile = (value, key) => value || embedded?.[key] || undefined;
+        const sheet = await createSheet(req.user.id, {
+            title: fromFile(title, 'title'),
+            subtitle: fromFile(subtitle, 'subtitle'),
+            composer: fromFile(composer, 'composer'),
+            arranger: fromFile(arranger, 'arranger'),
+            lyricist: fromFile(lyricist, 'lyricist'),
+            instrument,
+            keySignature: fromFile(keySignature, 'keySignature'),
+            timeSignature: fromFile(timeSignature, 'timeSignature'),
+            tempo: fromFile(tempo, 'tempo'),
+            genre, difficulty,
+            opus: fromFile(opus, 'opus'),
+            publisher,
+            copyrightYear: fromFile(copyrightYear, 'copyrightYear'),
+            tags: fromFile(tags, 'tags'),
+            notes,
+            folderIds: parseFolderIds(folderIds, folderId),
+            mediaLinks: parseJsonArray(mediaLinks),
+            instruments: embedded?.instruments || []
+        }, {
+            url: fileUrl,
+            storageKey,
+            name: fileName,
+            size: fileSize,
+            type: fileType,
+            hash: fileHash,
+            pageCount: pageInfo.pageCount,
+            pages: pageInfo.pages,
+            thumbnail,
+            parts: embedded?.parts,
+            measureCount: embedded?.measureCount
+        });
 
-        // Look up genre_id if genre name provided
-        let genreId = null;
-        if (genre) {
-            const genreResult = await db.query(
-                'SELECT id FROM genres WHERE name = $1',
-                [genre]
-            );
-            if (genreResult.rows.length > 0) {
-                genreId = genreResult.rows[0].id;
-            }
+        if (fileUrl) {
+            queueContentIndexing({
+                sheetId: sheet.id,
+                userId: req.user.id,
+                mimetype: fileType,
+                fileUrl,
+                localPath: req.file.path
+            });
+            queuePreviews({ sheetId: sheet.id, fileUrl, storageKey, mimetype: fileType, thumbnail: !thumbnail });
         }
 
-        const result = await db.query(`
-            INSERT INTO sheets (
-                title, subtitle, composer, arranger, lyricist,
-                key_signature, time_signature, tempo,
-                difficulty, genre_id, opus, publisher, copyright_year,
-                tags, notes, media_links,
-                file_url, file_name, file_size, file_type, storage_key, storage_provider,
-                status, user_id, file_hash
-            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24, $25)
-            RETURNING *
-        `, [
-            title || 'Untitled',
-            subtitle || null,
-            composer || null,
-            arranger || null,
-            lyricist || null,
-            keySignature || null,
-            timeSignature || null,
-            tempo || null,
-            difficulty || null,
-            genreId,
-            opus || null,
-            publisher || null,
-            copyrightYear ? parseInt(copyrightYear) : null,
-            tagsArray,
-            notes || null,
-            JSON.stringify(parsedMediaLinks),
-            fileUrl,
-            fileName,
-            fileSize,
-            fileType,
-            storageKey,
-            fileUrl ? 'supabase' : null,
-            fileUrl ? 'uploaded' : 'registered',
-            req.user.id,
-            fileHash
-        ]);
+        if (fileUrl && imported?.count > 0) {
+            await createLayer(sheet.id, req.user.id, { name: 'Imported annotations', annotations: imported.annotations });
+            sheet.imported_annotations = imported.count;
+        }
 
-        const sheetId = result.rows[0].id;
+        res.status(201).json(sheet);
+    } catch (e) {
+        console.error('Create sheet failed:', e);
+        res.status(e.status || 500).json({ error: e.message });
+    }
+});
 
-        // Insert folder associations (many-to-many) - validate folder IDs exist first
-        let validFolderIds = [];
-        if (parsedFolderIds.length > 0) {
-            const validFoldersResult = await db.query(
-                'SELECT id FROM folders WHERE id = ANY($1::uuid[])',
-                [parsedFolderIds]
-            );
-            validFolderIds = validFoldersResult.rows.map(r => r.id);
+// Photos of one piece (e.g. taken with a phone), in page order, combined into a single PDF sheet.
+// The first photo is OCR'd; metadata sent with the request wins over what OCR finds.
+app.post('/api/sheets/photos', authenticate, upload.array('photos', MAX_PHOTO_PAGES), async (req, res) => {
+    const files = req.files || [];
+    const fields = req.body;
 
-            if (validFolderIds.length > 0) {
-                const folderValues = validFolderIds.map((fid, i) => `($1, $${i + 2})`).join(', ');
-                await db.query(
-                    `INSERT INTO sheet_folders (sheet_id, folder_id) VALUES ${folderValues}`,
-                    [sheetId, ...validFolderIds]
-                );
-            }
+    try {
+        if (files.length === 0) {
+            return res.status(400).json({ error: 'No photos uploaded' });
         }
-
-        // Add folder_ids to response
-        result.rows[0].folder_ids = validFolderIds;
-
-        // Handle instrument (many-to-many)
-        if (instrument) {
-            const instrumentResult = await db.query(
-                'SELECT id FROM instruments WHERE name = $1',
-                [instrument]
-            );
-            if (instrumentResult.rows.length > 0) {
-                await db.query(
-                    'INSERT INTO sheet_instruments (sheet_id, instrument_id, is_primary) VALUES ($1, $2, true)',
-                    [result.rows[0].id, instrumentResult.rows[0].id]
-                );
-            }
+        const notImage = files.find(f => !f.mimetype.startsWith('image/'));
+        if (notImage) {
+            return res.status(400).json({ error: `"${notImage.originalname}" is not an image` });
         }
 
-        // Add instrument, genre_name, and ensure all fields are present for frontend consistency
-        result.rows[0].instrument = instrument || null;
-        result.rows[0].genre_name = genre || null;
-        // Ensure media_links is parsed if it's a string
-        if (typeof result.rows[0].media_links === 'string') {
-            try {
-                result.rows[0].media_links = JSON.parse(result.rows[0].media_links);
-            } catch (e) {
-                result.rows[0].media_links = [];
-            }
+        const lang = await resolveLanguage(fields.lang, req.user.id);
+        const { pdf, firstPage } = await buildPdfFromPhotos(files);
+
+        // A busy OCR pool shouldn't lose the upload; the sheet is created without guesses
+        let ocr = {};
+        try {
+            ocr = await extractMetadataFromImage(firstPage, { lang });
+        } catch (e) {
+            console.error('OCR of first photo failed:', e.message);
+            ocr = { warning: 'Metadata could not be read from the first photo' };
         }
 
-        res.status(201).json(result.rows[0]);
+        const pick = (key) => fields[key] !== undefined && fields[key] !== '' ? fields[key] : ocr[key];
+        const baseName = path.basename(files[0].originalname, path.extname(files[0].originalname));
+        const stored = await storeGeneratedFile(pdf, `${baseName}.pdf`, 'application/pdf');
+
+        const sheet = await createSheet(req.user.id, {
+            title: pick('title'),
+            subtitle: fields.subtitle,
+            composer: pick('composer'),
+            arranger: pick('arranger'),
+            lyricist: pick('lyricist'),
+            instrument: fields.instrument,
+            keySignature: pick('keySignature'),
+            timeSignature: pick('timeSignature'),
+            tempo: pick('tempo'),
+            genre: fields.genre,
+            difficulty: fields.difficulty,
+            opus: pick('opus'),
+            publisher: pick('publisher'),
+            copyrightYear: pick('copyrightYear'),
+            tags: fields.tags,
+            notes: fields.notes,
+            folderIds: parseFolderIds(fields.folderIds, fields.folderId),
+            mediaLinks: parseJsonArray(fields.mediaLinks)
+        }, stored.file);
+        queueFileProcessing(sheet.id, req.user.id, stored.file, stored.localPath);
+
+        console.log(`Created sheet ${sheet.id} from ${files.length} photo(s)`);
+        res.status(201).json({ ...sheet, ocr });
     } catch (e) {
-        console.error('Create sheet failed:', e);
-        res.status(500).json({ error: e.message });
+        if (!e.status) console.error('Create sheet from photos failed:', e);
+        res.status(e.status || 500).json({ error: e.message });
+    } finally {
+        files.forEach(f => removeTempFile(f.path));
     }
 });
 
 app.put('/api/sheets/:id', authenticate, upload.single('file'), async (req, res) => {
     const { id } = req.params;
-    const {
-        title, subtitle, composer, arranger, lyricist,
-        instrument, keySignature, timeSignature, tempo,
-        genre, difficulty, opus, publisher, copyrightYear,
-        tags, notes, folderId, folderIds, annotations, mediaLinks
-    } = req.body;
+    // Removed when the request ends, unless handed on to content indexing
+    let tempFile = req.file?.path;
 
     try {
-        // Get existing sheet - ensure it belongs to the user
-        const existing = await db.query('SELECT * FROM sheets WHERE id = $1 AND user_id = $2', [id, req.user.id]);
-        if (existing.rows.length === 0) {
+        // ABC notation replaces the sheet's tune; its header fills in fields the request leaves out
+        const abc = readAbcInput(req.body, req.file);
+        const abcFields = abc ? await abcUpdateFields(abc) : {};
+        const newFile = req.file?.mimetype === ABC_TYPE ? null : req.file;
+        const {
+            title, subtitle, composer, arranger, lyricist,
+            instrument, keySignature, timeSignature, tempo,
+            genre, difficulty, opus, publisher, copyrightYear,
+            tags, notes, folderId, folderIds, annotations, mediaLinks
+        } = { ...abcFields, ...req.body };
+
+        // Get existing sheet - only the owner or users with 'full' permission can edit it
+        const access = await getSheetAccess(id, req.user.id);
+        if (!access) {
             return res.status(404).json({ error: 'Sheet not found' });
         }
-        const sheet = existing.rows[0];
-
-        let fileUrl = sheet.file_url;
-        let fileName = sheet.file_name;
-        let fileSize = sheet.file_size;
-        let fileType = sheet.file_type;
-        let storageKey = sheet.storage_key;
-
-        // Upload new file if provided
-        if (req.file) {
-            // Delete old file from storage
-            if (sheet.storage_key) {
-                await deleteFile(sheet.storage_key);
-            }
-
-            const uploadResult = await uploadFile(req.file.path, req.file.originalname);
-            fileUrl = uploadResult.url;
-            storageKey = uploadResult.storageKey;
-            fileName = req.file.originalname;
-            fileSize = uploadResult.size;
-            fileType = req.file.mimetype;
-
-            if (fs.existsSync(req.file.path)) {
-                fs.unlinkSync(req.file.path);
-            }
+        if (!hasPermission(access.permission, 'full')) {
+            return res.status(403).json({ error: 'You do not have permission to edit this sheet' });
         }
+        const { sheet } = access;
 
-        // Parse tags
+        // Parse the body before touching storage, so a bad request leaves the old file in place
         const tagsArray = tags !== undefined
             ? (typeof tags === 'string' ? tags.split(',').map(t => t.trim()).filter(t => t) : tags)
             : sheet.tags;
 
         // Handle folder IDs (many-to-many)
-        const isValidUUID = (str) => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(str);
-
         let parsedFolderIds = null; // null means no change
         if (folderIds !== undefined) {
             try {
@@ -1428,10 +1446,8 @@ app.put('/api/sheets/:id', authenticate, upload.single('file'), async (req, res)
             parsedFolderIds = folderId && isValidUUID(folderId) ? [folderId] : [];
         }
 
-        // Parse annotations
-        const annotationsJson = annotations !== undefined
-            ? (typeof annotations === 'string' ? JSON.parse(annotations) : annotations)
-            : sheet.annotations;
+        // Annotations sent with the sheet go to the owner's default layer
+        const annotationsJson = annotations !== undefined ? parseAnnotations(annotations) : undefined;
 
         // Parse media links
         let mediaLinksJson = sheet.media_links;
@@ -1443,6 +1459,66 @@ app.put('/api/sheets/:id', authenticate, upload.single('file'), async (req, res)
             }
         }
 
+        let fileUrl = sheet.file_url;
+        let fileName = sheet.file_name;
+        let fileSize = sheet.file_size;
+        let fileType = sheet.file_type;
+        let storageKey = sheet.storage_key;
+        let pageCount = sheet.page_count;
+        let pageDimensions = sheet.page_dimensions || [];
+        let thumbnail = { url: sheet.thumbnail_url, storageKey: sheet.thumbnail_key };
+        let pagePreviews = sheet.page_previews || [];
+        let parts = sheet.parts || [];
+        let measureCount = sheet.measure_count;
+        let fileHash = sheet.file_hash;
+        let embedded = null;
+        let imported = null;
+
+        // A new file goes through what POST /api/sheets does with one
+        if (newFile) {
+            fileHash = await calculateFileHash(newFile.path);
+            const dupCheck = await db.query(
+                'SELECT id, title, composer FROM sheets WHERE file_hash = $1 AND user_id = $2 AND id <> $3',
+                [fileHash, sheet.user_id, id]
+            );
+            if (dupCheck.rows.length > 0) {
+                return res.status(409).json({
+                    error: 'Duplicate file content detected',
+                    duplicate: dupCheck.rows[0]
+                });
+            }
+
+            let pageInfo;
+            ({ pageInfo, embedded, imported } = await readUploadedFile(newFile, {
+                importAnnotations: req.body.importAnnotations !== 'false'
+            }));
+            pageCount = pageInfo.pageCount;
+            pageDimensions = pageInfo.pages;
+
+            const uploadResult = await uploadFile(newFile.path, newFile.originalname);
+            fileUrl = uploadResult.url;
+            storageKey = uploadResult.storageKey;
+            fileName = newFile.originalname;
+            fileSize = uploadResult.size;
+            fileType = newFile.mimetype;
+
+            // Only once the new file is stored: delete the old one and the images generated from it
+            if (sheet.storage_key) {
+                await deleteFile(sheet.storage_key);
+            }
+            await deletePreviewFiles(sheet);
+
+            thumbnail = await createThumbnail(newFile.path, fileType, storageKey) || {};
+            pagePreviews = [];
+
+            parts = embedded?.parts || [];
+            measureCount = embedded?.measureCount || null;
+        }
+
+        // What the new file declares fills in fields the sheet has no value for; request fields win
+        const withFile = (value, current, key) => value !== undefined ? value : (current || embedded?.[key] || current);
+        const year = withFile(copyrightYear, sheet.copyright_year, 'copyrightYear');
+
         // Look up genre_id
         let genreId = sheet.genre_id;
         if (genre !== undefined) {
@@ -1461,24 +1537,26 @@ app.put('/api/sheets/:id', authenticate, upload.single('file'), async (req, res)
                 difficulty = $9, genre_id = $10, opus = $11, publisher = $12, copyright_year = $13,
                 tags = $14, notes = $15, media_links = $16,
                 file_url = $17, file_name = $18, file_size = $19, file_type = $20, storage_key = $21,
-                annotations = $22,
-                status = $23
-            WHERE id = $24
+                status = $22,
+                page_count = $23, page_dimensions = $24,
+                thumbnail_url = $25, thumbnail_key = $26, page_previews = $27,
+                parts = $28, measure_count = $29, abc_notation = $30, file_hash = $31
+            WHERE id = $32
             RETURNING *
         `, [
-            title !== undefined ? title : sheet.title,
-            subtitle !== undefined ? subtitle : sheet.subtitle,
-            composer !== undefined ? composer : sheet.composer,
-            arranger !== undefined ? arranger : sheet.arranger,
-            lyricist !== undefined ? lyricist : sheet.lyricist,
-            keySignature !== undefined ? keySignature : sheet.key_signature,
-            timeSignature !== undefined ? timeSignature : sheet.time_signature,
-            tempo !== undefined ? tempo : sheet.tempo,
+            withFile(title, sheet.title, 'title'),
+            withFile(subtitle, sheet.subtitle, 'subtitle'),
+            withFile(composer, sheet.composer, 'composer'),
+            withFile(arranger, sheet.arranger, 'arranger'),
+            withFile(lyricist, sheet.lyricist, 'lyricist'),
+            withFile(keySignature, sheet.key_signature, 'keySignature'),
+            withFile(timeSignature, sheet.time_signature, 'timeSignature'),
+            withFile(tempo, sheet.tempo, 'tempo'),
             difficulty !== undefined ? difficulty : sheet.difficulty,
             genreId,
-            opus !== undefined ? opus : sheet.opus,
+            withFile(opus, sheet.opus, 'opus'),
             publisher !== undefined ? publisher : sheet.publisher,
-            copyrightYear !== undefined ? (copyrightYear ? parseInt(copyrightYear) : null) : sheet.copyright_year,
+            year ? parseInt(year) : null,
             tagsArray,
             notes !== undefined ? notes : sheet.notes,
             JSON.stringify(mediaLinksJson),
@@ -1487,35 +1565,70 @@ app.put('/api/sheets/:id', authenticate, upload.single('file'), async (req, res)
             fileSize,
             fileType,
             storageKey,
-            annotationsJson,
             fileUrl ? 'uploaded' : sheet.status,
+            pageCount,
+            JSON.stringify(pageDimensions),
+            thumbnail.url || null,
+            thumbnail.storageKey || null,
+            JSON.stringify(pagePreviews),
+            JSON.stringify(parts),
+            measureCount,
+            abc !== null ? abcFields.abc || null : sheet.abc_notation,
+            fileHash,
             id
         ]);
 
-        // Update folder associations if provided
+        if (annotationsJson !== undefined) {
+            await saveDefaultLayer(id, req.user.id, access.permission, annotationsJson);
+            result.rows[0].annotations = annotationsJson;
+        } else {
+            result.rows[0].annotations = (await getDefaultLayer(id, req.user.id))?.annotations || {};
+        }
+
+        // A new file makes the indexed page text stale
+        if (newFile) {
+            await db.query('DELETE FROM sheet_pages WHERE sheet_id = $1', [id]);
+            await db.query('UPDATE sheets SET content_text = NULL, content_indexed_at = NULL WHERE id = $1', [id]);
+            queueContentIndexing({
+                sheetId: id,
+                userId: req.user.id,
+                mimetype: fileType,
+                fileUrl,
+                localPath: newFile.path
+            });
+            tempFile = null;
+            queuePreviews({ sheetId: id, fileUrl, storageKey, mimetype: fileType, thumbnail: !thumbnail.url });
+        }
+
+        if (imported?.count > 0) {
+            await createLayer(id, req.user.id, { name: 'Imported annotations', annotations: imported.annotations });
+            result.rows[0].imported_annotations = imported.count;
+        }
+
+        // Update folder associations if provided. Links are only added to or removed
+        // from folders the user has 'full' access to; the rest stay as they are.
         if (parsedFolderIds !== null) {
-            // Remove old associations
-            await db.query('DELETE FROM sheet_folders WHERE sheet_id = $1', [id]);
-            // Insert new associations - validate folder IDs exist first
-            if (parsedFolderIds.length > 0) {
-                // Filter to only valid folder IDs that exist in the database
-                const validFoldersResult = await db.query(
-                    'SELECT id FROM folders WHERE id = ANY($1::uuid[])',
-                    [parsedFolderIds]
-                );
-                const validFolderIds = validFoldersResult.rows.map(r => r.id);
+            const currentResult = await db.query('SELECT folder_id FROM sheet_folders WHERE sheet_id = $1', [id]);
+            const currentIds = currentResult.rows.map(r => r.folder_id);
+            const manageable = await filterManageableFolders([...currentIds, ...parsedFolderIds], req.user.id);
 
-                if (validFolderIds.length > 0) {
-                    const folderValues = validFolderIds.map((fid, i) => `($1, $${i + 2})`).join(', ');
-                    await db.query(
-                        `INSERT INTO sheet_folders (sheet_id, folder_id) VALUES ${folderValues}`,
-                        [id, ...validFolderIds]
-                    );
-                }
-                result.rows[0].folder_ids = validFolderIds;
-            } else {
-                result.rows[0].folder_ids = [];
+            const removeIds = currentIds.filter(fid => !parsedFolderIds.includes(fid) && manageable.includes(fid));
+            const addIds = manageable.filter(fid => parsedFolderIds.includes(fid) && !currentIds.includes(fid));
+
+            if (removeIds.length > 0) {
+                await db.query(
+                    'DELETE FROM sheet_folders WHERE sheet_id = $1 AND folder_id = ANY($2::uuid[])',
+                    [id, removeIds]
+                );
             }
+            if (addIds.length > 0) {
+                const folderValues = addIds.map((fid, i) => `($1, $${i + 2})`).join(', ');
+                await db.query(
+                    `INSERT INTO sheet_folders (sheet_id, folder_id) VALUES ${folderValues}`,
+                    [id, ...addIds]
+                );
+            }
+            result.rows[0].folder_ids = [...currentIds.filter(fid => !removeIds.includes(fid)), ...addIds];
         } else {
             // Fetch current folder_ids
             const folderResult = await db.query(
@@ -1573,7 +1686,9 @@ app.put('/api/sheets/:id', authenticate, upload.single('file'), async (req, res)
         res.json(result.rows[0]);
     } catch (e) {
         console.error('Update sheet failed:', e);
-        res.status(500).json({ error: e.message });
+        res.status(e.status || 500).json({ error: e.message });
+    } finally {
+        removeTempFile(tempFile);
     }
 });
 
@@ -1581,31 +1696,21 @@ app.delete('/api/sheets/:id', authenticate, async (req, res) => {
     const { id } = req.params;
 
     try {
-        // Check if user owns the sheet OR has 'full' permission
-        const accessCheck = await db.query(`
-            SELECT s.storage_key, s.user_id,
-                   CASE WHEN s.user_id = $2 THEN true ELSE false END as is_owner,
-                   ss.permission
-            FROM sheets s
-            LEFT JOIN sheet_shares ss ON s.id = ss.sheet_id AND ss.shared_with_user_id = $2
-            WHERE s.id = $1 AND (s.user_id = $2 OR ss.shared_with_user_id = $2)
-        `, [id, req.user.id]);
-
-        if (accessCheck.rows.length === 0) {
+        const access = await getSheetAccess(id, req.user.id);
+        if (!access) {
             return res.status(404).json({ error: 'Sheet not found' });
         }
 
-        const { is_owner, permission, storage_key } = accessCheck.rows[0];
-
         // Only owner or users with 'full' permission can delete
-        if (!is_owner && permission !== 'full') {
+        if (!hasPermission(access.permission, 'full')) {
             return res.status(403).json({ error: 'You do not have permission to delete this sheet' });
         }
 
-        // Delete the file from storage
-        if (storage_key) {
-            await deleteFile(storage_key);
+        // Delete the file and its generated images from storage
+        if (access.sheet.storage_key) {
+            await deleteFile(access.sheet.storage_key);
         }
+        await deletePreviewFiles(access.sheet);
 
         // Delete the sheet (will cascade delete shares)
         await db.query('DELETE FROM sheets WHERE id = $1', [id]);
@@ -1626,19 +1731,11 @@ app.post('/api/sheets/batch-delete', authenticate, async (req, res) => {
 
     try {
         // Check permissions for all sheets
-        const accessCheck = await db.query(`
-            SELECT s.id, s.storage_key, s.user_id,
-                   CASE WHEN s.user_id = $2 THEN true ELSE false END as is_owner,
-                   ss.permission
-            FROM sheets s
-            LEFT JOIN sheet_shares ss ON s.id = ss.sheet_id AND ss.shared_with_user_id = $2
-            WHERE s.id = ANY($1::uuid[]) AND (s.user_id = $2 OR ss.shared_with_user_id = $2)
-        `, [ids, req.user.id]);
-
-        const accessibleSheets = accessCheck.rows;
-        const deletableSheets = accessibleSheets.filter(
-            sheet => sheet.is_owner || sheet.permission === 'full'
-        );
+        const accessible = await getSheetsAccess(ids, req.user.id);
+        const accessibleSheets = accessible.map(({ sheet }) => sheet);
+        const deletableSheets = accessible
+            .filter(({ permission }) => hasPermission(permission, 'full'))
+            .map(({ sheet }) => sheet);
 
         if (deletableSheets.length === 0) {
             return res.status(403).json({ error: 'You do not have permission to delete any of the selected sheets' });
@@ -1654,6 +1751,7 @@ app.post('/api/sheets/batch-delete', authenticate, async (req, res) => {
                 if (sheet.storage_key) {
                     await deleteFile(sheet.storage_key);
                 }
+                await deletePreviewFiles(sheet);
 
                 // Delete from database
                 await db.query('DELETE FROM sheets WHERE id = $1', [sheet.id]);
@@ -1666,9 +1764,9 @@ app.post('/api/sheets/batch-delete', authenticate, async (req, res) => {
 
         // Report sheets that weren't accessible
         const notFoundIds = ids.filter(id => !accessibleSheets.find(s => s.id === id));
-        const noPermissionIds = accessibleSheets
-            .filter(s => !s.is_owner && s.permission !== 'full')
-            .map(s => s.id);
+        const noPermissionIds = accessible
+            .filter(({ permission }) => !hasPermission(permission, 'full'))
+            .map(({ sheet }) => sheet.id);
 
         res.json({
             deleted: deletedIds,
@@ -1684,34 +1782,47 @@ app.post('/api/sheets/batch-delete', authenticate, async (req, res) => {
 });
 
 // Download Sheet (redirect to storage URL or generate annotated PDF)
+// `annotated=true` flattens annotation layers into the PDF: those listed in
+// `layers` (comma-separated ids), or by default every layer the caller has not hidden.
+// `annotated=editable` adds them as PDF annotation objects instead, which other apps can edit.
 app.get('/api/sheets/:id/download', authenticate, async (req, res) => {
     const { id } = req.params;
-    const { annotated } = req.query;
+    const { annotated, layers: layerIds } = req.query;
 
     try {
         // Check ownership or shared access
-        const result = await db.query(`
-            SELECT s.* FROM sheets s
-            LEFT JOIN sheet_shares ss ON s.id = ss.sheet_id AND ss.shared_with_user_id = $2
-            WHERE s.id = $1 AND (s.user_id = $2 OR ss.shared_with_user_id = $2)
-        `, [id, req.user.id]);
-        if (result.rows.length === 0 || !result.rows[0].file_url) {
+        const access = await getSheetAccess(id, req.user.id);
+        if (!access || !access.sheet.file_url) {
             return res.status(404).send("File not found");
         }
 
-        const sheet = result.rows[0];
-        const targetAnnotations = sheet.annotations || {};
-        const hasAnnotations = Object.keys(targetAnnotations).length > 0;
+        const { sheet } = access;
+        const visibleLayers = await listLayers(id, req.user.id);
+        const chosenIds = typeof layerIds === 'string' ? layerIds.split(',').map(l => l.trim()).filter(Boolean) : null;
+        const chosenLayers = visibleLayers.filter(layer =>
+            chosenIds ? chosenIds.includes(layer.id) : !layer.hidden
+        );
+        const targetAnnotations = combineLayers(chosenLayers);
+        // With a known page count, annotations for pages the file doesn't have are ignored up front
+        const hasAnnotations = Object.keys(targetAnnotations).some(pageIndex => {
+            const pageNum = parseInt(pageIndex);
+            return (targetAnnotations[pageIndex] || []).length > 0 &&
+                pageNum >= 1 && (!sheet.page_count || pageNum <= sheet.page_count);
+        });
 
-        // If not annotated request or no annotations exist, redirect to file URL
-        if (annotated !== 'true' || !hasAnnotations) {
+        // Only PDFs are rewritten (library metadata, annotations); other files come straight from storage
+        const isPdf = sheet.file_type === 'application/pdf' || /\.pdf$/i.test(sheet.file_name || '');
+        if (!isPdf) {
             return res.redirect(sheet.file_url);
         }
+        const editable = annotated === 'editable';
+        const withAnnotations = (annotated === 'true' || editable) && hasAnnotations;
 
-        console.log('Generating annotated PDF for sheet:', id);
-        console.log('Annotations:', JSON.stringify(targetAnnotations).substring(0, 200));
+        if (withAnnotations) {
+            console.log('Generating annotated PDF for sheet:', id);
+            console.log('Annotations:', JSON.stringify(targetAnnotations).substring(0, 200));
+        }
 
-        // Generate annotated PDF
         const response = await fetch(sheet.file_url);
         if (!response.ok) {
             console.error('Failed to fetch PDF:', response.status);
@@ -1719,70 +1830,29 @@ app.get('/api/sheets/:id/download', authenticate, async (req, res) => {
         }
         const pdfBuffer = await response.arrayBuffer();
 
-        const pdfDoc = await PDFDocument.load(pdfBuffer);
-        const helveticaFont = await pdfDoc.embedFont(StandardFonts.Helvetica);
-        const pages = pdfDoc.getPages();
+        let pdfDoc;
+        try {
+            pdfDoc = await PDFDocument.load(pdfBuffer);
+        } catch (loadErr) {
+            if (withAnnotations) throw loadErr;
+            // Encrypted or damaged PDFs are passed on untouched
+            console.error('Could not rewrite PDF for download:', loadErr.message);
+            return res.redirect(sheet.file_url);
+        }
+        // Title, composer, arranger and tags go into the file so it stays identifiable in other readers
+        writePdfMetadata(pdfDoc, sheet);
 
-        Object.keys(targetAnnotations).forEach(pageIndex => {
-            const pageNum = parseInt(pageIndex);
-            if (pageNum >= 1 && pageNum <= pages.length) {
-                const page = pages[pageNum - 1];
-                const { width, height } = page.getSize();
-                const pageAnns = targetAnnotations[pageIndex] || [];
-
-                pageAnns.forEach(ann => {
-                    try {
-                        if (ann.type === 'path' && ann.points && ann.points.length > 1) {
-                            const pathPoints = ann.points.map(p => ({
-                                x: p.x * width,
-                                y: height - (p.y * height)
-                            }));
-
-                            let colorObj = { r: 1, g: 1, b: 0 };
-                            try {
-                                colorObj = ann.color ? JSON.parse(ann.color) : colorObj;
-                            } catch (e) {}
-                            const opacity = ann.opacity !== undefined ? ann.opacity : 0.5;
-                            const thickness = ann.strokeWidth || 5;
-
-                            for (let i = 0; i < pathPoints.length - 1; i++) {
-                                page.drawLine({
-                                    start: pathPoints[i],
-                                    end: pathPoints[i+1],
-                                    thickness: thickness,
-                                    color: rgb(colorObj.r, colorObj.g, colorObj.b),
-                                    opacity: opacity,
-                                });
-                            }
-                        } else if (ann.type === 'text' && ann.text) {
-                            const fontSize = ann.size || 12;
-                            const x = ann.x * width;
-                            const y = height - (ann.y * height) - fontSize + 2;
-                            let colorObj = { r: 0, g: 0, b: 0 };
-                            try {
-                                colorObj = ann.color ? JSON.parse(ann.color) : colorObj;
-                            } catch (e) {}
-
-                            page.drawText(ann.text, {
-                                x: x,
-                                y: y,
-                                size: fontSize,
-                                font: helveticaFont,
-                                color: rgb(colorObj.r, colorObj.g, colorObj.b),
-                            });
-                        }
-                    } catch (annErr) {
-                        console.error('Error processing annotation:', annErr);
-                    }
-                });
-            }
-        });
+        if (withAnnotations && editable) {
+            await writePdfAnnotations(pdfDoc, chosenLayers);
+        } else if (withAnnotations) {
+            await drawAnnotations(pdfDoc, targetAnnotations);
+        }
 
         const pdfBytes = await pdfDoc.save();
-        // Sanitize filename for Content-Disposition header
-        const safeTitle = (sheet.title || 'sheet').replace(/[^\w\s.-]/g, '_').substring(0, 50);
+        // Named after the title, Greek and all (see contentDisposition)
+        const fileTitle = (sheet.title || 'sheet').substring(0, 50);
         res.setHeader('Content-Type', 'application/pdf');
-        res.setHeader('Content-Disposition', `attachment; filename="${safeTitle}_annotated.pdf"`);
+        res.setHeader('Content-Disposition', contentDisposition('attachment', `${fileTitle}${withAnnotations ? '_annotated' : ''}.pdf`));
         res.send(Buffer.from(pdfBytes));
 
     } catch (e) {
@@ -1797,22 +1867,12 @@ app.get('/api/sheets/:id/pdf', authenticate, async (req, res) => {
 
     try {
         // Check ownership or shared access
-        const result = await db.query(`
-            SELECT s.file_url, s.file_name FROM sheets s
-            LEFT JOIN sheet_shares ss ON s.id = ss.sheet_id AND ss.shared_with_user_id = $2
-            WHERE s.id = $1 AND (s.user_id = $2 OR ss.shared_with_user_id = $2)
-        `, [id, req.user.id]);
-        if (result.rows.length === 0 || !result.rows[0].file_url) {
+        const access = await getSheetAccess(id, req.user.id);
+        if (!access || !access.sheet.file_url) {
             return res.status(404).send('File not found');
         }
 
-        const sheet = result.rows[0];
-        const response = await fetch(sheet.file_url);
-        const buffer = await response.arrayBuffer();
-
-        res.setHeader('Content-Type', 'application/pdf');
-        res.setHeader('Content-Disposition', `inline; filename="${sheet.file_name}"`);
-        res.send(Buffer.from(buffer));
+        await sendSheetPdf(res, access.sheet);
     } catch (e) {
         console.error('PDF proxy failed:', e);
         res.status(500).json({ error: e.message });
@@ -1821,12 +1881,7 @@ app.get('/api/sheets/:id/pdf', authenticate, async (req, res) => {
 
 // --- SHEET SHARING ---
 
-// Permission levels:
-// 'view'          - View only, no modifications
-// 'annotate_self' - Can add personal annotations (only they can see)
-// 'annotate_all'  - Can add annotations visible to everyone
-// 'full'          - Full access including ability to delete
-const VALID_PERMISSIONS = ['view', 'annotate_self', 'annotate_all', 'full'];
+// Permission levels are SHARE_PERMISSIONS in lib/access.js
 
 // Share a sheet with another user by email
 app.post('/api/sheets/:id/share', authenticate, async (req, res) => {
@@ -1837,27 +1892,25 @@ app.post('/api/sheets/:id/share', authenticate, async (req, res) => {
         return res.status(400).json({ error: 'Email is required' });
     }
 
-    if (!VALID_PERMISSIONS.includes(permission)) {
+    if (!SHARE_PERMISSIONS.includes(permission)) {
         return res.status(400).json({ error: 'Invalid permission level. Must be: view, annotate_self, annotate_all, or full' });
     }
 
     try {
         // Verify the sheet exists and the user owns it
-        const sheetResult = await db.query(
-            'SELECT id, title FROM sheets WHERE id = $1 AND user_id = $2',
-            [id, req.user.id]
-        );
-        if (sheetResult.rows.length === 0) {
+        const access = await getSheetAccess(id, req.user.id);
+        if (access?.permission !== 'owner') {
             return res.status(404).json({ error: 'Sheet not found or you do not own it' });
         }
 
-        // Find the user by email
+        // Find the user by email; without an account they get an invitation, accepted when they register
         const userResult = await db.query(
             'SELECT id, email, display_name FROM users WHERE LOWER(email) = LOWER($1)',
             [email]
         );
         if (userResult.rows.length === 0) {
-            return res.status(404).json({ error: 'Email not registered to a user' });
+            const invitation = await createInvitation({ sheetId: id }, email, permission, req.user.id, access.sheet.title);
+            return res.status(201).json({ message: 'Invitation created', invitation: serializeInvitation(invitation) });
         }
 
         const targetUser = userResult.rows[0];
@@ -1899,7 +1952,7 @@ app.post('/api/sheets/:id/share', authenticate, async (req, res) => {
         });
     } catch (e) {
         console.error('Share sheet failed:', e);
-        res.status(500).json({ error: e.message });
+        res.status(e.status || 500).json({ error: e.message });
     }
 });
 
@@ -1909,11 +1962,8 @@ app.get('/api/sheets/:id/shares', authenticate, async (req, res) => {
 
     try {
         // Verify the sheet exists and the user owns it
-        const sheetResult = await db.query(
-            'SELECT id FROM sheets WHERE id = $1 AND user_id = $2',
-            [id, req.user.id]
-        );
-        if (sheetResult.rows.length === 0) {
+        const access = await getSheetAccess(id, req.user.id);
+        if (access?.permission !== 'owner') {
             return res.status(404).json({ error: 'Sheet not found or you do not own it' });
         }
 
@@ -1954,11 +2004,8 @@ app.delete('/api/sheets/:id/share', authenticate, async (req, res) => {
 
     try {
         // Verify the sheet exists and the user owns it
-        const sheetResult = await db.query(
-            'SELECT id FROM sheets WHERE id = $1 AND user_id = $2',
-            [id, req.user.id]
-        );
-        if (sheetResult.rows.length === 0) {
+        const access = await getSheetAccess(id, req.user.id);
+        if (access?.permission !== 'owner') {
             return res.status(404).json({ error: 'Sheet not found or you do not own it' });
         }
 
@@ -1990,6 +2037,46 @@ app.delete('/api/sheets/:id/share', authenticate, async (req, res) => {
     }
 });
 
+// Get pending invitations to a sheet (emails without an account yet)
+app.get('/api/sheets/:id/invitations', authenticate, async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        // Verify the sheet exists and the user owns it
+        const access = await getSheetAccess(id, req.user.id);
+        if (access?.permission !== 'owner') {
+            return res.status(404).json({ error: 'Sheet not found or you do not own it' });
+        }
+
+        res.json(await listInvitations({ sheetId: id }));
+    } catch (e) {
+        console.error('Get invitations failed:', e);
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// Revoke a pending sheet invitation
+app.delete('/api/sheets/:id/invitations/:invitationId', authenticate, async (req, res) => {
+    const { id, invitationId } = req.params;
+
+    try {
+        // Verify the sheet exists and the user owns it
+        const access = await getSheetAccess(id, req.user.id);
+        if (access?.permission !== 'owner') {
+            return res.status(404).json({ error: 'Sheet not found or you do not own it' });
+        }
+
+        if (!await revokeInvitation({ sheetId: id }, invitationId)) {
+            return res.status(404).json({ error: 'Invitation not found' });
+        }
+
+        res.status(200).json({ message: 'Invitation revoked' });
+    } catch (e) {
+        console.error('Revoke invitation failed:', e);
+        res.status(500).json({ error: e.message });
+    }
+});
+
 // --- LOOKUP DATA ---
 
 app.get('/api/instruments', async (req, res) => {
@@ -2025,4 +2112,10 @@ app.listen(port, () => {
     } else {
         console.log('⚠️ Email Service: DISABLED (Missing RESEND_API_KEY)');
     }
+
+    // Load OCR language models before the first request needs them
+    ocrPool.warmUp().catch(e => console.error('OCR warm-up failed:', e));
+
+    // Pick up batch uploads that were mid-processing when the server stopped
+    resumeInterruptedBatches().catch(e => console.error('Resume batches failed:', e));
 });
@@ -0,0 +1,243 @@
+// ABC notation (https://abcnotation.com/wiki/abc:standard:v2.1): plain-text tunes,
+// stored on the sheet as text. Header fields map onto the sheet's metadata.
+const fs = require('fs');
+const db = require('./db');
+const { httpError } = require('./http-errors');
+const { parseTags, parseFolderIds, parseJsonArray, createSheet } = require('./sheets');
+
+const ABC_TYPE = 'text/vnd.abc';
+// Tunes accepted from one file (a whole tune book)
+const MAX_ABC_TUNES = 1000;
+
+// Keys: tonic, optional accidental, optional mode ("G", "F#m", "Bb mix", "D Dorian")
+const KEY_REGEX = /^([A-G])([#b]?)\s*([A-Za-z]*)/;
+const MODES = {
+  '': 'major', maj: 'major', ion: 'major',
+  m: 'minor', min: 'minor', aeo: 'minor',
+  dor: 'dorian', phr: 'phrygian', lyd: 'lydian', mix: 'mixolydian', loc: 'locrian'
+};
+
+// Q: beat lengths -> the note symbols tempo is written with elsewhere (♩=120)
+const BEAT_SYMBOLS = {
+  '1/1': '𝅝', '1/2': '𝅗𝅥', '1/4': '♩', '1/8': '♪',
+  '3/4': '𝅗𝅥.', '3/8': '♩.', '3/16': '♪.'
+};
+
+// Text escapes for accented letters: \'e, \"o, \~n, \ss ...
+const ACCENTS = {
+  '`': '\u0300', "'": '\u0301', '^': '\u0302', '~': '\u0303', '=': '\u0304',
+  'u': '\u0306', '"': '\u0308', 'o': '\u030A', 'v': '\u030C', ',': '\u0327'
+};
+const LIGATURES = { ss: 'ß', ae: 'æ', AE: 'Æ', oe: 'œ', OE: 'Œ', aa: 'å', AA: 'Å', o: 'ø', O: 'Ø' };
+
+function decodeText(value) {
+  return value
+    .replace(/\\u([0-9a-fA-F]{4})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)))
+    .replace(/\\(ss|ae|AE|oe|OE|aa|AA)|\\\/([oO])/g, (_, pair, slashed) => LIGATURES[pair || slashed])
+    .replace(/\\([`'^~="uov,])([A-Za-z])/g, (match, accent, letter) => (letter + ACCENTS[accent]).normalize('NFC'))
+    .replace(/%.*$/, '')
+    .trim();
+}
+
+function keyName(value) {
+  const field = value.trim();
+  const match = field.match(KEY_REGEX);
+  if (!match) return null;
+  // Anything else after the tonic (clef=, transpose=) leaves the key major
+  const mode = MODES[match[3].slice(0, 3).toLowerCase()] || 'major';
+  return `${match[1]}${match[2]} ${mode}`;
+}
+
+function meterName(value) {
+  const field = value.trim();
+  if (field === 'C') return '4/4';
+  if (field === 'C|') return '2/2';
+  const match = field.match(/^(\d+(?:\+\d+)*)\s*\/\s*(\d+)/);
+  return match ? `${match[1]}/${match[2]}` : null;
+}
+
+// "1/4=120", "\"Allegro\" 3/8=60", legacy "120"
+function tempoName(value) {
+  const words = (value.match(/"([^"]*)"/g) || []).map(q => q.slice(1, -1).trim()).filter(Boolean);
+  const rest = value.replace(/"[^"]*"/g, ' ').trim();
+  let mark = null;
+  const beat = rest.match(/^(\d+\/\d+(?:\s+\d+\/\d+)*)\s*=\s*(\d+)/);
+  if (beat) {
+    const length = beat[1].replace(/\s+/g, ' ');
+    mark = `${BEAT_SYMBOLS[length] || length}=${beat[2]}`;
+  } else if (/^\d+$/.test(rest)) {
+    mark = `♩=${rest}`;
+  }
+  return [...words, mark].filter(Boolean).join(' ') || null;
+}
+
+function readFields(lines) {
+  const fields = {};
+  for (const line of lines) {
+    const match = line.match(/^([A-Za-z]):(.*)$/);
+    if (!match) continue;
+    (fields[match[1]] = fields[match[1]] || []).push(decodeText(match[2]));
+  }
+  return fields;
+}
+
+/**
+ * Split ABC text into tunes and read their headers. Fields in the file header
+ * (before the first X:) apply to every tune, and are kept in front of each
+ * tune's own text so every tune stays a complete ABC file.
+ * @param {string} text
+ * @returns {Array<{abc: string, number: number|null, title: string, subtitle: string,
+ *   composer: string, keySignature: string|null, timeSignature: string|null,
+ *   tempo: string|null, rhythms: string[]}>}
+ */
+function parseAbc(text) {
+  const lines = String(text || '').replace(/\r\n?/g, '\n').split('\n');
+  const firstTune = lines.findIndex(line => /^X:/.test(line));
+  if (firstTune === -1) {
+    // A single tune pasted without its X: line
+    return lines.some(line => /^[TK]:/.test(line)) ? [readTune(lines, {}, '')] : [];
+  }
+
+  const fileHeaderLines = lines.slice(0, firstTune).filter(line => line.trim() && !/^%[^%]/.test(line));
+  const fileHeader = readFields(fileHeaderLines);
+  const prefix = fileHeaderLines.length > 0 ? fileHeaderLines.join('\n') + '\n\n' : '';
+
+  const tunes = [];
+  let start = firstTune;
+  for (let i = firstTune + 1; i <= lines.length; i++) {
+    if (i === lines.length || /^X:/.test(lines[i])) {
+      tunes.push(readTune(lines.slice(start, i), fileHeader, prefix));
+      start = i;
+    }
+  }
+  return tunes;
+}
+
+function readTune(lines, fileHeader, prefix) {
+  // The tune header runs until K:, the first line of music
+  const keyLine = lines.findIndex(line => /^K:/.test(line));
+  const header = readFields(keyLine === -1 ? lines : lines.slice(0, keyLine + 1));
+  const field = (name) => (header[name] || fileHeader[name] || []).filter(Boolean);
+
+  const titles = field('T');
+  const number = header.X ? parseInt(header.X[0]) : NaN;
+  return {
+    abc: prefix + lines.join('\n').trim() + '\n',
+    number: Number.isNaN(number) ? null : number,
+    title: titles[0] || '',
+    subtitle: titles.slice(1).join(' / '),
+    composer: field('C').join(', '),
+    keySignature: field('K')[0] ? keyName(field('K')[0]) : null,
+    timeSignature: field('M')[0] ? meterName(field('M')[0]) : null,
+    tempo: field('Q')[0] ? tempoName(field('Q')[0]) : null,
+    rhythms: field('R').flatMap(r => r.split(/[,;]/)).map(r => r.trim().toLowerCase()).filter(Boolean)
+  };
+}
+
+/**
+ * Sheet fields from a tune's header. R: (rhythm) becomes the genre when it names
+ * one of the genres (e.g. "Folk"), and a tag otherwise (e.g. "reel").
+ * @param {object} tune - From parseAbc
+ * @param {string[]} genreNames - Names in the genres table
+ * @returns {{title, subtitle, composer, keySignature, timeSignature, tempo, genre, tags: string[]}}
+ */
+function abcSheetFields(tune, genreNames) {
+  const genre = genreNames.find(name => tune.rhythms.includes(name.toLowerCase()));
+  return {
+    title: tune.title || undefined,
+    subtitle: tune.subtitle || undefined,
+    composer: tune.composer || undefined,
+    keySignature: tune.keySignature || undefined,
+    timeSignature: tune.timeSignature || undefined,
+    tempo: tune.tempo || undefined,
+    genre,
+    tags: tune.rhythms.filter(r => !genre || r !== genre.toLowerCase())
+  };
+}
+
+async function getGenreNames() {
+  const result = await db.query('SELECT name FROM genres');
+  return result.rows.map(r => r.name);
+}
+
+/**
+ * Create a sheet per tune. With a single tune the request's fields win over the
+ * ABC header; in a collection each tune keeps its own title, composer, key etc.
+ * and the request supplies the rest (folders, tags, difficulty ...).
+ * @param {string} userId - Owner
+ * @param {string} text - ABC text
+ * @param {object} body - Request fields (POST /api/sheets names)
+ * @returns {Promise<object[]>} Created rows
+ */
+async function createAbcSheets(userId, text, body) {
+  const tunes = parseAbc(text);
+  if (tunes.length === 0) throw httpError(400, 'No ABC tunes found');
+  if (tunes.length > MAX_ABC_TUNES) throw httpError(400, `At most ${MAX_ABC_TUNES} tunes per file`);
+
+  const genreNames = await getGenreNames();
+  const single = tunes.length === 1;
+  const sheets = [];
+  for (const tune of tunes) {
+    const fromTune = abcSheetFields(tune, genreNames);
+    const pick = (key) => single ? (body[key] || fromTune[key]) : (fromTune[key] || body[key]);
+    sheets.push(await createSheet(userId, {
+      title: pick('title'),
+      subtitle: pick('subtitle'),
+      composer: pick('composer'),
+      arranger: body.arranger,
+      lyricist: body.lyricist,
+      instrument: body.instrument,
+      keySignature: pick('keySignature'),
+      timeSignature: pick('timeSignature'),
+      tempo: pick('tempo'),
+      genre: body.genre || fromTune.genre,
+      difficulty: body.difficulty,
+      opus: body.opus,
+      publisher: body.publisher,
+      copyrightYear: body.copyrightYear,
+      tags: [...new Set([...parseTags(body.tags), ...fromTune.tags])],
+      notes: body.notes,
+      folderIds: parseFolderIds(body.folderIds, body.folderId),
+      mediaLinks: parseJsonArray(body.mediaLinks),
+      abc: tune.abc
+    }));
+  }
+  return sheets;
+}
+
+/**
+ * Fields for replacing a sheet's tune: the ABC text itself plus its header,
+ * for the caller to use where the request leaves a field out
+ * @param {string} text - ABC text with exactly one tune
+ * @returns {Promise<object>} title, subtitle, composer, keySignature, timeSignature, tempo, genre, abc
+ */
+async function abcUpdateFields(text) {
+  const tunes = parseAbc(text);
+  if (tunes.length !== 1) throw httpError(400, 'An update takes exactly one ABC tune; create sheets to import several');
+  const { tags, ...fields } = abcSheetFields(tunes[0], await getGenreNames());
+  return { ...fields, abc: tunes[0].abc };
+}
+
+/**
+ * ABC sent with a create/update request: the `abc` field, or an uploaded .abc file
+ * (whose temp copy is removed here)
+ * @param {object} body - Request body
+ * @param {object} [file] - Multer file
+ * @returns {string|null} The ABC text; '' when the request clears it; null when there is none
+ */
+function readAbcInput(body, file) {
+  if (file && file.mimetype === ABC_TYPE) {
+    const text = fs.readFileSync(file.path, 'utf8');
+    fs.unlinkSync(file.path);
+    return text;
+  }
+  return typeof body.abc === 'string' ? body.abc : null;
+}
+
+module.exports = {
+  ABC_TYPE,
+  parseAbc,
+  readAbcInput,
+  createAbcSheets,
+  abcUpdateFields
+};
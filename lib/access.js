@@ -0,0 +1,166 @@
+// Who may do what with a sheet or folder. A user's permission is 'owner' for
+// what they own; otherwise it is the strongest share that reaches it: a share
+// of the sheet itself, of a folder the sheet is in, or of any folder above
+// those. Every sheet and folder route resolves access here, so whatever
+// GET /api/sheets lists also opens, downloads and so on.
+const db = require('./db');
+const { isValidUUID } = require('./sheets');
+const { httpError } = require('./http-errors');
+
+// Share permissions, weakest first (the order of the share_permission enum):
+// view          - view and download only
+// annotate_self - also personal annotations only they can see
+// annotate_all  - also annotations visible to everyone
+// full          - also edit and delete
+const SHARE_PERMISSIONS = ['view', 'annotate_self', 'annotate_all', 'full'];
+// The owner ranks above 'full'
+const PERMISSION_RANK = { view: 0, annotate_self: 1, annotate_all: 2, full: 3, owner: 4 };
+
+/**
+ * @param {string|null} permission - From getSheetAccess or getFolderAccess
+ * @param {string} required - The weakest permission that will do
+ * @returns {boolean}
+ */
+function hasPermission(permission, required) {
+  return Boolean(permission) && PERMISSION_RANK[permission] >= PERMISSION_RANK[required];
+}
+
+/**
+ * SQL defining `shared_folders (folder_id, permission)` for a WITH RECURSIVE
+ * clause: folders shared with the user and every folder below them, with the
+ * permission each share gives. UNION stops at a parent loop.
+ * @param {string} userParam - Placeholder of the user id, e.g. '$1'
+ * @returns {string}
+ */
+function sharedFoldersSql(userParam) {
+  return `shared_folders (folder_id, permission) AS (
+    SELECT fs.folder_id, fs.permission FROM folder_shares fs WHERE fs.shared_with_user_id = ${userParam}
+    UNION
+    SELECT f.id, shf.permission FROM folders f JOIN shared_folders shf ON f.parent_id = shf.folder_id
+  )`;
+}
+
+/**
+ * SQL for the strongest share permission the user has on the sheet aliased
+ * `sheet` (null with none), from its own shares and its folders'. Needs
+ * sharedFoldersSql in the query's WITH clause.
+ * @param {string} userParam - Placeholder of the user id
+ * @param {string} [sheet] - Alias of the sheets table
+ * @returns {string}
+ */
+function sheetSharePermissionSql(userParam, sheet = 's') {
+  return `(SELECT MAX(p.permission)::text FROM (
+    SELECT ss.permission FROM sheet_shares ss WHERE ss.sheet_id = ${sheet}.id AND ss.shared_with_user_id = ${userParam}
+    UNION ALL
+    SELECT shf.permission FROM sheet_folders sf JOIN shared_folders shf ON shf.folder_id = sf.folder_id WHERE sf.sheet_id = ${sheet}.id
+  ) p)`;
+}
+
+/**
+ * SQL for the strongest share permission the user has on the folder aliased
+ * `folder` (null with none). Needs sharedFoldersSql in the query's WITH clause.
+ * @param {string} [folder] - Alias of the folders table
+ * @returns {string}
+ */
+function folderSharePermissionSql(folder = 'f') {
+  return `(SELECT MAX(shf.permission)::text FROM shared_folders shf WHERE shf.folder_id = ${folder}.id)`;
+}
+
+const withPermission = (row, userId) => {
+  const { share_permission: sharePermission, ...entity } = row;
+  const permission = entity.user_id === userId ? 'owner' : sharePermission;
+  return permission ? { entity, permission } : null;
+};
+
+/**
+ * A user's access to several sheets; sheets they can't reach (or that don't
+ * exist) are left out
+ * @param {string[]} sheetIds
+ * @param {string} userId
+ * @returns {Promise<Array<{sheet: object, permission: string}>>}
+ */
+async function getSheetsAccess(sheetIds, userId) {
+  const ids = sheetIds.filter(isValidUUID);
+  if (ids.length === 0) return [];
+  const result = await db.query(`
+    WITH RECURSIVE ${sharedFoldersSql('$2')}
+    SELECT s.*, ${sheetSharePermissionSql('$2')} AS share_permission
+    FROM sheets s
+    WHERE s.id = ANY($1::uuid[])
+  `, [ids, userId]);
+  return result.rows
+    .map(row => withPermission(row, userId))
+    .filter(Boolean)
+    .map(({ entity, permission }) => ({ sheet: entity, permission }));
+}
+
+/**
+ * A user's access to a sheet
+ * @param {string} sheetId
+ * @param {string} userId
+ * @returns {Promise<{sheet: object, permission: string}|null>} null without access
+ */
+async function getSheetAccess(sheetId, userId) {
+  const [access] = await getSheetsAccess([sheetId], userId);
+  return access || null;
+}
+
+/**
+ * A user's access to a sheet, for routes: 404 without any
+ * @param {string} sheetId - As given in the request
+ * @param {string} userId
+ * @returns {Promise<{sheet: object, permission: string}>}
+ */
+async function requireSheetAccess(sheetId, userId) {
+  const access = isValidUUID(sheetId) ? await getSheetAccess(sheetId, userId) : null;
+  if (!access) throw httpError(404, 'Sheet not found');
+  return access;
+}
+
+/**
+ * A user's access to a folder
+ * @param {string} folderId
+ * @param {string} userId
+ * @returns {Promise<{folder: object, permission: string}|null>} null without access
+ */
+async function getFolderAccess(folderId, userId) {
+  if (!isValidUUID(folderId)) return null;
+  const result = await db.query(`
+    WITH RECURSIVE ${sharedFoldersSql('$2')}
+    SELECT f.*, ${folderSharePermissionSql('f')} AS share_permission
+    FROM folders f
+    WHERE f.id = $1
+  `, [folderId, userId]);
+  const access = result.rows[0] && withPermission(result.rows[0], userId);
+  return access ? { folder: access.entity, permission: access.permission } : null;
+}
+
+/**
+ * The folders among folderIds a user may put sheets in or take them out of:
+ * their own, and those shared with them with 'full'
+ * @param {string[]} folderIds
+ * @param {string} userId
+ * @returns {Promise<string[]>} Without duplicates; unknown folders are left out
+ */
+async function filterManageableFolders(folderIds, userId) {
+  const manageable = [];
+  for (const folderId of new Set(folderIds)) {
+    const access = await getFolderAccess(folderId, userId);
+    if (hasPermission(access?.permission, 'full')) manageable.push(folderId);
+  }
+  return manageable;
+}
+
+module.exports = {
+  SHARE_PERMISSIONS,
+  PERMISSION_RANK,
+  hasPermission,
+  sharedFoldersSql,
+  sheetSharePermissionSql,
+  folderSharePermissionSql,
+  getSheetsAccess,
+  getSheetAccess,
+  requireSheetAccess,
+  getFolderAccess,
+  filterManageableFolders
+};
@@ -0,0 +1,90 @@
+// Unicode fonts for annotation text. pdf-lib's standard fonts only encode
+// Latin-1, so Greek (or any other script) needs a font embedded with fontkit.
+// Annotations choose a family; characters it has no glyph for are set in the
+// first fallback font that has one.
+const fs = require('fs');
+const path = require('path');
+const fontkit = require('@pdf-lib/fontkit');
+const { TEXT_FONTS } = require('./annotation-schema');
+
+const DEJAVU_DIR = path.join(path.dirname(require.resolve('dejavu-fonts-ttf/package.json')), 'ttf');
+const BRAVURA_DIR = path.dirname(require.resolve('@vexflow-fonts/bravura/package.json'));
+
+// DejaVu covers Latin, Greek, Cyrillic and more; Bravura is a SMuFL music font
+// (symbols at U+E000-U+F8FF) with no text glyphs of its own
+const FONT_FILES = {
+  sans: path.join(DEJAVU_DIR, 'DejaVuSans.ttf'),
+  'sans-bold': path.join(DEJAVU_DIR, 'DejaVuSans-Bold.ttf'),
+  serif: path.join(DEJAVU_DIR, 'DejaVuSerif.ttf'),
+  'serif-bold': path.join(DEJAVU_DIR, 'DejaVuSerif-Bold.ttf'),
+  music: path.join(BRAVURA_DIR, 'bravura.otf')
+};
+
+// Further fonts to fall back on, e.g. a CJK font installed on the server (comma-separated paths)
+const EXTRA_FONT_PATHS = (process.env.ANNOTATION_FONT_PATHS || '')
+  .split(',')
+  .map(p => p.trim())
+  .filter(Boolean);
+
+// Loaded font files by path; null when a file can't be read
+const loaded = new Map();
+
+function loadFont(file) {
+  if (!loaded.has(file)) {
+    try {
+      const bytes = fs.readFileSync(file);
+      loaded.set(file, { file, bytes, face: fontkit.create(bytes) });
+    } catch (e) {
+      console.error(`Loading font ${file} failed:`, e.message);
+      loaded.set(file, null);
+    }
+  }
+  return loaded.get(file);
+}
+
+/**
+ * Fonts for a text annotation, the chosen family first and then the fallbacks
+ * @param {string} [family] - One of TEXT_FONTS; sans by default
+ * @param {{bold?: boolean}} [options]
+ * @returns {Array<{file: string, bytes: Buffer, face: object}>}
+ */
+function fontChain(family = 'sans', { bold = false } = {}) {
+  const chosen = TEXT_FONTS.includes(family) ? family : 'sans';
+  const files = [
+    FONT_FILES[bold ? `${chosen}-bold` : chosen] || FONT_FILES[chosen],
+    FONT_FILES[bold ? 'sans-bold' : 'sans'],
+    FONT_FILES.serif,
+    FONT_FILES.music,
+    ...EXTRA_FONT_PATHS
+  ];
+  return [...new Set(files)].map(loadFont).filter(Boolean);
+}
+
+/**
+ * Split text into runs each set in a single font: the first font in the chain
+ * that has the character. Spaces stay in the run they are in, and characters
+ * no font has go in the first font (drawn as its missing-glyph box).
+ * @param {string} text
+ * @param {Array<{face: object}>} fonts - From fontChain
+ * @returns {Array<{text: string, font: number}>} font is an index into fonts
+ */
+function splitByFont(text, fonts) {
+  const runs = [];
+  for (const char of text) {
+    const codePoint = char.codePointAt(0);
+    const current = runs[runs.length - 1];
+    let font = fonts.findIndex(f => f.face.hasGlyphForCodePoint(codePoint));
+    if (/\s/.test(char) && current) font = current.font;
+    if (font === -1) font = 0;
+
+    if (current && current.font === font) current.text += char;
+    else runs.push({ text: char, font });
+  }
+  return runs;
+}
+
+module.exports = {
+  fontkit,
+  fontChain,
+  splitByFont
+};
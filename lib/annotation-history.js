@@ -0,0 +1,302 @@
+// History of a sheet's annotation layers: listing changes, restoring a sheet,
+// layer or page to an earlier state, undo, and named snapshots. Entries are
+// written by annotation-layers.js on every change.
+const db = require('./db');
+const { httpError } = require('./http-errors');
+const { PERMISSION_RANK } = require('./access');
+const {
+  canHaveLayer, canEditLayer, listLayers, modifyLayer, createLayer
+} = require('./annotation-layers');
+
+// Entries per history page
+const DEFAULT_HISTORY_LIMIT = 50;
+const MAX_HISTORY_LIMIT = 200;
+
+// Entries about layers the user can see: shared ones, and their own private ones
+const VISIBLE_ENTRY = `(h.visibility = 'shared' OR h.layer_user_id = $2)`;
+
+/**
+ * Changes to a sheet's annotations, newest first, without the layer contents
+ * @param {string} sheetId
+ * @param {string} userId
+ * @param {{layerId?: string, page?: number, before?: number, limit?: number}} [filters] -
+ *   `before` is an entry id, for paging back
+ * @returns {Promise<object[]>}
+ */
+async function listHistory(sheetId, userId, { layerId, page, before, limit } = {}) {
+  const conditions = ['h.sheet_id = $1', VISIBLE_ENTRY];
+  const params = [sheetId, userId];
+  if (layerId) {
+    params.push(layerId);
+    conditions.push(`h.layer_id = $${params.length}`);
+  }
+  if (page) {
+    params.push(page);
+    conditions.push(`$${params.length} = ANY(h.pages)`);
+  }
+  if (before) {
+    params.push(before);
+    conditions.push(`h.id < $${params.length}`);
+  }
+  params.push(Math.min(limit > 0 ? limit : DEFAULT_HISTORY_LIMIT, MAX_HISTORY_LIMIT));
+
+  const result = await db.query(`
+    SELECT h.id, h.layer_id, h.layer_name, h.visibility, h.layer_user_id, h.action, h.revision,
+           h.pages, h.reverts, h.undone, h.user_id, u.display_name AS author_name, h.created_at
+    FROM annotation_history h
+    LEFT JOIN users u ON u.id = h.user_id
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY h.id DESC
+    LIMIT $${params.length}
+  `, params);
+  return result.rows;
+}
+
+/**
+ * One history entry, with the layer's annotations as they were after it
+ * @param {string} sheetId
+ * @param {number} entryId
+ * @param {string} userId
+ * @returns {Promise<object>}
+ */
+async function getHistoryEntry(sheetId, entryId, userId) {
+  const result = await db.query(`
+    SELECT h.*, u.display_name AS author_name
+    FROM annotation_history h
+    LEFT JOIN users u ON u.id = h.user_id
+    WHERE h.sheet_id = $1 AND ${VISIBLE_ENTRY} AND h.id = $3
+  `, [sheetId, userId, entryId]);
+  if (result.rows.length === 0) throw httpError(404, 'History entry not found');
+  return result.rows[0];
+}
+
+// Whether the user may write a layer that may no longer exist: the row if it
+// does, otherwise the author and visibility it had
+function canRestoreLayer(permission, target, current, userId) {
+  if (current) return canEditLayer(permission, current, userId);
+  if (target.layer_user_id === userId) return canHaveLayer(permission, target.visibility);
+  return target.visibility === 'shared' && PERMISSION_RANK[permission] >= PERMISSION_RANK.full;
+}
+
+/**
+ * Put layers back to given states. Layers the user may not write are skipped
+ * (and listed in `skipped` if the user can see them); deleted layers come back
+ * under their old id and author.
+ * @param {string} sheetId
+ * @param {string} userId
+ * @param {string} permission - From getSheetAccess
+ * @param {Array<{layer_id, layer_user_id, layer_name, visibility, annotations: object|null}>} targets -
+ *   annotations null means the layer did not exist then
+ * @param {{page?: string, action?: string}} [options] - `page` restores only that page
+ * @returns {Promise<{layers: object[], skipped: string[]}>}
+ */
+async function restoreLayers(sheetId, userId, permission, targets, { page, action = 'restore' } = {}) {
+  const layers = [];
+  const skipped = [];
+  for (const target of targets) {
+    const found = await db.query('SELECT * FROM annotation_layers WHERE id = $1 AND sheet_id = $2', [target.layer_id, sheetId]);
+    const current = found.rows[0];
+    if (!canRestoreLayer(permission, target, current, userId)) {
+      const { visibility, user_id: authorId } = current || { visibility: target.visibility, user_id: target.layer_user_id };
+      if (visibility === 'shared' || authorId === userId) skipped.push(target.layer_id);
+      continue;
+    }
+
+    const wanted = target.annotations || {};
+    const restoreTo = (existing) => {
+      if (!page) return wanted;
+      const { [page]: replaced, ...rest } = existing || {};
+      return wanted[page] && wanted[page].length > 0 ? { ...rest, [page]: wanted[page] } : rest;
+    };
+
+    if (current) {
+      const { layer } = await modifyLayer(current.id, userId, latest => ({ annotations: restoreTo(latest.annotations) }), { action });
+      layers.push(layer);
+    } else if (target.annotations && Object.keys(restoreTo({})).length > 0) {
+      layers.push(await createLayer(sheetId, target.layer_user_id, {
+        id: target.layer_id,
+        name: target.layer_name,
+        visibility: target.visibility,
+        annotations: restoreTo({})
+      }, userId, action));
+    }
+  }
+  return { layers, skipped };
+}
+
+/**
+ * Restore a sheet's layers (or one layer, or one page) to how they were right
+ * after a history entry. Layers created later are emptied, not deleted; layers
+ * whose history back to the entry has been pruned are left as they are.
+ * @param {string} sheetId
+ * @param {number} entryId
+ * @param {string} userId
+ * @param {string} permission - From getSheetAccess
+ * @param {{layerId?: string, page?: string}} [scope]
+ * @returns {Promise<{layers: object[], skipped: string[]}>}
+ */
+async function restoreToEntry(sheetId, entryId, userId, permission, { layerId, page } = {}) {
+  await getHistoryEntry(sheetId, entryId, userId);
+
+  // The last entry per layer up to the chosen one is the layer's state at that point
+  const states = await db.query(`
+    SELECT DISTINCT ON (layer_id) *
+    FROM annotation_history
+    WHERE sheet_id = $1 AND id <= $2
+    ORDER BY layer_id, id DESC
+  `, [sheetId, entryId]);
+  const targets = states.rows.map(state => ({
+    ...state,
+    annotations: state.action === 'delete' ? null : state.annotations
+  }));
+
+  // Created after the entry: their 'create' entry comes later. Without one left,
+  // what the layer held at the entry is unknown.
+  const later = await db.query(`
+    SELECT l.id AS layer_id, l.user_id AS layer_user_id, l.name AS layer_name, l.visibility
+    FROM annotation_layers l
+    WHERE l.sheet_id = $1 AND NOT (l.id = ANY($2::uuid[]))
+      AND EXISTS (SELECT 1 FROM annotation_history h WHERE h.layer_id = l.id AND h.action = 'create' AND h.id > $3)
+  `, [sheetId, targets.map(t => t.layer_id), entryId]);
+  targets.push(...later.rows.map(layer => ({ ...layer, annotations: {} })));
+
+  return restoreLayers(sheetId, userId, permission, targets.filter(t => !layerId || t.layer_id === layerId), { page });
+}
+
+/**
+ * Undo the latest change to a layer that has not been undone yet. Undo entries
+ * are skipped, so repeated calls step further back.
+ * @param {object} layer - Row
+ * @param {string} userId
+ * @returns {Promise<{layer: object, undone: object}>} The layer and the entry undone;
+ *   throws 409 when there is nothing to undo or the state before it was pruned
+ */
+async function undoLayerChange(layer, userId) {
+  const latest = await db.query(`
+    SELECT * FROM annotation_history
+    WHERE layer_id = $1 AND action NOT IN ('undo', 'create') AND NOT undone
+    ORDER BY id DESC LIMIT 1
+  `, [layer.id]);
+  const entry = latest.rows[0];
+  if (!entry) throw httpError(409, 'Nothing to undo');
+
+  const before = await db.query(
+    'SELECT annotations FROM annotation_history WHERE layer_id = $1 AND id < $2 ORDER BY id DESC LIMIT 1',
+    [layer.id, entry.id]
+  );
+  // The entry before was pruned (ANNOTATION_HISTORY_LIMIT): the layer's earlier state is unknown
+  if (before.rows.length === 0) throw httpError(409, 'This change is too old to undo');
+  const { annotations } = before.rows[0];
+
+  const { layer: updated } = await modifyLayer(layer.id, userId, () => ({ annotations }), { action: 'undo', reverts: entry.id });
+  await db.query('UPDATE annotation_history SET undone = true WHERE id = $1', [entry.id]);
+  return { layer: updated, undone: entry };
+}
+
+/**
+ * Save the layers the user can see under a name
+ * @param {string} sheetId
+ * @param {string} userId
+ * @param {string} name
+ * @returns {Promise<object>} The snapshot, without layer contents
+ */
+async function createSnapshot(sheetId, userId, name) {
+  const layers = (await listLayers(sheetId, userId)).map(layer => ({
+    layer_id: layer.id,
+    layer_user_id: layer.user_id,
+    layer_name: layer.name,
+    visibility: layer.visibility,
+    annotations: layer.annotations
+  }));
+  const result = await db.query(`
+    INSERT INTO annotation_snapshots (sheet_id, user_id, name, layers)
+    VALUES ($1, $2, $3, $4)
+    RETURNING id, sheet_id, user_id, name, created_at
+  `, [sheetId, userId, name, JSON.stringify(layers)]);
+  return { ...result.rows[0], layer_count: layers.length };
+}
+
+/**
+ * @param {string} sheetId
+ * @returns {Promise<object[]>} Snapshots, newest first, without layer contents
+ */
+async function listSnapshots(sheetId) {
+  const result = await db.query(`
+    SELECT s.id, s.sheet_id, s.user_id, u.display_name AS author_name, s.name,
+           jsonb_array_length(s.layers) AS layer_count, s.created_at
+    FROM annotation_snapshots s
+    LEFT JOIN users u ON u.id = s.user_id
+    WHERE s.sheet_id = $1
+    ORDER BY s.created_at DESC
+  `, [sheetId]);
+  return result.rows;
+}
+
+/**
+ * A snapshot with the layers in it that the user can see
+ * @param {string} sheetId
+ * @param {string} snapshotId
+ * @param {string} userId
+ * @returns {Promise<object>}
+ */
+async function getSnapshot(sheetId, snapshotId, userId) {
+  const result = await db.query('SELECT * FROM annotation_snapshots WHERE id = $1 AND sheet_id = $2', [snapshotId, sheetId]);
+  if (result.rows.length === 0) throw httpError(404, 'Snapshot not found');
+  const snapshot = result.rows[0];
+  snapshot.layers = snapshot.layers.filter(l => l.visibility === 'shared' || l.layer_user_id === userId);
+  return snapshot;
+}
+
+/**
+ * Restore the layers saved in a snapshot (or one layer, or one page). Layers
+ * created since are emptied, as with restoreToEntry.
+ * @param {string} sheetId
+ * @param {string} snapshotId
+ * @param {string} userId
+ * @param {string} permission - From getSheetAccess
+ * @param {{layerId?: string, page?: string}} [scope]
+ * @returns {Promise<{layers: object[], skipped: string[]}>}
+ */
+async function restoreSnapshot(sheetId, snapshotId, userId, permission, { layerId, page } = {}) {
+  const snapshot = await getSnapshot(sheetId, snapshotId, userId);
+  const targets = [...snapshot.layers];
+
+  const later = await db.query(`
+    SELECT l.id AS layer_id, l.user_id AS layer_user_id, l.name AS layer_name, l.visibility
+    FROM annotation_layers l
+    WHERE l.sheet_id = $1 AND l.created_at > $2 AND (l.visibility = 'shared' OR l.user_id = $3)
+      AND NOT (l.id = ANY($4::uuid[]))
+  `, [sheetId, snapshot.created_at, userId, targets.map(t => t.layer_id)]);
+  targets.push(...later.rows.map(layer => ({ ...layer, annotations: {} })));
+
+  return restoreLayers(sheetId, userId, permission, targets.filter(t => !layerId || t.layer_id === layerId), { page });
+}
+
+/**
+ * Delete a snapshot; allowed to its creator, the owner and 'full' collaborators
+ * @param {string} sheetId
+ * @param {string} snapshotId
+ * @param {string} userId
+ * @param {string} permission - From getSheetAccess
+ */
+async function deleteSnapshot(sheetId, snapshotId, userId, permission) {
+  const result = await db.query('SELECT user_id FROM annotation_snapshots WHERE id = $1 AND sheet_id = $2', [snapshotId, sheetId]);
+  if (result.rows.length === 0) throw httpError(404, 'Snapshot not found');
+  if (result.rows[0].user_id !== userId && PERMISSION_RANK[permission] < PERMISSION_RANK.full) {
+    throw httpError(403, 'Only its creator can delete this snapshot');
+  }
+  await db.query('DELETE FROM annotation_snapshots WHERE id = $1', [snapshotId]);
+}
+
+module.exports = {
+  listHistory,
+  getHistoryEntry,
+  restoreLayers,
+  restoreToEntry,
+  undoLayerChange,
+  createSnapshot,
+  listSnapshots,
+  getSnapshot,
+  restoreSnapshot,
+  deleteSnapshot
+};
@@ -0,0 +1,355 @@
+// Annotation layers: each author's annotations of a sheet, kept apart so that
+// collaborators can annotate too. 'private' layers are seen only by their author,
+// 'shared' layers by everyone with access to the sheet.
+//
+// Every write bumps the layer's `revision`, and every annotation carries a
+// stable `id` and its own `rev`, so clients can send If-Match and have stale
+// writes rejected instead of overwriting an edit made on another device.
+// Every change is also logged in annotation_history (see annotation-history.js)
+// and sent to everyone following the sheet live (see sheet-events.js).
+const crypto = require('crypto');
+const db = require('./db');
+const { httpError } = require('./http-errors');
+const { validateAnnotation } = require('./annotation-schema');
+const { PERMISSION_RANK } = require('./access');
+const { publishLayerChange } = require('./sheet-events');
+
+const VISIBILITIES = ['private', 'shared'];
+const DEFAULT_LAYER_NAME = 'Annotations';
+// Compare-and-set retries when another write lands between reading and writing a layer
+const MAX_WRITE_ATTEMPTS = 5;
+// History entries kept per layer; named snapshots are kept apart and never pruned
+const ANNOTATION_HISTORY_LIMIT = parseInt(process.env.ANNOTATION_HISTORY_LIMIT) || 500;
+
+/**
+ * Whether a permission allows keeping a layer of the given visibility:
+ * annotate_self for private layers, annotate_all for shared ones
+ * @param {string} permission - From getSheetAccess
+ * @param {string} visibility
+ * @returns {boolean}
+ */
+function canHaveLayer(permission, visibility) {
+  return PERMISSION_RANK[permission] >= PERMISSION_RANK[visibility === 'shared' ? 'annotate_all' : 'annotate_self'];
+}
+
+/**
+ * Authors edit their own layers while their permission still allows them;
+ * the owner and 'full' collaborators may also edit everyone's shared layers
+ * @param {string} permission - From getSheetAccess
+ * @param {object} layer - annotation_layers row
+ * @param {string} userId
+ * @returns {boolean}
+ */
+function canEditLayer(permission, layer, userId) {
+  if (layer.user_id === userId) return canHaveLayer(permission, layer.visibility);
+  return layer.visibility === 'shared' && PERMISSION_RANK[permission] >= PERMISSION_RANK.full;
+}
+
+/**
+ * Check an annotations object: {pageNumber: [annotation, ...]}, each annotation
+ * against the schema in annotation-schema.js
+ * @param {object|string} annotations - Object, or its JSON
+ * @returns {object}
+ */
+function parseAnnotations(annotations) {
+  let parsed = annotations;
+  if (typeof parsed === 'string') {
+    try {
+      parsed = JSON.parse(parsed);
+    } catch (e) {
+      throw httpError(400, 'annotations must be valid JSON');
+    }
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw httpError(400, 'annotations must be an object keyed by page number');
+  }
+  for (const [page, pageAnns] of Object.entries(parsed)) {
+    if (!(parseInt(page) >= 1) || !Array.isArray(pageAnns)) {
+      throw httpError(400, `annotations of page "${page}" must be an array`);
+    }
+    pageAnns.forEach((ann, i) => {
+      const problem = validateAnnotation(ann);
+      if (problem) throw httpError(400, `Page ${page}, annotation ${i + 1}: ${problem}`);
+    });
+  }
+  return parsed;
+}
+
+/**
+ * Check one annotation against the schema in annotation-schema.js
+ * @param {object} annotation
+ * @returns {object} The annotation
+ */
+function checkAnnotation(annotation) {
+  const problem = validateAnnotation(annotation);
+  if (problem) throw httpError(400, problem);
+  return annotation;
+}
+
+function sameContent(a, b) {
+  const { rev: revA, ...restA } = a;
+  const { rev: revB, ...restB } = b;
+  return JSON.stringify(restA) === JSON.stringify(restB);
+}
+
+/**
+ * Give every annotation an `id` and `rev`. Annotations that already existed in
+ * `previous` keep their rev when unchanged and get the next one when changed
+ * or moved to another page.
+ * @param {object} annotations - {pageNumber: [annotation, ...]}
+ * @param {object} [previous] - The layer's annotations before this write
+ * @returns {object}
+ */
+function assignRevisions(annotations, previous = {}) {
+  const before = new Map();
+  for (const [page, pageAnns] of Object.entries(previous || {})) {
+    for (const ann of pageAnns || []) {
+      if (ann && ann.id !== undefined) before.set(String(ann.id), { page, ann });
+    }
+  }
+
+  const result = {};
+  for (const [page, pageAnns] of Object.entries(annotations)) {
+    result[page] = pageAnns.map(ann => {
+      const old = ann.id !== undefined ? before.get(String(ann.id)) : undefined;
+      if (!old) return { ...ann, id: ann.id !== undefined ? ann.id : crypto.randomUUID(), rev: 1 };
+      const rev = old.ann.rev || 1;
+      const next = { ...ann, rev };
+      return old.page === page && sameContent(next, old.ann) ? next : { ...next, rev: rev + 1 };
+    });
+  }
+  return result;
+}
+
+/**
+ * Find an annotation by id
+ * @param {object} annotations - A layer's annotations
+ * @param {string} annotationId
+ * @returns {{page: string, index: number, annotation: object}|null}
+ */
+function findAnnotation(annotations, annotationId) {
+  for (const [page, pageAnns] of Object.entries(annotations || {})) {
+    const index = (pageAnns || []).findIndex(ann => ann && String(ann.id) === String(annotationId));
+    if (index !== -1) return { page, index, annotation: pageAnns[index] };
+  }
+  return null;
+}
+
+/**
+ * Entity tag of one page of a layer: changes whenever an annotation on the page
+ * is added, removed, reordered or revised
+ * @param {Array<object>} pageAnns
+ * @returns {string} Quoted ETag
+ */
+function pageEtag(pageAnns) {
+  const versions = (pageAnns || []).map(ann => `${ann.id}:${ann.rev}`).join(',');
+  return `"p${crypto.createHash('sha1').update(versions).digest('hex').slice(0, 16)}"`;
+}
+
+// Pages whose annotations differ between two states of a layer
+function changedPages(before, after) {
+  const pages = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  return [...pages]
+    .filter(page => JSON.stringify((before || {})[page] || []) !== JSON.stringify((after || {})[page] || []))
+    .map(Number)
+    .sort((a, b) => a - b);
+}
+
+/**
+ * Log a change to a layer, keeping the layer's full state after it, and drop
+ * the layer's oldest entries beyond ANNOTATION_HISTORY_LIMIT
+ * @param {object} layer - The row after the change (the last state, for 'delete')
+ * @param {string} userId - Who made the change
+ * @param {string} action - create, update, delete, restore or undo
+ * @param {object} previous - Annotations before the change
+ * @param {number} [reverts] - For undo: the entry undone
+ */
+async function recordHistory(layer, userId, action, previous, reverts = null) {
+  await db.query(`
+    INSERT INTO annotation_history (
+      sheet_id, layer_id, layer_user_id, layer_name, visibility,
+      user_id, action, revision, pages, annotations, reverts
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+  `, [
+    layer.sheet_id, layer.id, layer.user_id, layer.name, layer.visibility,
+    userId, action, layer.revision,
+    changedPages(previous, action === 'delete' ? {} : layer.annotations),
+    layer.annotations, reverts
+  ]);
+  await db.query(`
+    DELETE FROM annotation_history
+    WHERE layer_id = $1 AND id < (
+      SELECT id FROM annotation_history WHERE layer_id = $1 ORDER BY id DESC OFFSET $2 LIMIT 1
+    )
+  `, [layer.id, ANNOTATION_HISTORY_LIMIT - 1]);
+}
+
+/**
+ * Read-modify-write a layer. `apply` gets the current row and returns the new
+ * annotations (and optionally a new name or visibility); the write only lands if
+ * no other write came in between, otherwise `apply` runs again on the newer row,
+ * so checks it makes (If-Match) are always against what is actually replaced.
+ * @param {string} layerId
+ * @param {string} userId - Who makes the change, for the history
+ * @param {function} apply - (layer) => ({annotations, name?, visibility?, result?}); may throw
+ * @param {{action?: string, reverts?: number}} [logAs] - History action (default 'update')
+ * @returns {Promise<{layer: object, result: any}>} The updated row and apply's result
+ */
+async function modifyLayer(layerId, userId, apply, { action = 'update', reverts = null } = {}) {
+  for (let attempt = 0; attempt < MAX_WRITE_ATTEMPTS; attempt++) {
+    const current = await db.query('SELECT * FROM annotation_layers WHERE id = $1', [layerId]);
+    if (current.rows.length === 0) throw httpError(404, 'Layer not found');
+    const layer = current.rows[0];
+
+    const { annotations, name, visibility, result } = apply(layer);
+    const updated = await db.query(`
+      UPDATE annotation_layers
+      SET annotations = $1, name = $2, visibility = $3, revision = revision + 1, updated_at = NOW()
+      WHERE id = $4 AND revision = $5
+      RETURNING *
+    `, [
+      assignRevisions(annotations, layer.annotations),
+      name || layer.name,
+      visibility || layer.visibility,
+      layer.id,
+      layer.revision
+    ]);
+    if (updated.rows.length > 0) {
+      await recordHistory(updated.rows[0], userId, action, layer.annotations, reverts);
+      publishLayerChange(layer, updated.rows[0], userId, action);
+      return { layer: updated.rows[0], result };
+    }
+  }
+  throw httpError(409, 'The layer is being changed elsewhere; try again');
+}
+
+/**
+ * Layers of a sheet the user can see, oldest first, with `author_name`, and
+ * `hidden` when the user has switched the layer off
+ * @param {string} sheetId
+ * @param {string} userId
+ * @returns {Promise<object[]>}
+ */
+async function listLayers(sheetId, userId) {
+  const result = await db.query(`
+    SELECT l.*, u.display_name AS author_name, (h.layer_id IS NOT NULL) AS hidden
+    FROM annotation_layers l
+    LEFT JOIN users u ON u.id = l.user_id
+    LEFT JOIN hidden_annotation_layers h ON h.layer_id = l.id AND h.user_id = $2
+    WHERE l.sheet_id = $1 AND (l.visibility = 'shared' OR l.user_id = $2)
+    ORDER BY l.created_at, l.id
+  `, [sheetId, userId]);
+  return result.rows;
+}
+
+/**
+ * Annotations of several layers combined into one {pageNumber: [...]} object
+ * @param {object[]} layers
+ * @returns {object}
+ */
+function combineLayers(layers) {
+  const combined = {};
+  for (const layer of layers) {
+    for (const [page, pageAnns] of Object.entries(layer.annotations || {})) {
+      if (!Array.isArray(pageAnns) || pageAnns.length === 0) continue;
+      combined[page] = [...(combined[page] || []), ...pageAnns];
+    }
+  }
+  return combined;
+}
+
+/**
+ * @param {string} sheetId
+ * @param {string} userId - Author
+ * @param {{id?: string, name?: string, visibility?: string, annotations?: object}} fields -
+ *   `id` brings back a deleted layer
+ * @param {string} [actorId] - Who creates it, for the history (default the author)
+ * @param {string} [action] - History action (default 'create')
+ * @returns {Promise<object>} The new row
+ */
+async function createLayer(sheetId, userId, { id, name, visibility = 'shared', annotations = {} }, actorId = userId, action = 'create') {
+  const result = await db.query(`
+    INSERT INTO annotation_layers (id, sheet_id, user_id, name, visibility, annotations)
+    VALUES (COALESCE($1, gen_random_uuid()), $2, $3, $4, $5, $6)
+    RETURNING *
+  `, [id || null, sheetId, userId, name || DEFAULT_LAYER_NAME, visibility, assignRevisions(annotations)]);
+  await recordHistory(result.rows[0], actorId, action, {});
+  publishLayerChange(null, result.rows[0], actorId, action);
+  return result.rows[0];
+}
+
+/**
+ * Delete a layer; its history stays, so it can be restored
+ * @param {object} layer - Row
+ * @param {string} userId - Who deletes it
+ */
+async function deleteLayer(layer, userId) {
+  await recordHistory(layer, userId, 'delete', layer.annotations);
+  await db.query('DELETE FROM annotation_layers WHERE id = $1', [layer.id]);
+  publishLayerChange(layer, null, userId, 'delete');
+}
+
+/**
+ * The user's first layer of a sheet, the one plain sheet updates write to;
+ * null when they have none yet
+ * @param {string} sheetId
+ * @param {string} userId
+ * @returns {Promise<object|null>}
+ */
+async function getDefaultLayer(sheetId, userId) {
+  const result = await db.query(
+    'SELECT * FROM annotation_layers WHERE sheet_id = $1 AND user_id = $2 ORDER BY created_at, id LIMIT 1',
+    [sheetId, userId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Replace the annotations of the user's default layer, creating the layer
+ * (shared when the permission allows it) on first use
+ * @param {string} sheetId
+ * @param {string} userId
+ * @param {string} permission - From getSheetAccess
+ * @param {object} annotations
+ * @returns {Promise<object>} The layer
+ */
+async function saveDefaultLayer(sheetId, userId, permission, annotations) {
+  const layer = await getDefaultLayer(sheetId, userId);
+  if (!layer) {
+    const visibility = canHaveLayer(permission, 'shared') ? 'shared' : 'private';
+    return createLayer(sheetId, userId, { visibility, annotations });
+  }
+  return (await modifyLayer(layer.id, userId, () => ({ annotations }))).layer;
+}
+
+/**
+ * Rewrite the annotations of every layer of a sheet, e.g. after its pages change
+ * @param {string} sheetId
+ * @param {string} userId - Who changed the pages
+ * @param {function} mapLayer - (annotations) => annotations
+ */
+async function remapLayers(sheetId, userId, mapLayer) {
+  const result = await db.query('SELECT id FROM annotation_layers WHERE sheet_id = $1', [sheetId]);
+  for (const { id } of result.rows) {
+    await modifyLayer(id, userId, layer => ({ annotations: mapLayer(layer.annotations || {}) }));
+  }
+}
+
+module.exports = {
+  VISIBILITIES,
+  canHaveLayer,
+  canEditLayer,
+  parseAnnotations,
+  checkAnnotation,
+  listLayers,
+  combineLayers,
+  assignRevisions,
+  findAnnotation,
+  pageEtag,
+  modifyLayer,
+  createLayer,
+  deleteLayer,
+  getDefaultLayer,
+  saveDefaultLayer,
+  remapLayers
+};
@@ -0,0 +1,456 @@
+// Draws annotations (see annotation-schema.js) onto the pages of a PDF, for
+// the annotated download. Annotations measure positions on the page as it is
+// shown (the crop box, turned by the page's rotation), so drawing happens in
+// that frame (see pageFrame) and is mapped onto the page. Shapes are drawn as
+// SVG paths in points with y running down, the way annotations measure
+// positions. Every drawing function returns the area it covered, [left,
+// bottom, right, top] in the shown frame, which pdf-annotations.js maps into
+// the Rect of an annotation object.
+const {
+  rgb, StandardFonts, BlendMode, LineCapStyle,
+  pushGraphicsState, popGraphicsState, concatTransformationMatrix
+} = require('pdf-lib');
+const { DYNAMICS, parseColor, validateAnnotation } = require('./annotation-schema');
+const { fontkit, fontChain, splitByFont } = require('./annotation-fonts');
+const { normalizeRotation } = require('./pdf-tools');
+
+const LINE_CAPS = { butt: LineCapStyle.Butt, round: LineCapStyle.Round, square: LineCapStyle.Projecting };
+
+const BLACK = { r: 0, g: 0, b: 0 };
+const WHITE = { r: 1, g: 1, b: 1 };
+const YELLOW = { r: 1, g: 1, b: 0 };
+const STAMP_RED = { r: 0.8, g: 0, b: 0 };
+
+// Outline of a circle, for the drawn symbols
+const circle = (cx, cy, r) => `M ${cx - r} ${cy} A ${r} ${r} 0 1 0 ${cx + r} ${cy} A ${r} ${r} 0 1 0 ${cx - r} ${cy} Z`;
+
+// Drawn symbols in a 1x1 box centred on the annotation's position (y down);
+// `fill` parts are filled, the rest stroked
+const SYMBOL_PATHS = {
+  'up-bow': [{ d: 'M -0.3 -0.4 L 0 0.4 L 0.3 -0.4' }],
+  'down-bow': [
+    { d: 'M -0.35 0.4 L -0.35 -0.3 M 0.35 0.4 L 0.35 -0.3' },
+    { d: 'M -0.4 -0.45 L 0.4 -0.45 L 0.4 -0.25 L -0.4 -0.25 Z', fill: true }
+  ],
+  breath: [
+    { d: circle(0.05, -0.25, 0.12), fill: true },
+    { d: 'M 0.17 -0.25 Q 0.2 0.1 -0.1 0.35' }
+  ],
+  caesura: [{ d: 'M -0.35 0.4 L -0.05 -0.4 M 0.05 0.4 L 0.35 -0.4' }],
+  fermata: [
+    { d: 'M -0.45 0.2 A 0.45 0.45 0 0 1 0.45 0.2' },
+    { d: circle(0, 0.12, 0.08), fill: true }
+  ],
+  accent: [{ d: 'M -0.4 -0.2 L 0.4 0 L -0.4 0.2' }],
+  staccato: [{ d: circle(0, 0, 0.1), fill: true }],
+  tenuto: [{ d: 'M -0.4 0 L 0.4 0' }],
+  thumb: [{ d: circle(0, -0.1, 0.25) }, { d: 'M 0 0.15 L 0 0.45' }],
+  // Hairpins are three times as wide as they are tall
+  crescendo: [{ d: 'M 1.5 -0.3 L -1.5 0 L 1.5 0.3' }],
+  decrescendo: [{ d: 'M -1.5 -0.3 L 1.5 0 L -1.5 0.3' }]
+};
+
+/**
+ * A page as it is shown: its crop box turned clockwise by its rotation. The
+ * frame's points have y up from the shown bottom left corner, like PDF
+ * coordinates, and `matrix` maps them onto the page's own coordinates.
+ * @param {PDFPage} page
+ * @returns {{width: number, height: number, matrix: number[], toPdf: function, fromPdf: function, boundsToPdf: function}}
+ *   width and height as shown, in points; toPdf(x, y) and fromPdf(x, y) map a point
+ *   each way as [x, y]; boundsToPdf maps [left, bottom, right, top]
+ */
+function pageFrame(page) {
+  const box = page.getCropBox();
+  const rotation = normalizeRotation(page.getRotation().angle);
+  const matrix = {
+    90: [0, 1, -1, 0, box.x + box.width, box.y],
+    180: [-1, 0, 0, -1, box.x + box.width, box.y + box.height],
+    270: [0, -1, 1, 0, box.x, box.y + box.height]
+  }[rotation] || [1, 0, 0, 1, box.x, box.y];
+  const [a, b, c, d, e, f] = matrix;
+  const turned = rotation === 90 || rotation === 270;
+
+  const toPdf = (x, y) => [a * x + c * y + e, b * x + d * y + f];
+  // The matrices are quarter turns, so the inverse is the transpose
+  const fromPdf = (x, y) => [a * (x - e) + b * (y - f), c * (x - e) + d * (y - f)];
+  const boundsToPdf = ([left, bottom, right, top]) => {
+    const [[x1, y1], [x2, y2]] = [toPdf(left, bottom), toPdf(right, top)];
+    return [Math.min(x1, x2), Math.min(y1, y2), Math.max(x1, x2), Math.max(y1, y2)];
+  };
+  return {
+    width: turned ? box.height : box.width,
+    height: turned ? box.width : box.height,
+    matrix,
+    toPdf,
+    fromPdf,
+    boundsToPdf
+  };
+}
+
+function colorOf(value, fallback) {
+  const { r, g, b } = parseColor(value) || fallback;
+  return rgb(r, g, b);
+}
+
+// Turn the coordinate system about a point (in the shown frame) for a
+// clockwise rotation in degrees, draw, and turn it back
+function rotated(page, degrees, cx, cy, draw) {
+  if (!degrees) return draw();
+  const angle = -degrees * Math.PI / 180;
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  page.pushOperators(
+    pushGraphicsState(),
+    concatTransformationMatrix(cos, sin, -sin, cos, cx - cos * cx + sin * cy, cy - sin * cx - cos * cy)
+  );
+  try {
+    draw();
+  } finally {
+    page.pushOperators(popGraphicsState());
+  }
+}
+
+// Bounds of a box after the same rotation
+function coverage([left, bottom, right, top], degrees, cx, cy) {
+  if (!degrees) return [left, bottom, right, top];
+  const angle = -degrees * Math.PI / 180;
+  const corners = [[left, bottom], [right, bottom], [right, top], [left, top]].map(([x, y]) => [
+    cx + (x - cx) * Math.cos(angle) - (y - cy) * Math.sin(angle),
+    cy + (x - cx) * Math.sin(angle) + (y - cy) * Math.cos(angle)
+  ]);
+  const xs = corners.map(c => c[0]);
+  const ys = corners.map(c => c[1]);
+  return [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)];
+}
+
+// An SVG path in page points, y down from the top of the page unless x/y/scale say otherwise
+function drawPath(ctx, d, { stroke, fill, strokeWidth, opacity, lineCap, x = 0, y = ctx.height, scale }) {
+  const options = { x, y, scale, opacity, borderOpacity: opacity };
+  if (fill) options.color = fill;
+  if (stroke) {
+    options.borderColor = stroke;
+    options.borderWidth = strokeWidth;
+    options.borderLineCap = lineCap;
+  }
+  ctx.page.drawSvgPath(d, options);
+}
+
+// The annotation's box in the shown frame: left, bottom, width, height and centre
+function boxOf(ctx, ann) {
+  const width = ann.width * ctx.width;
+  const height = ann.height * ctx.height;
+  const x = ann.x * ctx.width;
+  const y = ctx.height - ann.y * ctx.height - height;
+  return { x, y, width, height, cx: x + width / 2, cy: y + height / 2 };
+}
+
+function drawStroke(ctx, ann, defaults) {
+  const points = ann.points.map(p => [p.x * ctx.width, p.y * ctx.height]);
+  // A single point is a dot, which needs a round cap to show
+  const d = points.length === 1
+    ? `M ${points[0][0]} ${points[0][1]} L ${points[0][0]} ${points[0][1]}`
+    : 'M ' + points.map(p => p.join(' ')).join(' L ');
+  const xs = points.map(p => p[0]);
+  const ys = points.map(p => p[1]);
+  const cx = (Math.min(...xs) + Math.max(...xs)) / 2;
+  const cy = ctx.height - (Math.min(...ys) + Math.max(...ys)) / 2;
+  const strokeWidth = ann.strokeWidth || defaults.strokeWidth;
+
+  rotated(ctx.page, ann.rotation, cx, cy, () => drawPath(ctx, d, {
+    stroke: colorOf(ann.color, defaults.color),
+    strokeWidth,
+    opacity: ann.opacity !== undefined ? ann.opacity : defaults.opacity,
+    lineCap: LINE_CAPS[points.length === 1 ? 'round' : (ann.lineCap || 'round')]
+  }));
+  const half = strokeWidth / 2;
+  return coverage([
+    Math.min(...xs) - half, ctx.height - Math.max(...ys) - half,
+    Math.max(...xs) + half, ctx.height - Math.min(...ys) + half
+  ], ann.rotation, cx, cy);
+}
+
+function drawBox(ctx, ann, options) {
+  const box = boxOf(ctx, ann);
+  rotated(ctx.page, ann.rotation, box.cx, box.cy, () => ctx.page.drawRectangle({
+    x: box.x, y: box.y, width: box.width, height: box.height, ...options
+  }));
+  return coverage([box.x, box.y, box.x + box.width, box.y + box.height], ann.rotation, box.cx, box.cy);
+}
+
+function drawShape(ctx, ann) {
+  const box = boxOf(ctx, ann);
+  const opacity = ann.opacity !== undefined ? ann.opacity : 1;
+  const options = {
+    borderColor: colorOf(ann.color, BLACK),
+    borderWidth: ann.strokeWidth || 2,
+    borderOpacity: opacity,
+    borderLineCap: ann.lineCap ? LINE_CAPS[ann.lineCap] : undefined,
+    ...(ann.fill ? { color: colorOf(ann.fill, WHITE), opacity } : {})
+  };
+  rotated(ctx.page, ann.rotation, box.cx, box.cy, () => {
+    if (ann.type === 'ellipse') {
+      ctx.page.drawEllipse({ x: box.cx, y: box.cy, xScale: box.width / 2, yScale: box.height / 2, ...options });
+    } else {
+      ctx.page.drawRectangle({ x: box.x, y: box.y, width: box.width, height: box.height, ...options });
+    }
+  });
+  const half = options.borderWidth / 2;
+  return coverage([box.x - half, box.y - half, box.x + box.width + half, box.y + box.height + half], ann.rotation, box.cx, box.cy);
+}
+
+function drawArrow(ctx, ann) {
+  const from = [ann.from.x * ctx.width, ann.from.y * ctx.height];
+  const to = [ann.to.x * ctx.width, ann.to.y * ctx.height];
+  const length = Math.hypot(to[0] - from[0], to[1] - from[1]);
+  if (length === 0) return null;
+
+  const strokeWidth = ann.strokeWidth || 2;
+  const color = colorOf(ann.color, BLACK);
+  const opacity = ann.opacity !== undefined ? ann.opacity : 1;
+  const heads = ann.heads || 'end';
+  const headLength = Math.min(Math.max(strokeWidth * 4, 8), length / 2);
+  const ux = (to[0] - from[0]) / length;
+  const uy = (to[1] - from[1]) / length;
+
+  // The line stops inside the heads, so its cap doesn't poke through their tips
+  const inset = headLength * 0.8;
+  const start = heads !== 'end' ? [from[0] + ux * inset, from[1] + uy * inset] : from;
+  const end = heads !== 'start' ? [to[0] - ux * inset, to[1] - uy * inset] : to;
+  const head = (tip, dir) => {
+    const base = [tip[0] - dir * ux * headLength, tip[1] - dir * uy * headLength];
+    const half = headLength / 2;
+    return `M ${tip[0]} ${tip[1]} L ${base[0] - uy * half} ${base[1] + ux * half} L ${base[0] + uy * half} ${base[1] - ux * half} Z`;
+  };
+  const cx = (from[0] + to[0]) / 2;
+  const cy = ctx.height - (from[1] + to[1]) / 2;
+
+  rotated(ctx.page, ann.rotation, cx, cy, () => {
+    drawPath(ctx, `M ${start[0]} ${start[1]} L ${end[0]} ${end[1]}`, {
+      stroke: color, strokeWidth, opacity, lineCap: LINE_CAPS[ann.lineCap || 'butt']
+    });
+    if (heads !== 'start') drawPath(ctx, head(to, 1), { fill: color, opacity });
+    if (heads !== 'end') drawPath(ctx, head(from, -1), { fill: color, opacity });
+  });
+  const margin = Math.max(strokeWidth, headLength) / 2;
+  return coverage([
+    Math.min(from[0], to[0]) - margin, ctx.height - Math.max(from[1], to[1]) - margin,
+    Math.max(from[0], to[0]) + margin, ctx.height - Math.min(from[1], to[1]) + margin
+  ], ann.rotation, cx, cy);
+}
+
+async function drawText(ctx, ann) {
+  const stamp = ann.type === 'stamp';
+  const chain = fontChain(ann.font, { bold: stamp });
+  const size = ann.size || (stamp ? 18 : 12);
+  const lineHeight = size * 1.2;
+  // Each line in runs of one font, so characters the chosen font lacks come from a fallback
+  const lines = [];
+  for (const line of ann.text.split(/\r?\n/)) {
+    const runs = [];
+    for (const run of splitByFont(line, chain)) {
+      const font = await ctx.embedFontFile(chain[run.font]);
+      runs.push({ text: run.text, font, width: font.widthOfTextAtSize(run.text, size) });
+    }
+    lines.push(runs);
+  }
+  const lineWidth = (runs) => runs.reduce((sum, run) => sum + run.width, 0);
+  const textWidth = Math.max(...lines.map(lineWidth));
+  const color = colorOf(ann.color, stamp ? STAMP_RED : BLACK);
+  const opacity = ann.opacity !== undefined ? ann.opacity : 1;
+
+  // Stamps get a frame around the text; both are placed by their top left corner
+  const padding = stamp ? size * 0.3 : 0;
+  const left = ann.x * ctx.width;
+  const top = ctx.height - ann.y * ctx.height;
+  const boxWidth = textWidth + padding * 2;
+  const boxHeight = lines.length * lineHeight + padding * 2;
+  const borderWidth = stamp ? ann.strokeWidth || 2 : 0;
+
+  rotated(ctx.page, ann.rotation, left + boxWidth / 2, top - boxHeight / 2, () => {
+    if (stamp) {
+      ctx.page.drawRectangle({
+        x: left, y: top - boxHeight, width: boxWidth, height: boxHeight,
+        borderColor: color, borderWidth, borderOpacity: opacity
+      });
+    }
+    lines.forEach((runs, i) => {
+      let x = left + padding;
+      for (const run of runs) {
+        ctx.page.drawText(run.text, {
+          x,
+          y: top - padding - size + 2 - i * lineHeight,
+          size,
+          font: run.font,
+          color,
+          opacity
+        });
+        x += run.width;
+      }
+    });
+  });
+  const half = borderWidth / 2;
+  return coverage(
+    [left - half, top - boxHeight - half, left + boxWidth + half, top + half],
+    ann.rotation, left + boxWidth / 2, top - boxHeight / 2
+  );
+}
+
+async function drawImage(ctx, ann) {
+  if (!ctx.images.has(ann.src)) {
+    const [header, data] = ann.src.split(',');
+    const bytes = Buffer.from(data, 'base64');
+    ctx.images.set(ann.src, header.includes('png') ? await ctx.pdfDoc.embedPng(bytes) : await ctx.pdfDoc.embedJpg(bytes));
+  }
+  const image = ctx.images.get(ann.src);
+  const box = boxOf(ctx, ann);
+  rotated(ctx.page, ann.rotation, box.cx, box.cy, () => ctx.page.drawImage(image, {
+    x: box.x, y: box.y, width: box.width, height: box.height,
+    opacity: ann.opacity !== undefined ? ann.opacity : 1
+  }));
+  return coverage([box.x, box.y, box.x + box.width, box.y + box.height], ann.rotation, box.cx, box.cy);
+}
+
+async function drawSymbol(ctx, ann) {
+  const size = ann.size || 24;
+  const cx = ann.x * ctx.width;
+  const cy = ctx.height - ann.y * ctx.height;
+  const color = colorOf(ann.color, BLACK);
+  const opacity = ann.opacity !== undefined ? ann.opacity : 1;
+
+  const paths = SYMBOL_PATHS[ann.symbol];
+  if (paths) {
+    // Path units are the symbol's size, so the stroke width is scaled down to match
+    const strokeWidth = (ann.strokeWidth || size * 0.08) / size;
+    const halfWidth = (ann.symbol.endsWith('crescendo') ? 1.5 : 0.5) * size + strokeWidth * size;
+    const halfHeight = 0.5 * size + strokeWidth * size;
+    rotated(ctx.page, ann.rotation, cx, cy, () => {
+      for (const part of paths) {
+        drawPath(ctx, part.d, {
+          x: cx,
+          y: cy,
+          scale: size,
+          ...(part.fill ? { fill: color } : { stroke: color, strokeWidth, lineCap: LINE_CAPS[ann.lineCap || 'round'] }),
+          opacity
+        });
+      }
+    });
+    return coverage([cx - halfWidth, cy - halfHeight, cx + halfWidth, cy + halfHeight], ann.rotation, cx, cy);
+  }
+
+  // Dynamics in bold italic (as engraved), fingerings as bold digits
+  const dynamic = DYNAMICS.includes(ann.symbol);
+  const font = await ctx.font(dynamic ? StandardFonts.TimesRomanBoldItalic : StandardFonts.HelveticaBold);
+  const text = dynamic ? ann.symbol : ann.symbol.replace('finger-', '');
+  const textWidth = font.widthOfTextAtSize(text, size);
+  rotated(ctx.page, ann.rotation, cx, cy, () => ctx.page.drawText(text, {
+    x: cx - textWidth / 2,
+    y: cy - size * 0.35,
+    size,
+    font,
+    color,
+    opacity
+  }));
+  return coverage([cx - textWidth / 2, cy - size / 2, cx + textWidth / 2, cy + size / 2], ann.rotation, cx, cy);
+}
+
+// Draws one annotation; returns its bounds
+async function drawAnnotation(ctx, ann) {
+  switch (ann.type) {
+    case 'path':
+      return drawStroke(ctx, ann, { color: YELLOW, strokeWidth: 5, opacity: 0.5 });
+    case 'eraser':
+      // Paints over the page rather than removing anything, so it is always opaque white
+      return drawStroke(ctx, { ...ann, color: WHITE, opacity: 1 }, { color: WHITE, strokeWidth: 20, opacity: 1 });
+    case 'highlight':
+      // Multiply keeps the print under the highlight readable, like a marker
+      return drawBox(ctx, ann, {
+        color: colorOf(ann.color, YELLOW),
+        opacity: ann.opacity !== undefined ? ann.opacity : 0.35,
+        blendMode: BlendMode.Multiply
+      });
+    case 'whiteout':
+      return drawBox(ctx, ann, { color: colorOf(ann.color, WHITE), opacity: ann.opacity !== undefined ? ann.opacity : 1 });
+    case 'rectangle':
+    case 'ellipse':
+      return drawShape(ctx, ann);
+    case 'arrow':
+      return drawArrow(ctx, ann);
+    case 'text':
+    case 'stamp':
+      return drawText(ctx, ann);
+    case 'image':
+      return drawImage(ctx, ann);
+    case 'symbol':
+      return drawSymbol(ctx, ann);
+  }
+}
+
+/**
+ * A function drawing single annotations onto pages of a document, sharing the
+ * fonts and images it embeds. It draws in the coordinates of a shown page of
+ * the given size, from its bottom left corner; the caller maps them onto the page.
+ * @param {PDFDocument} pdfDoc
+ * @returns {function(PDFPage, number, number, object): Promise<number[]|null>}
+ *   (page, width, height, annotation) => the bounds drawn, [left, bottom, right, top]
+ */
+function annotationRenderer(pdfDoc) {
+  const fonts = new Map();
+  const embedded = new Map();
+  pdfDoc.registerFontkit(fontkit);
+  const ctx = {
+    pdfDoc,
+    images: new Map(),
+    font: async (name) => {
+      if (!fonts.has(name)) fonts.set(name, await pdfDoc.embedFont(name));
+      return fonts.get(name);
+    },
+    // Unicode fonts from annotation-fonts.js, each embedded once and subset to the glyphs used
+    embedFontFile: async ({ file, bytes }) => {
+      if (!embedded.has(file)) embedded.set(file, await pdfDoc.embedFont(bytes, { subset: true }));
+      return embedded.get(file);
+    }
+  };
+  return (page, width, height, ann) => drawAnnotation({ ...ctx, page, width, height }, ann);
+}
+
+/**
+ * Draw annotations onto a loaded PDF. Pages the document doesn't have and
+ * annotations that don't match the schema are skipped.
+ * @param {PDFDocument} pdfDoc - Loaded with pdf-lib; saved by the caller
+ * @param {object} annotations - {pageNumber: [annotation, ...]}
+ */
+async function drawAnnotations(pdfDoc, annotations) {
+  const pages = pdfDoc.getPages();
+  const draw = annotationRenderer(pdfDoc);
+
+  for (const [pageIndex, pageAnns] of Object.entries(annotations)) {
+    const pageNum = parseInt(pageIndex);
+    if (!(pageNum >= 1 && pageNum <= pages.length) || !Array.isArray(pageAnns)) continue;
+    const page = pages[pageNum - 1];
+    const frame = pageFrame(page);
+
+    page.pushOperators(pushGraphicsState(), concatTransformationMatrix(...frame.matrix));
+    try {
+      for (const ann of pageAnns) {
+        const problem = validateAnnotation(ann);
+        if (problem) {
+          console.error(`Skipping annotation on page ${pageNum}: ${problem}`);
+          continue;
+        }
+        try {
+          await draw(page, frame.width, frame.height, ann);
+        } catch (annErr) {
+          console.error('Error processing annotation:', annErr);
+        }
+      }
+    } finally {
+      page.pushOperators(popGraphicsState());
+    }
+  }
+}
+
+module.exports = {
+  pageFrame,
+  annotationRenderer,
+  drawAnnotations
+};
@@ -0,0 +1,157 @@
+// The annotation types clients save and the PDF export draws. Positions and
+// sizes are fractions of the page (x from the left, y from the top); stroke
+// widths and font sizes are in PDF points. Fields not listed here are kept
+// as they are, for the client's own use.
+//
+// Common fields: color, opacity (0-1), rotation (degrees clockwise about the
+// annotation's centre) and, for strokes, lineCap ('butt', 'round', 'square').
+const ANNOTATION_TYPES = {
+  path: 'Freehand stroke: points [{x, y}], strokeWidth',
+  eraser: 'Freehand stroke painted in white: points, strokeWidth',
+  highlight: 'Translucent box: x, y, width, height',
+  whiteout: 'Opaque box covering the page: x, y, width, height',
+  rectangle: 'Outline (or filled with `fill`): x, y, width, height, strokeWidth',
+  ellipse: 'Outline (or filled with `fill`) inside the box x, y, width, height',
+  arrow: 'Line from {x, y} to {x, y} with a head at `heads`: end, start or both',
+  text: 'Text at x, y (top left): text, size, font',
+  stamp: 'Text in a box at x, y (top left): text, size, font',
+  image: 'PNG or JPEG data: URL in `src`, drawn in x, y, width, height',
+  symbol: 'Musical symbol centred on x, y: symbol, size'
+};
+
+// Dynamics are set in bold italic, fingerings in bold; the rest are drawn
+const DYNAMICS = ['ppp', 'pp', 'p', 'mp', 'mf', 'f', 'ff', 'fff', 'fp', 'sf', 'sfz', 'rfz', 'crescendo', 'decrescendo'];
+const FINGERINGS = ['finger-0', 'finger-1', 'finger-2', 'finger-3', 'finger-4', 'finger-5', 'thumb'];
+const MUSIC_SYMBOLS = [
+  ...DYNAMICS,
+  ...FINGERINGS,
+  'breath', 'caesura',
+  'up-bow', 'down-bow',
+  'fermata', 'accent', 'staccato', 'tenuto'
+];
+
+// Font families for text and stamps; any script is drawn (see annotation-fonts.js)
+const TEXT_FONTS = ['sans', 'serif', 'music'];
+const LINE_CAPS = ['butt', 'round', 'square'];
+const ARROW_HEADS = ['end', 'start', 'both'];
+
+const MAX_PATH_POINTS = 10000;
+const MAX_TEXT_LENGTH = 2000;
+// Length of an image's data: URL (about 1.5 MB of image)
+const MAX_IMAGE_URL_LENGTH = 2 * 1024 * 1024;
+const IMAGE_URL_REGEX = /^data:image\/(png|jpeg);base64,[A-Za-z0-9+/]+=*$/;
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isPoint = (point) => point && isNumber(point.x) && isNumber(point.y);
+
+/**
+ * A colour as {r, g, b} with components 0-1. Accepts that object, its JSON
+ * (what older clients save) and #rgb / #rrggbb.
+ * @param {object|string} value
+ * @returns {{r: number, g: number, b: number}|null} null when it isn't a colour
+ */
+function parseColor(value) {
+  let color = value;
+  if (typeof color === 'string') {
+    const hex = color.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i);
+    if (hex) {
+      const digits = hex[1].length === 3 ? hex[1].replace(/./g, '$&$&') : hex[1];
+      return {
+        r: parseInt(digits.slice(0, 2), 16) / 255,
+        g: parseInt(digits.slice(2, 4), 16) / 255,
+        b: parseInt(digits.slice(4, 6), 16) / 255
+      };
+    }
+    try {
+      color = JSON.parse(color);
+    } catch (e) {
+      return null;
+    }
+  }
+  if (!color || typeof color !== 'object') return null;
+  const { r, g, b } = color;
+  return [r, g, b].every(c => isNumber(c) && c >= 0 && c <= 1) ? { r, g, b } : null;
+}
+
+function checkBox(ann) {
+  if (!isNumber(ann.x) || !isNumber(ann.y)) return 'needs numeric x and y';
+  if (!isNumber(ann.width) || !isNumber(ann.height) || ann.width <= 0 || ann.height <= 0) {
+    return 'needs a positive width and height';
+  }
+  return null;
+}
+
+function checkPoints(points) {
+  if (!Array.isArray(points) || points.length === 0) return 'needs points';
+  if (points.length > MAX_PATH_POINTS) return `has more than ${MAX_PATH_POINTS} points`;
+  if (!points.every(isPoint)) return 'points must be {x, y} numbers';
+  return null;
+}
+
+function checkText(ann) {
+  if (typeof ann.text !== 'string' || ann.text.length === 0) return 'needs text';
+  if (ann.text.length > MAX_TEXT_LENGTH) return `text is longer than ${MAX_TEXT_LENGTH} characters`;
+  if (!isNumber(ann.x) || !isNumber(ann.y)) return 'needs numeric x and y';
+  if (ann.font !== undefined && !TEXT_FONTS.includes(ann.font)) return `font must be one of: ${TEXT_FONTS.join(', ')}`;
+  return null;
+}
+
+const TYPE_CHECKS = {
+  path: (ann) => checkPoints(ann.points),
+  eraser: (ann) => checkPoints(ann.points),
+  highlight: checkBox,
+  whiteout: checkBox,
+  rectangle: checkBox,
+  ellipse: checkBox,
+  arrow: (ann) => {
+    if (!isPoint(ann.from) || !isPoint(ann.to)) return 'needs from and to points';
+    if (ann.heads !== undefined && !ARROW_HEADS.includes(ann.heads)) return `heads must be one of: ${ARROW_HEADS.join(', ')}`;
+    return null;
+  },
+  text: checkText,
+  stamp: checkText,
+  image: (ann) => {
+    if (typeof ann.src !== 'string' || !IMAGE_URL_REGEX.test(ann.src)) return 'src must be a PNG or JPEG data: URL';
+    if (ann.src.length > MAX_IMAGE_URL_LENGTH) return 'image is too large';
+    return checkBox(ann);
+  },
+  symbol: (ann) => {
+    if (!MUSIC_SYMBOLS.includes(ann.symbol)) return `unknown symbol "${ann.symbol}"`;
+    if (!isNumber(ann.x) || !isNumber(ann.y)) return 'needs numeric x and y';
+    return null;
+  }
+};
+
+/**
+ * Check an annotation against its type's schema
+ * @param {object} ann
+ * @returns {string|null} What is wrong with it, or null when it is valid
+ */
+function validateAnnotation(ann) {
+  if (!ann || typeof ann !== 'object' || Array.isArray(ann)) return 'an annotation must be an object';
+  const check = TYPE_CHECKS[ann.type];
+  if (!check) return `unknown annotation type "${ann.type}"; expected one of: ${Object.keys(ANNOTATION_TYPES).join(', ')}`;
+
+  const problem = check(ann);
+  if (problem) return `${ann.type} ${problem}`;
+  if (ann.color !== undefined && ann.color !== null && !parseColor(ann.color)) return 'color must be #rrggbb or {r, g, b} from 0 to 1';
+  if (ann.fill !== undefined && ann.fill !== null && !parseColor(ann.fill)) return 'fill must be #rrggbb or {r, g, b} from 0 to 1';
+  if (ann.opacity !== undefined && !(isNumber(ann.opacity) && ann.opacity >= 0 && ann.opacity <= 1)) return 'opacity must be between 0 and 1';
+  if (ann.rotation !== undefined && !isNumber(ann.rotation)) return 'rotation must be a number of degrees';
+  if (ann.strokeWidth !== undefined && !(isNumber(ann.strokeWidth) && ann.strokeWidth > 0 && ann.strokeWidth <= 200)) {
+    return 'strokeWidth must be between 0 and 200 points';
+  }
+  if (ann.size !== undefined && !(isNumber(ann.size) && ann.size > 0 && ann.size <= 500)) return 'size must be between 0 and 500 points';
+  if (ann.lineCap !== undefined && !LINE_CAPS.includes(ann.lineCap)) return `lineCap must be one of: ${LINE_CAPS.join(', ')}`;
+  return null;
+}
+
+module.exports = {
+  ANNOTATION_TYPES,
+  MUSIC_SYMBOLS,
+  TEXT_FONTS,
+  DYNAMICS,
+  FINGERINGS,
+  parseColor,
+  validateAnnotation
+};
@@ -0,0 +1,228 @@
+const fs = require('fs');
+const path = require('path');
+const db = require('./db');
+const { uploadFile, deleteFile } = require('./storage');
+const { uploadDir, calculateFileHash, removeTempFile } = require('./upload');
+const { extractMetadataFromImage, extractMetadataFromPdf } = require('./ocr');
+const { inspectFile } = require('./page-info');
+const { isScoreType, readScoreMetadata } = require('./score-files');
+
+// Items waiting for OCR. Processed one at a time so a 300-file batch
+// doesn't start 300 Tesseract workers at once.
+const queue = [];
+let draining = false;
+
+/**
+ * Queue a batch item for upload and OCR
+ * @param {object} job - {itemId, batchId, userId, localPath, mimetype, originalName, lang}
+ */
+function enqueueItem(job) {
+  queue.push(job);
+  drainQueue();
+}
+
+async function drainQueue() {
+  if (draining) return;
+  draining = true;
+  while (queue.length > 0) {
+    const job = queue.shift();
+    try {
+      await processItem(job);
+    } catch (e) {
+      console.error(`Batch item ${job.itemId} failed:`, e);
+      await markItemFailed(job, e.message).catch(err => console.error('Failed to record batch item failure:', err));
+    } finally {
+      removeTempFile(job.localPath);
+      await finishBatchIfDone(job.batchId).catch(err => console.error('Failed to finalize batch:', err));
+    }
+  }
+  draining = false;
+}
+
+/**
+ * Run OCR on a local file, picking the extractor by mime type
+ * @param {string} filePath - Local path to the file
+ * @param {string} mimetype
+ * @param {string} [lang] - OCR language chosen for the batch (or 'auto')
+ * @returns {Promise<{title: string, composer: string, rawText: string, confidence: number|null}>}
+ */
+async function extractMetadata(filePath, mimetype, lang) {
+  const options = { background: true, lang: lang || undefined };
+  if (mimetype === 'application/pdf') {
+    return extractMetadataFromPdf(filePath, options);
+  }
+  if (mimetype && mimetype.startsWith('image/')) {
+    return extractMetadataFromImage(filePath, options);
+  }
+  if (isScoreType(mimetype)) {
+    return readScoreMetadata(filePath, mimetype);
+  }
+  return { title: '', composer: '', sources: {}, rawText: '', confidence: null };
+}
+
+async function processItem(job) {
+  const { itemId, batchId, userId, localPath, mimetype, originalName, lang } = job;
+
+  await db.query(`UPDATE batch_upload_items SET status = 'processing' WHERE id = $1`, [itemId]);
+  await db.query(`UPDATE batch_uploads SET status = 'processing' WHERE id = $1 AND status = 'pending'`, [batchId]);
+
+  let item = (await db.query('SELECT * FROM batch_upload_items WHERE id = $1', [itemId])).rows[0];
+  if (!item) return; // Discarded while queued
+
+  // Upload to storage unless a previous run already did
+  if (!item.file_url) {
+    const fileHash = await calculateFileHash(localPath);
+
+    const dupCheck = await db.query(
+      'SELECT id, title FROM sheets WHERE file_hash = $1 AND user_id = $2',
+      [fileHash, userId]
+    );
+    if (dupCheck.rows.length > 0) {
+      throw new Error(`Duplicate file content: already in library as "${dupCheck.rows[0].title}"`);
+    }
+
+    const uploadResult = await uploadFile(localPath, originalName);
+    const updated = await db.query(`
+      UPDATE batch_upload_items
+      SET file_url = $1, storage_key = $2, file_size = $3, file_hash = $4
+      WHERE id = $5
+      RETURNING *
+    `, [uploadResult.url, uploadResult.storageKey, uploadResult.size, fileHash, itemId]);
+    if (updated.rows.length === 0) {
+      // Discarded (with its batch) during the upload; the file has nothing to belong to
+      await deleteFile(uploadResult.storageKey);
+      return;
+    }
+    item = updated.rows[0];
+  }
+
+  const pageInfo = await inspectFile(localPath, mimetype);
+  const metadata = await extractMetadata(localPath, mimetype, lang);
+
+  const { rawText, confidence, title, composer, arranger, lyricist, ...properties } = metadata;
+
+  const result = await db.query(`
+    UPDATE batch_upload_items
+    SET ocr_text = $1, ocr_confidence = $2,
+        extracted_title = $3, extracted_composer = $4,
+        extracted_arranger = $5, extracted_lyricist = $6, extracted_metadata = $7,
+        page_count = $8, page_dimensions = $9,
+        status = 'review', error_message = NULL, processed_at = NOW()
+    WHERE id = $10
+    RETURNING id
+  `, [
+    rawText || null,
+    confidence ?? null,
+    title || null,
+    composer || null,
+    arranger || null,
+    lyricist || null,
+    JSON.stringify(properties),
+    pageInfo.pageCount,
+    JSON.stringify(pageInfo.pages),
+    itemId
+  ]);
+  // Discarded during OCR: discardItem has already removed its file and counted it out
+  if (result.rows.length === 0) return;
+  await db.query('UPDATE batch_uploads SET processed_files = processed_files + 1 WHERE id = $1', [batchId]);
+
+  console.log(`Batch ${batchId}: processed ${item.original_filename}`);
+}
+
+async function markItemFailed(job, message) {
+  const result = await db.query(`
+    UPDATE batch_upload_items
+    SET status = 'failed', error_message = $1, processed_at = NOW()
+    WHERE id = $2
+    RETURNING id
+  `, [message, job.itemId]);
+  if (result.rows.length === 0) return; // Discarded meanwhile
+  await db.query('UPDATE batch_uploads SET failed_files = failed_files + 1 WHERE id = $1', [job.batchId]);
+}
+
+async function finishBatchIfDone(batchId) {
+  await db.query(`
+    UPDATE batch_uploads
+    SET status = CASE WHEN failed_files >= total_files THEN 'failed'::batch_status ELSE 'completed'::batch_status END,
+        completed_at = NOW()
+    WHERE id = $1
+      AND status IN ('pending', 'processing')
+      AND processed_files + failed_files >= total_files
+  `, [batchId]);
+}
+
+/**
+ * Remove an unconfirmed item from its batch, deleting its stored file and
+ * keeping the batch counters consistent so the batch can still complete
+ * @param {object} item - batch_upload_items row
+ */
+async function discardItem(item) {
+  // Confirmed items share their stored file with the sheet
+  if (item.storage_key && item.status !== 'completed') {
+    await deleteFile(item.storage_key);
+  }
+  await db.query('DELETE FROM batch_upload_items WHERE id = $1', [item.id]);
+
+  const counter = item.status === 'failed'
+    ? 'failed_files'
+    : (['review', 'completed'].includes(item.status) ? 'processed_files' : null);
+  await db.query(`
+    UPDATE batch_uploads
+    SET total_files = GREATEST(total_files - 1, 0)${counter ? `, ${counter} = GREATEST(${counter} - 1, 0)` : ''}
+    WHERE id = $1
+  `, [item.batch_id]);
+  await finishBatchIfDone(item.batch_id);
+}
+
+/**
+ * Re-queue items left unfinished by a server restart.
+ * Items already in storage are downloaded again for OCR; items whose
+ * temporary upload was lost are marked failed so the batch can complete.
+ */
+async function resumeInterruptedBatches() {
+  const result = await db.query(`
+    SELECT i.*, b.user_id, b.ocr_language
+    FROM batch_upload_items i
+    JOIN batch_uploads b ON i.batch_id = b.id
+    WHERE i.status IN ('pending', 'processing')
+    ORDER BY i.created_at
+  `);
+
+  for (const item of result.rows) {
+    const job = {
+      itemId: item.id,
+      batchId: item.batch_id,
+      userId: item.user_id,
+      mimetype: item.file_type,
+      originalName: item.original_filename,
+      lang: item.ocr_language
+    };
+
+    if (!item.file_url) {
+      await markItemFailed(job, 'Upload interrupted by server restart');
+      await finishBatchIfDone(item.batch_id);
+      continue;
+    }
+
+    try {
+      const response = await fetch(item.file_url);
+      if (!response.ok) throw new Error(`Failed to fetch stored file: ${response.status}`);
+      const localPath = path.join(uploadDir, `${Date.now()}-${path.basename(item.original_filename)}`);
+      fs.writeFileSync(localPath, Buffer.from(await response.arrayBuffer()));
+      enqueueItem({ ...job, localPath });
+    } catch (e) {
+      await markItemFailed(job, e.message);
+      await finishBatchIfDone(item.batch_id);
+    }
+  }
+
+  if (result.rows.length > 0) {
+    console.log(`Resumed ${result.rows.length} interrupted batch item(s)`);
+  }
+}
+
+module.exports = {
+  enqueueItem,
+  discardItem,
+  resumeInterruptedBatches
+};
@@ -0,0 +1,24 @@
+// Outgoing email through Resend. Without RESEND_API_KEY nothing is sent;
+// callers check `emailEnabled` and log what they would have sent instead.
+const { Resend } = require('resend');
+
+const resend = process.env.RESEND_API_KEY ? new Resend(process.env.RESEND_API_KEY) : null;
+const FROM_EMAIL = process.env.FROM_EMAIL || 'OpusOne <onboarding@resend.dev>';
+// Where links in emails point, without a trailing slash
+const FRONTEND_URL = (process.env.FRONTEND_URL || 'http://localhost:5173').replace(/\/$/, '');
+
+/**
+ * @param {{to: string, subject: string, html: string}} message
+ * @returns {Promise<void>} Rejects when Resend refuses the message
+ */
+async function sendEmail({ to, subject, html }) {
+  if (!resend) throw new Error('Email is not configured (RESEND_API_KEY)');
+  const { error } = await resend.emails.send({ from: FROM_EMAIL, to, subject, html });
+  if (error) throw new Error(error.message || 'Email could not be sent');
+}
+
+module.exports = {
+  emailEnabled: Boolean(resend),
+  FRONTEND_URL,
+  sendEmail
+};
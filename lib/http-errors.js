@@ -0,0 +1,37 @@
+// Errors that carry the HTTP status a route should answer with. Library code
+// throws them; routes catch and answer with sendError.
+
+/**
+ * @param {number} status - HTTP status
+ * @param {string} message - Shown to the client as `error`
+ * @returns {Error}
+ */
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * Answer a failed request: the error's status and message, or 500 (logged)
+ * for an unexpected one. Also passes on what some errors carry: `etag` as the
+ * ETag header and `current` for a failed If-Match, `passwordRequired` for a
+ * share link that needs a password.
+ * @param {object} res - Express response
+ * @param {string} label - What failed, for the log
+ * @param {Error} e
+ */
+function sendError(res, label, e) {
+  if (!e.status) console.error(`${label} failed:`, e);
+  if (e.etag) res.set('ETag', e.etag);
+  res.status(e.status || 500).json({
+    error: e.message,
+    ...(e.current !== undefined ? { current: e.current } : {}),
+    ...(e.passwordRequired ? { password_required: true } : {})
+  });
+}
+
+module.exports = {
+  httpError,
+  sendError
+};
@@ -0,0 +1,179 @@
+// Invitations to a sheet or folder for an email with no account yet. The
+// invitee is emailed a link carrying a token; registering with that token, or
+// signing in and accepting it, turns the email's invitations into shares with
+// the permission given (see POST /api/auth/register). The token stands in for
+// a verified address: registering the email without it gets nothing.
+const crypto = require('crypto');
+const db = require('./db');
+const { httpError } = require('./http-errors');
+const { emailEnabled, sendEmail, FRONTEND_URL } = require('./email');
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const TOKEN_BYTES = 24;
+
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+
+const invitationUrl = (token) => `${FRONTEND_URL}/?invitation=${token}`;
+
+function invitationEmail({ inviterName, title, kind, permission, token }) {
+  const signupUrl = invitationUrl(token);
+  const access = { view: 'view', full: 'view, annotate and edit' }[permission] || 'view and annotate';
+  return `
+    <div style="font-family: 'Helvetica Neue', Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f9fafb; border-radius: 10px;">
+        <div style="text-align: center; margin-bottom: 24px;">
+            <h1 style="color: #1e293b; font-size: 24px; margin: 0;">OpusOne</h1>
+            <p style="color: #64748b; font-size: 14px; margin: 4px 0 0;">Sheet Music Library</p>
+        </div>
+
+        <div style="background-color: #ffffff; padding: 32px; border-radius: 12px; box-shadow: 0 4px 6px -1px rgba(0, 0, 0, 0.1);">
+            <h2 style="color: #1e293b; font-size: 20px; margin-top: 0;">${escapeHtml(inviterName)} shared a ${kind} with you</h2>
+            <p style="color: #475569; line-height: 1.6;">
+                You have been invited to ${access} the ${kind} <strong>${escapeHtml(title)}</strong> on OpusOne.
+                Create an account with this email address from the link below and it will be waiting in your library.
+            </p>
+
+            <div style="text-align: center; margin: 32px 0;">
+                <a href="${signupUrl}"
+                   style="display: inline-block; background-color: #4f46e5; color: white; padding: 14px 28px; text-decoration: none; border-radius: 8px; font-weight: bold; font-size: 16px; box-shadow: 0 4px 6px -1px rgba(79, 70, 229, 0.2);">
+                    Create Account
+                </a>
+            </div>
+        </div>
+
+        <div style="text-align: center; margin-top: 24px; color: #94a3b8; font-size: 12px;">
+            <p>Or copy and paste this URL into your browser:</p>
+            <a href="${signupUrl}" style="color: #4f46e5; text-decoration: none; word-break: break-all;">${signupUrl}</a>
+        </div>
+    </div>
+  `;
+}
+
+/**
+ * Invite an email to a sheet or folder, and email them about it
+ * @param {{sheetId?: string, folderId?: string}} target
+ * @param {string} email
+ * @param {string} permission - One of SHARE_PERMISSIONS
+ * @param {string} inviterId
+ * @param {string} title - The sheet's title or folder's name, for the email
+ * @returns {Promise<object>} The invitation, with `email_sent`
+ */
+async function createInvitation({ sheetId = null, folderId = null }, email, permission, inviterId, title) {
+  const address = String(email).trim().toLowerCase();
+  if (!EMAIL_REGEX.test(address)) throw httpError(400, 'Invalid email address');
+
+  const result = await db.query(`
+    INSERT INTO share_invitations (email, sheet_id, folder_id, permission, invited_by_user_id, token)
+    VALUES ($1, $2, $3, $4, $5, $6)
+    ON CONFLICT DO NOTHING
+    RETURNING *
+  `, [address, sheetId, folderId, permission, inviterId, crypto.randomBytes(TOKEN_BYTES).toString('base64url')]);
+  if (result.rows.length === 0) throw httpError(409, 'An invitation has already been sent to this email');
+  const invitation = result.rows[0];
+
+  const inviter = await db.query('SELECT email, display_name FROM users WHERE id = $1', [inviterId]);
+  const message = {
+    to: address,
+    subject: `${inviter.rows[0]?.display_name || 'Someone'} shared "${title || 'Untitled'}" with you on OpusOne`,
+    html: invitationEmail({
+      inviterName: inviter.rows[0]?.display_name || inviter.rows[0]?.email || 'Someone',
+      title: title || 'Untitled',
+      kind: sheetId ? 'sheet' : 'folder',
+      permission,
+      token: invitation.token
+    })
+  };
+
+  let emailSent = false;
+  if (emailEnabled) {
+    try {
+      await sendEmail(message);
+      emailSent = true;
+      console.log(`Share invitation sent to ${address}`);
+    } catch (emailErr) {
+      // The invitation stands; the inviter can revoke it and invite again
+      console.error('Failed to send invitation email:', emailErr);
+    }
+  } else {
+    console.log(`[DEV] Share invitation for ${address}: ${message.subject}`);
+    console.log(`[DEV] Invitation URL: ${invitationUrl(invitation.token)}`);
+  }
+  return { ...invitation, email_sent: emailSent };
+}
+
+/**
+ * Pending invitations to a sheet or folder, newest first
+ * @param {{sheetId?: string, folderId?: string}} target
+ * @returns {Promise<object[]>}
+ */
+async function listInvitations({ sheetId = null, folderId = null }) {
+  const result = await db.query(`
+    SELECT i.id, i.email, i.permission, i.created_at,
+           u.id AS invited_by_id, u.display_name AS invited_by_name
+    FROM share_invitations i
+    LEFT JOIN users u ON u.id = i.invited_by_user_id
+    WHERE ${sheetId ? 'i.sheet_id' : 'i.folder_id'} = $1
+    ORDER BY i.created_at DESC
+  `, [sheetId || folderId]);
+  return result.rows.map(row => ({
+    id: row.id,
+    email: row.email,
+    permission: row.permission,
+    invited_by: { id: row.invited_by_id, display_name: row.invited_by_name },
+    created_at: row.created_at
+  }));
+}
+
+/**
+ * Withdraw a pending invitation
+ * @param {{sheetId?: string, folderId?: string}} target
+ * @param {string} invitationId
+ * @returns {Promise<boolean>} false when there is no such invitation
+ */
+async function revokeInvitation({ sheetId = null, folderId = null }, invitationId) {
+  const result = await db.query(`
+    DELETE FROM share_invitations
+    WHERE id::text = $1 AND ${sheetId ? 'sheet_id' : 'folder_id'} = $2
+    RETURNING id
+  `, [invitationId, sheetId || folderId]);
+  return result.rows.length > 0;
+}
+
+/**
+ * Turn every invitation to an email into shares for the user with that email,
+ * once they show the token from one of the invitation emails
+ * @param {string} userId
+ * @param {string} email - The user's email
+ * @param {string} token - From the invitation link
+ * @returns {Promise<{sheets: number, folders: number}>} Shares created
+ */
+async function acceptInvitations(userId, email, token) {
+  const address = email.toLowerCase();
+  const invitation = typeof token === 'string' && token
+    ? await db.query('SELECT id FROM share_invitations WHERE token = $1 AND email = $2', [token, address])
+    : { rows: [] };
+  if (invitation.rows.length === 0) throw httpError(404, 'Invitation not found');
+
+  const sheets = await db.query(`
+    INSERT INTO sheet_shares (sheet_id, shared_with_user_id, shared_by_user_id, permission)
+    SELECT sheet_id, $1, invited_by_user_id, permission
+    FROM share_invitations
+    WHERE email = $2 AND sheet_id IS NOT NULL
+    ON CONFLICT (sheet_id, shared_with_user_id) DO NOTHING
+  `, [userId, address]);
+  const folders = await db.query(`
+    INSERT INTO folder_shares (folder_id, shared_with_user_id, shared_by_user_id, permission)
+    SELECT folder_id, $1, invited_by_user_id, permission
+    FROM share_invitations
+    WHERE email = $2 AND folder_id IS NOT NULL
+    ON CONFLICT (folder_id, shared_with_user_id) DO NOTHING
+  `, [userId, address]);
+  await db.query('DELETE FROM share_invitations WHERE email = $1', [address]);
+  return { sheets: sheets.rowCount, folders: folders.rowCount };
+}
+
+module.exports = {
+  createInvitation,
+  listInvitations,
+  revokeInvitation,
+  acceptInvitations
+};
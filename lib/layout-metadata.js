@@ -0,0 +1,128 @@
+// Title / composer / lyricist detection from the geometry of OCR'd lines.
+// Printed music follows a fairly fixed first-page layout: the title is the
+// largest text near the top and roughly centred, the composer is right-aligned
+// just under it and the lyricist (or poet) sits on the left at the same height.
+// Dedications, publisher headers and instrument names are smaller or off-centre.
+
+// Only the top part of the page holds the heading; below it is music
+const HEADER_REGION = 0.4;
+// Lines within this share of the page width from the centre count as centred
+const CENTER_TOLERANCE = 0.15;
+
+/**
+ * Flatten Tesseract blocks into lines with their geometry
+ * @param {object} tesseractData - `data` of a recognize result made with {blocks: true}
+ * @returns {Array<{text: string, bbox: object, height: number}>} Non-empty lines in reading order
+ */
+function getLayoutLines(tesseractData) {
+  const lines = [];
+  (tesseractData.blocks || []).forEach(block => {
+    (block.paragraphs || []).forEach(paragraph => {
+      (paragraph.lines || []).forEach(line => {
+        const text = (line.text || '').trim();
+        if (!text) return;
+        const boxHeight = line.bbox.y1 - line.bbox.y0;
+        lines.push({
+          text,
+          bbox: line.bbox,
+          // Row height is Tesseract's font size estimate; the box also includes accents and descenders
+          height: line.rowAttributes?.rowHeight || boxHeight
+        });
+      });
+    });
+  });
+  return lines;
+}
+
+/**
+ * Estimate page size from the lines when the image size isn't known,
+ * assuming margins are roughly symmetric
+ */
+function estimatePageSize(lines) {
+  const minX = Math.min(...lines.map(l => l.bbox.x0));
+  const maxX = Math.max(...lines.map(l => l.bbox.x1));
+  const minY = Math.min(...lines.map(l => l.bbox.y0));
+  const maxY = Math.max(...lines.map(l => l.bbox.y1));
+  return { width: maxX + minX, height: maxY + minY };
+}
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+/**
+ * Pick title, composer and lyricist lines by position and size
+ * @param {Array<{text: string, bbox: object, height: number}>} lines - From getLayoutLines
+ * @param {object} [options]
+ * @param {{width: number, height: number}} [options.page] - Image size in pixels
+ * @param {function} [options.isCandidate] - (line, index) => boolean, to skip noise and
+ *   lines already identified as something else (tempo, copyright, credits)
+ * @returns {{title?: {value: string, lineIndex: number}, composer?: object, lyricist?: object}}
+ */
+function detectLayoutMetadata(lines, options = {}) {
+  if (lines.length === 0) return {};
+  const page = options.page || estimatePageSize(lines);
+  const isCandidate = options.isCandidate || (() => true);
+  const typicalHeight = median(lines.map(l => l.height)) || 1;
+
+  const geometry = lines.map((line, index) => {
+    const center = (line.bbox.x0 + line.bbox.x1) / 2;
+    return {
+      index,
+      line,
+      top: line.bbox.y0 / page.height,
+      offCenter: Math.abs(center / page.width - 0.5),
+      left: line.bbox.x0 / page.width,
+      right: line.bbox.x1 / page.width,
+      center: center / page.width,
+      size: line.height / typicalHeight
+    };
+  }).filter(g => g.top <= HEADER_REGION && isCandidate(g.line, g.index));
+
+  if (geometry.length === 0) return {};
+
+  // Title: big, centred, near the top. Size dominates; position breaks ties.
+  const titleScore = (g) => g.size * (1 - Math.min(g.offCenter / 0.5, 1) * 0.8) * (1 - g.top * 0.5);
+  const centred = geometry.filter(g => g.offCenter <= CENTER_TOLERANCE);
+  const titlePool = centred.length > 0 ? centred : geometry;
+  const title = titlePool.reduce((best, g) => (titleScore(g) > titleScore(best) ? g : best));
+
+  // Titles set over two lines: keep following lines of the same size directly below
+  let titleText = title.line.text;
+  let titleBottom = title.line.bbox.y1;
+  for (const g of geometry) {
+    if (g.index <= title.index) continue;
+    const gap = g.line.bbox.y0 - titleBottom;
+    const sameSize = Math.abs(g.line.height - title.line.height) <= title.line.height * 0.2;
+    if (sameSize && g.offCenter <= CENTER_TOLERANCE && gap >= 0 && gap < title.line.height) {
+      titleText += ' ' + g.line.text;
+      titleBottom = g.line.bbox.y1;
+    } else if (g.line.bbox.y0 > titleBottom) {
+      break;
+    }
+  }
+
+  const result = { title: { value: titleText, lineIndex: title.index } };
+
+  // Credits sit below the title; the nearest right- and left-aligned lines win
+  const below = geometry
+    .filter(g => g.line.bbox.y0 >= titleBottom - title.line.height * 0.25 && g.index !== title.index && !titleText.includes(g.line.text))
+    .sort((a, b) => a.line.bbox.y0 - b.line.bbox.y0);
+
+  const composer = below.find(g => g.right >= 0.7 && g.center >= 0.55);
+  if (composer) result.composer = { value: composer.line.text, lineIndex: composer.index };
+
+  // Poet and composer share a row; left-aligned text further down is usually a tempo or part name
+  const creditBottom = composer ? composer.line.bbox.y1 : titleBottom + title.line.height * 2;
+  const lyricist = below.find(g => g.left <= 0.3 && g.center <= 0.45 && g.line.bbox.y0 <= creditBottom);
+  if (lyricist) result.lyricist = { value: lyricist.line.text, lineIndex: lyricist.index };
+
+  return result;
+}
+
+module.exports = {
+  getLayoutLines,
+  detectLayoutMetadata
+};
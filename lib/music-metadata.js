@@ -0,0 +1,192 @@
+// Heuristics for pulling musical properties out of the text printed on a
+// first page (OCR output or a PDF text layer). Every extractor works line by
+// line and reports the line it used so clients can highlight it.
+
+// Tempo terms, checked at the start of a line so lyrics don't match
+const TEMPO_TERMS = [
+  'Grave', 'Largo', 'Larghetto', 'Lento', 'Adagio', 'Adagietto', 'Andante', 'Andantino',
+  'Moderato', 'Allegretto', 'Allegro', 'Vivace', 'Vivacissimo', 'Presto', 'Prestissimo',
+  'Maestoso', 'Sostenuto', 'Tempo di [A-Za-zà-ù]+', 'Tempo giusto', 'Tempo rubato', 'A tempo',
+  // Adverbs only: adjectives like "Bright" or "Swing" start too many song titles
+  'Slowly', 'Moderately', 'Brightly', 'Gently', 'Freely', 'Medium Swing',
+  'Αργά', 'Πολύ αργά', 'Μέτρια', 'Μέτριο', 'Γρήγορα', 'Ζωηρά', 'Ήρεμα', 'Ελεύθερα', 'Ρυθμικά'
+];
+const TEMPO_MODIFIERS = '(?:(?:Molto|Poco|Un poco|Più|Meno|Very|Quite|Πολύ)\\s+)?';
+const TEMPO_REGEX = new RegExp(`^${TEMPO_MODIFIERS}(?:${TEMPO_TERMS.join('|')})(?=$|[\\s,.(♩♪=])`, 'i');
+
+// Metronome marks. OCR usually reads the note glyph as J, q or d.
+const METRONOME_REGEX = /(?:[♩♪𝅘𝅥𝅘𝅥𝅮]|\bJ|\bq|\bd|M\.?\s?M\.?)\s*\.?\s*=\s*(?:c(?:a|irca)?\.?\s*)?(\d{2,3})\b|\b(\d{2,3})\s*bpm\b/i;
+
+// Opus and catalogue numbers. A number is required so initials like "D. Scarlatti" don't match.
+// Single-letter catalogues (K, D, S, L) need at least two digits.
+const OPUS_REGEX = /\b[Oo]p(?:us)?\.?\s*(?:\d+[a-z]?|posth\.?)(?:\s*[,/]?\s*(?:No|Nr|N°|№)\.?\s*\d+[a-z]?)?|\b(?:BWV|BuxWV|HWV|TWV|RV|WoO|KV|Hob|Sz|FP)\.?\s*(?:[IVXL]+[a-z]?\s*:\s*)?\d+[a-z]?\b|\b[KDSL](?:\.\s*|\s+)\d{2,4}[a-z]?\b|Έργο\s*\d+(?:\s*(?:Αρ|No)\.?\s*\d+)?/;
+
+// Credit lines: a label followed by a capitalised name. Case-sensitive on
+// purpose, so "arr. for SATB" doesn't produce an arranger called "for SATB".
+const NAME = "([A-ZΑ-ΩΆΈΉΊΌΎΏ][\\p{L}.'’\\- ]*[\\p{L}.])";
+
+const ARRANGER_REGEX = new RegExp(`(?:\\b[Aa]rr(?:anged)?\\.?(?:\\s*by)?|\\b(?:ARRANGED|Arrangement)(?:\\s*[Bb][Yy])?|\\bBearb(?:eitung)?\\.?(?:\\s*von)?|Διασκευή|Ενορχήστρωση|Εναρμόνιση)[:\\s]+(?:by\\s+)?${NAME}`, 'u');
+
+const LYRICIST_REGEX = new RegExp(`(?:Στίχοι|ΣΤΙΧΟΙ|Ποίηση|Λόγια|\\b(?:Lyrics|LYRICS|Words|WORDS|Text|Poem)(?:\\s*[Bb][Yy])?|\\bTexte?\\s*von)[:\\s]+(?:by\\s+)?${NAME}`, 'u');
+
+// Where a credit runs into the next one on the same line ("Στίχοι: X Μουσική: Y")
+const NEXT_LABEL_REGEX = /\s+(?:Μουσική|Στίχοι|Ποίηση|Music|Lyrics|Words|Arr|Arranged|Text)(?=[\s:.]|$).*$/i;
+
+const COPYRIGHT_REGEX = /(?:©|\(c\)|\bCopyright\b|℗|Πνευματικά δικαιώματα)\s*(?:©|\(c\))?\s*(?:\d{4}\s*[-–,]\s*)?((?:1[6-9]|20)\d{2})\b(.*)$/i;
+
+const KNOWN_PUBLISHERS = [
+  'Boosey & Hawkes', 'Bärenreiter', 'Breitkopf & Härtel', 'G. Henle Verlag', 'Henle', 'Edition Peters',
+  'C. F. Peters', 'Schott', 'Durand', 'Ricordi', 'Universal Edition', 'Hal Leonard', 'Alfred Music',
+  'Chester Music', 'Novello', 'Oxford University Press', 'Faber Music', 'Doblinger', 'Carus',
+  'Wiener Urtext', 'Salabert', 'Leduc', 'Sikorski', 'Bosworth', 'Kalmus', 'Dover Publications', 'Schirmer',
+  'Εκδόσεις Νάκας', 'Νάκας', 'Nakas', 'Παπαγρηγορίου', 'Papagrigoriou', 'Fagotto', 'Κοντογεώργης'
+];
+const PUBLISHER_KEYWORD_REGEX = /([\p{L}&.'\- ]*\b(?:Verlag|Musikverlag|Editions?|Éditions|Publishing|Publications|Publishers|Music Co\.?|Music Press)\b[\p{L}&.'\- ]*|Εκδόσεις\s+[\p{L}&.'\- ]+)/u;
+
+// Key names: English (C sharp minor, Bb major), German (cis-moll, B-dur) and Greek solfège
+const KEY_REGEX = /\bin\s+([A-G])(?:\s*|-)(♯|♭|#|b|sharp|flat|-sharp|-flat)?[\s-]+(major|minor|dur|moll)\b|\b([a-h])(is|es|s)?-(dur|moll)\b/i;
+const GREEK_KEY_REGEX = /(Ντο|Ρε|Μι|Φα|Σολ|Λα|Σι)\s*(δίεση|ύφεση)?\s+(μείζονα|ελάσσονα|μείζων|ελάσσων)/i;
+const GREEK_NOTES = { 'ντο': 'C', 'ρε': 'D', 'μι': 'E', 'φα': 'F', 'σολ': 'G', 'λα': 'A', 'σι': 'B' };
+
+// A bare "3/4" line, or one labelled as a time signature
+const TIME_SIGNATURE_REGEX = /^(\d{1,2})\s*\/\s*(2|4|8|16)$|(?:time(?:\s+signature)?|Μέτρο|Ρυθμός)[:\s]+(\d{1,2})\s*\/\s*(2|4|8|16)\b/i;
+
+const accidental = (sign) => {
+  if (!sign) return '';
+  const s = sign.toLowerCase().replace('-', '');
+  if (s === '♯' || s === '#' || s === 'sharp' || s === 'is' || s === 'δίεση') return '#';
+  if (s === '♭' || s === 'b' || s === 'flat' || s === 'es' || s === 's' || s === 'ύφεση') return 'b';
+  return '';
+};
+
+const cleanValue = (text) => text.replace(/\s+/g, ' ').replace(/[\s,;:.\-–—]+$/, '').trim();
+
+function findTempo(lines) {
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const termMatch = line.match(TEMPO_REGEX);
+    const metronomeMatch = line.match(METRONOME_REGEX);
+    if (!termMatch && !metronomeMatch) continue;
+
+    const parts = [];
+    if (termMatch) {
+      // Keep short qualifiers ("Andante con moto"), drop anything after the metronome mark
+      const phrase = metronomeMatch ? line.slice(0, metronomeMatch.index) : line;
+      const words = cleanValue(phrase.replace(/[(]+$/, '')).split(' ');
+      parts.push(words.length <= 5 ? words.join(' ') : termMatch[0]);
+    }
+    if (metronomeMatch) {
+      parts.push(`♩=${metronomeMatch[1] || metronomeMatch[2]}`);
+    }
+    return { value: parts.join(' '), lineIndex: i };
+  }
+  return null;
+}
+
+function findByRegex(lines, regex, group = 0) {
+  for (let i = 0; i < lines.length; i++) {
+    const match = lines[i].match(regex);
+    if (match && match[group]) {
+      return { value: cleanValue(match[group]), lineIndex: i };
+    }
+  }
+  return null;
+}
+
+function findCredit(lines, regex) {
+  const found = findByRegex(lines, regex, 1);
+  if (!found) return null;
+  return { value: cleanValue(found.value.replace(NEXT_LABEL_REGEX, '')), lineIndex: found.lineIndex };
+}
+
+function findKeySignature(lines) {
+  for (let i = 0; i < lines.length; i++) {
+    const match = lines[i].match(KEY_REGEX);
+    if (match) {
+      if (match[1]) {
+        const mode = /^(minor|moll)$/i.test(match[3]) ? 'minor' : 'major';
+        return { value: `${match[1].toUpperCase()}${accidental(match[2])} ${mode}`, lineIndex: i };
+      }
+      // German: lower case note, "h" is B and "b" alone is B flat
+      let note = match[4].toUpperCase();
+      let sign = accidental(match[5]);
+      if (note === 'H') note = 'B';
+      else if (note === 'B' && !sign) sign = 'b';
+      const mode = /^moll$/i.test(match[6]) ? 'minor' : 'major';
+      return { value: `${note}${sign} ${mode}`, lineIndex: i };
+    }
+
+    const greek = lines[i].match(GREEK_KEY_REGEX);
+    if (greek) {
+      const note = GREEK_NOTES[greek[1].toLowerCase()];
+      const mode = /^ελάσσον/i.test(greek[3]) ? 'minor' : 'major';
+      return { value: `${note}${accidental(greek[2])} ${mode}`, lineIndex: i };
+    }
+  }
+  return null;
+}
+
+function findCopyright(lines) {
+  for (let i = 0; i < lines.length; i++) {
+    const match = lines[i].match(COPYRIGHT_REGEX);
+    if (match) {
+      const holder = cleanValue(
+        match[2]
+          .replace(/all rights reserved.*$/i, '')
+          .replace(/^\s*(?:by|©)\s+/i, '')
+      );
+      return { year: parseInt(match[1]), holder: holder.length >= 3 ? holder : null, lineIndex: i };
+    }
+  }
+  return null;
+}
+
+function findPublisher(lines, copyright) {
+  for (let i = 0; i < lines.length; i++) {
+    const known = KNOWN_PUBLISHERS.find(name => lines[i].toLowerCase().includes(name.toLowerCase()));
+    if (known) return { value: known, lineIndex: i };
+  }
+  const keyword = findByRegex(lines, PUBLISHER_KEYWORD_REGEX, 1);
+  if (keyword) return keyword;
+  // Fall back to the copyright holder, which is usually the publisher
+  if (copyright && copyright.holder) return { value: copyright.holder, lineIndex: copyright.lineIndex };
+  return null;
+}
+
+/**
+ * Extract musical properties from the text lines of a first page
+ * @param {string[]} lines - Trimmed, non-empty text lines in reading order
+ * @returns {{fields: object, sources: object}} camelCase field values (matching the
+ *   POST /api/sheets body) and, per field, the line it came from: {line, lineIndex}
+ */
+function extractMusicalProperties(lines) {
+  const fields = {};
+  const sources = {};
+  const record = (name, found, value = found && found.value) => {
+    if (!found || value === undefined || value === null || value === '') return;
+    fields[name] = value;
+    sources[name] = { line: lines[found.lineIndex], lineIndex: found.lineIndex };
+  };
+
+  record('tempo', findTempo(lines));
+  record('opus', findByRegex(lines, OPUS_REGEX));
+  record('arranger', findCredit(lines, ARRANGER_REGEX));
+  record('lyricist', findCredit(lines, LYRICIST_REGEX));
+  record('keySignature', findKeySignature(lines));
+
+  const time = findByRegex(lines, TIME_SIGNATURE_REGEX);
+  if (time) {
+    const match = lines[time.lineIndex].match(TIME_SIGNATURE_REGEX);
+    record('timeSignature', time, match[1] ? `${match[1]}/${match[2]}` : `${match[3]}/${match[4]}`);
+  }
+
+  const copyright = findCopyright(lines);
+  record('copyrightYear', copyright, copyright && copyright.year);
+  record('publisher', findPublisher(lines, copyright));
+
+  return { fields, sources };
+}
+
+module.exports = {
+  extractMusicalProperties
+};
@@ -0,0 +1,161 @@
+const { EventEmitter } = require('events');
+const { v4: uuidv4 } = require('uuid');
+const { removeTempFile } = require('./upload');
+const { extractMetadataFromFile } = require('./ocr');
+
+// Finished jobs (and their results) are kept this long for clients to collect
+const JOB_RETENTION_MS = (parseInt(process.env.OCR_JOB_RETENTION_MINUTES) || 30) * 60 * 1000;
+// Jobs accepted but not finished; more are rejected with 503
+const MAX_UNFINISHED_JOBS = 50;
+
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// In memory: a restart loses running jobs, and clients resubmit
+const jobs = new Map();
+
+const isFinished = (job) => FINISHED_STATUSES.includes(job.status);
+
+/**
+ * Public view of a job
+ */
+function serializeJob(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    stage: job.stage,
+    progress: job.progress,
+    fileName: job.fileName,
+    result: job.result,
+    error: job.error,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    expiresAt: job.expiresAt
+  };
+}
+
+function update(job, changes) {
+  Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+  job.events.emit('update', serializeJob(job));
+}
+
+function finish(job, changes) {
+  if (isFinished(job)) return;
+  const expiresAt = new Date(Date.now() + JOB_RETENTION_MS);
+  update(job, { ...changes, expiresAt: expiresAt.toISOString() });
+  job.controller = null;
+  removeTempFile(job.filePath);
+  setTimeout(() => jobs.delete(job.id), JOB_RETENTION_MS).unref();
+}
+
+// Tesseract logger messages -> job stage and percentage (0-100 within the stage)
+function onProgress(job, message) {
+  const progress = Math.round((message.progress || 0) * 100);
+  if (job.status === 'queued') job.status = 'processing';
+  if (message.status === job.stage && progress === job.progress) return;
+  update(job, { stage: message.status, progress });
+}
+
+async function run(job, options) {
+  try {
+    const result = await extractMetadataFromFile(job.filePath, job.mimetype, {
+      ...options,
+      onProgress: m => onProgress(job, m),
+      signal: job.controller.signal
+    });
+    finish(job, { status: 'completed', stage: 'done', progress: 100, result });
+  } catch (e) {
+    if (e.cancelled) {
+      finish(job, { status: 'cancelled' });
+    } else {
+      console.error(`OCR job ${job.id} failed:`, e);
+      finish(job, { status: 'failed', error: e.message });
+    }
+  }
+}
+
+/**
+ * Start OCR of an uploaded file in the background
+ * @param {object} params
+ * @param {string|null} params.userId - Submitting user, if signed in
+ * @param {object} params.file - Multer file; the job removes it when done
+ * @param {object} [params.options] - Passed to extractMetadataFromFile (lang, pages)
+ * @returns {object} Serialized job
+ */
+function createJob({ userId, file, options = {} }) {
+  const unfinished = [...jobs.values()].filter(j => !isFinished(j)).length;
+  if (unfinished >= MAX_UNFINISHED_JOBS) {
+    const err = new Error('Too many OCR jobs in progress, please try again shortly');
+    err.status = 503;
+    throw err;
+  }
+
+  const now = new Date().toISOString();
+  const job = {
+    id: uuidv4(),
+    userId,
+    filePath: file.path,
+    fileName: file.originalname,
+    mimetype: file.mimetype,
+    status: 'queued',
+    stage: null,
+    progress: 0,
+    result: null,
+    error: null,
+    createdAt: now,
+    updatedAt: now,
+    expiresAt: null,
+    controller: new AbortController(),
+    events: new EventEmitter()
+  };
+  job.events.setMaxListeners(0);
+  jobs.set(job.id, job);
+
+  // Jobs wait in the OCR pool's queue rather than failing when it's full
+  run(job, { ...options, background: true });
+  return serializeJob(job);
+}
+
+/**
+ * Find a job visible to the user. The job id is the access key for jobs
+ * submitted anonymously; jobs of signed-in users are only theirs.
+ * @returns {object|null} The internal job
+ */
+function findJob(jobId, userId) {
+  const job = jobs.get(jobId);
+  if (!job) return null;
+  if (job.userId && job.userId !== userId) return null;
+  return job;
+}
+
+/**
+ * Cancel a job that hasn't finished yet
+ * @returns {object} Serialized job
+ */
+function cancelJob(job) {
+  if (!isFinished(job)) {
+    job.controller.abort();
+    // A job still reading its PDF text layer has nothing to abort in the pool
+    finish(job, { status: 'cancelled' });
+  }
+  return serializeJob(job);
+}
+
+/**
+ * Follow a job's updates
+ * @param {object} job - The internal job
+ * @param {function} listener - Receives the serialized job on each change
+ * @returns {function} Unsubscribe
+ */
+function subscribe(job, listener) {
+  job.events.on('update', listener);
+  return () => job.events.off('update', listener);
+}
+
+module.exports = {
+  createJob,
+  findJob,
+  cancelJob,
+  subscribe,
+  serializeJob,
+  isFinished
+};
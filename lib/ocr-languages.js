@@ -0,0 +1,160 @@
+const fs = require('fs');
+const db = require('./db');
+const { OCR_LANGUAGE, OCR_CACHE_PATH } = require('./ocr-pool');
+
+// Languages Tesseract may download on first use, on top of any traineddata already on disk
+const OCR_LANGUAGES = (process.env.OCR_LANGUAGES || 'eng,ell,deu,ita')
+  .split(',').map(l => l.trim()).filter(Boolean);
+
+// Display names and scripts of the languages a music library is likely to need
+const LANGUAGE_INFO = {
+  eng: { name: 'English', script: 'latin' },
+  ell: { name: 'Greek', script: 'greek' },
+  grc: { name: 'Ancient Greek', script: 'greek' },
+  deu: { name: 'German', script: 'latin' },
+  ita: { name: 'Italian', script: 'latin' },
+  fra: { name: 'French', script: 'latin' },
+  spa: { name: 'Spanish', script: 'latin' },
+  por: { name: 'Portuguese', script: 'latin' },
+  nld: { name: 'Dutch', script: 'latin' },
+  pol: { name: 'Polish', script: 'latin' },
+  ces: { name: 'Czech', script: 'latin' },
+  hun: { name: 'Hungarian', script: 'latin' },
+  lat: { name: 'Latin', script: 'latin' },
+  rus: { name: 'Russian', script: 'cyrillic' },
+  ukr: { name: 'Ukrainian', script: 'cyrillic' },
+  bul: { name: 'Bulgarian', script: 'cyrillic' },
+  srp: { name: 'Serbian', script: 'cyrillic' }
+};
+
+/**
+ * Languages that can be used for OCR: traineddata files already on disk
+ * plus the ones allowed to download (OCR_LANGUAGES and OCR_LANGUAGE)
+ * @returns {Array<{code: string, name: string, script: string|null, installed: boolean}>}
+ */
+function listLanguages() {
+  let installed = [];
+  try {
+    installed = fs.readdirSync(OCR_CACHE_PATH)
+      .filter(f => /\.traineddata$/.test(f))
+      .map(f => f.replace(/\.traineddata$/, ''));
+  } catch (e) {
+    console.error('Failed to read OCR language directory:', e.message);
+  }
+
+  const codes = new Set([...installed, ...OCR_LANGUAGES, ...OCR_LANGUAGE.split('+')]);
+  return [...codes].sort().map(code => ({
+    code,
+    name: LANGUAGE_INFO[code]?.name || code,
+    script: LANGUAGE_INFO[code]?.script || null,
+    installed: installed.includes(code)
+  }));
+}
+
+/**
+ * Validate a language parameter
+ * @param {string} value - 'eng', 'ell+eng' (or 'ell,eng'), or 'auto'
+ * @returns {string|null} Normalized value, or null if it names a language we can't use
+ */
+function parseLanguage(value) {
+  if (typeof value !== 'string' || !value.trim()) return null;
+  const trimmed = value.trim().toLowerCase();
+  if (trimmed === 'auto') return 'auto';
+
+  const available = new Set(listLanguages().map(l => l.code));
+  const codes = trimmed.split(/[+,]/).map(c => c.trim()).filter(Boolean);
+  if (codes.length === 0 || !codes.every(c => available.has(c))) return null;
+  return [...new Set(codes)].join('+');
+}
+
+/**
+ * Pick the OCR language for a request: explicit parameter, then the user's
+ * saved preference, then the server default
+ * @param {string} [requested] - `lang` from the request; throws 400 if invalid
+ * @param {string} [userId]
+ * @returns {Promise<string>} Language string for Tesseract, or 'auto'
+ */
+async function resolveLanguage(requested, userId) {
+  if (requested) {
+    const lang = parseLanguage(requested);
+    if (!lang) {
+      const err = new Error(`Unsupported OCR language: ${requested}`);
+      err.status = 400;
+      throw err;
+    }
+    return lang;
+  }
+
+  if (userId) {
+    const result = await db.query('SELECT preferences FROM users WHERE id = $1', [userId]);
+    // A preference naming a language that has since been removed is ignored
+    const preferred = parseLanguage(result.rows[0]?.preferences?.ocrLanguage);
+    if (preferred) return preferred;
+  }
+
+  return OCR_LANGUAGE;
+}
+
+/**
+ * Dominant script of a text, by letter count
+ * @returns {'greek'|'cyrillic'|'latin'|null}
+ */
+function detectScript(text) {
+  const counts = {
+    greek: (text.match(/[Ͱ-Ͽἀ-῿]/g) || []).length,
+    cyrillic: (text.match(/[Ѐ-ӿ]/g) || []).length,
+    latin: (text.match(/[A-Za-zÀ-ɏ]/g) || []).length
+  };
+  const [script, count] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+  return count >= 5 ? script : null;
+}
+
+/**
+ * Languages used for the quick detection pass: one per script, so the
+ * result text tells the scripts apart
+ * @returns {string|null} Tesseract language string, or null if only one script is available
+ */
+function getDetectionLanguage() {
+  const available = listLanguages();
+  const perScript = ['eng', 'ell', 'rus']
+    .map(code => available.find(l => l.code === code) ||
+      available.find(l => l.script === LANGUAGE_INFO[code].script))
+    .filter(Boolean);
+  return perScript.length > 1 ? perScript.map(l => l.code).join('+') : null;
+}
+
+/**
+ * Language for the real recognition pass once the script is known.
+ * Latin scores are told apart by their diacritics; Greek editions almost
+ * always carry some Latin text (tempo marks, names), so English is added.
+ * @param {string} script - From detectScript
+ * @param {string} text - Detection pass text
+ * @returns {string} Tesseract language string
+ */
+function languageForScript(script, text) {
+  const available = new Set(listLanguages().map(l => l.code));
+  const pick = (...codes) => {
+    const usable = codes.filter(c => available.has(c));
+    return usable.length > 0 ? usable.join('+') : null;
+  };
+
+  let lang = null;
+  if (script === 'greek') lang = pick('ell', 'eng');
+  else if (script === 'cyrillic') lang = pick('rus', 'eng');
+  else if (script === 'latin') {
+    if (/[äöüß]/i.test(text)) lang = pick('deu');
+    else if (/[àèìòù]/i.test(text)) lang = pick('ita');
+    else if (/[çéêâôœ]/i.test(text)) lang = pick('fra');
+    lang = lang || pick('eng');
+  }
+  return lang || OCR_LANGUAGE;
+}
+
+module.exports = {
+  listLanguages,
+  parseLanguage,
+  resolveLanguage,
+  detectScript,
+  getDetectionLanguage,
+  languageForScript
+};
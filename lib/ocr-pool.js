@@ -0,0 +1,204 @@
+const Tesseract = require('tesseract.js');
+
+// Pool sizing. Each worker holds its own copy of the language model in memory,
+// so the pool size is the main knob for OCR memory use.
+const POOL_SIZE = Math.max(1, parseInt(process.env.OCR_POOL_SIZE) || 2);
+// Interactive requests beyond this many waiting jobs are rejected with 503
+const QUEUE_LIMIT = Math.max(0, parseInt(process.env.OCR_QUEUE_LIMIT) || 20);
+// A recognition taking longer than this is abandoned and its worker replaced
+const JOB_TIMEOUT_MS = parseInt(process.env.OCR_TIMEOUT_MS) || 120000;
+
+// OCR language: defaults to English, can be configured via OCR_LANGUAGE env var
+// Common values: 'eng' (English), 'ell' (Greek), 'deu' (German), 'fra' (French), 'ita' (Italian)
+// Multiple languages can be specified: 'eng+ell' for English and Greek
+// Requests can ask for another language; idle workers are switched over as needed.
+const OCR_LANGUAGE = process.env.OCR_LANGUAGE || 'eng';
+
+// Where Tesseract keeps downloaded traineddata (its default is the working directory)
+const OCR_CACHE_PATH = process.env.OCR_CACHE_PATH || '.';
+
+const workers = [];
+const waiting = [];
+
+function createEntry(lang) {
+  const entry = { worker: null, lang, busy: false, broken: false, onProgress: null };
+
+  // createWorker never settles when the language fails to load; the error handler ends the wait
+  let startFailed;
+  const failure = new Promise((_, reject) => { startFailed = reject; });
+
+  const created = Tesseract.createWorker(lang, 1, {
+    cachePath: OCR_CACHE_PATH,
+    // Without a handler Tesseract rethrows job failures as uncaught exceptions;
+    // they still reach callers as rejected jobs
+    errorHandler: e => {
+      console.error('OCR worker error:', e);
+      if (!entry.worker) startFailed(e instanceof Error ? e : new Error(String(e)));
+    },
+    logger: m => {
+      console.log('Tesseract:', m.status, m.progress ? Math.round(m.progress * 100) + '%' : '');
+      if (entry.onProgress) entry.onProgress(m);
+    }
+  });
+
+  entry.ready = Promise.race([created, failure]).then(worker => {
+    entry.worker = worker;
+    return entry;
+  });
+
+  workers.push(entry);
+  return entry;
+}
+
+// Drop a worker from the pool; a new one is created on demand
+function retire(entry) {
+  const index = workers.indexOf(entry);
+  if (index !== -1) workers.splice(index, 1);
+  if (entry.worker) {
+    entry.worker.terminate().catch(e => console.error('Failed to terminate OCR worker:', e.message));
+  }
+}
+
+// Load a different language into an existing worker
+function switchLanguage(entry, lang) {
+  entry.lang = lang;
+  entry.ready = entry.ready
+    .then(() => entry.worker.reinitialize(lang))
+    .then(() => entry)
+    .catch(e => {
+      entry.broken = true;
+      throw e;
+    });
+}
+
+function dispatch() {
+  while (waiting.length > 0) {
+    const lang = waiting[0].options.lang || OCR_LANGUAGE;
+    let entry = workers.find(w => !w.busy && w.lang === lang);
+    if (!entry && workers.length < POOL_SIZE) entry = createEntry(lang);
+    if (!entry) {
+      // Pool is full: take over an idle worker loaded with another language
+      entry = workers.find(w => !w.busy);
+      if (!entry) return;
+      switchLanguage(entry, lang);
+    }
+    runJob(entry, waiting.shift());
+  }
+}
+
+function cancelledError() {
+  const err = new Error('OCR cancelled');
+  err.cancelled = true;
+  return err;
+}
+
+// Drop a waiting job, or stop a running one (its worker is terminated, there is no way to interrupt it)
+function cancel(job) {
+  const index = waiting.indexOf(job);
+  if (index !== -1) {
+    waiting.splice(index, 1);
+    job.reject(cancelledError());
+  } else if (job.abort) {
+    job.abort();
+  }
+}
+
+async function runJob(entry, job) {
+  entry.busy = true;
+  entry.onProgress = job.options.onProgress || null;
+
+  const aborted = new Promise((_, reject) => {
+    job.abort = () => reject(cancelledError());
+  });
+
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const err = new Error(`OCR timed out after ${Math.round(JOB_TIMEOUT_MS / 1000)}s`);
+      err.status = 504;
+      err.timedOut = true;
+      reject(err);
+    }, JOB_TIMEOUT_MS);
+  });
+
+  let healthy = true;
+  try {
+    const work = entry.ready.then(() => entry.worker.recognize(job.image, {}, job.options.output));
+    work.catch(() => {}); // Settles after a timeout has already been reported
+    job.resolve(await Promise.race([work, timeout, aborted]));
+  } catch (e) {
+    // A worker that timed out, was cancelled mid-job, never started or failed
+    // to switch language can't be trusted with the next job
+    healthy = !e.timedOut && !e.cancelled && entry.worker !== null && !entry.broken;
+    job.reject(e);
+  } finally {
+    clearTimeout(timer);
+    job.abort = null;
+    entry.busy = false;
+    entry.onProgress = null;
+    if (!healthy) retire(entry);
+    dispatch();
+  }
+}
+
+/**
+ * Recognize an image on the next free pooled worker
+ * @param {string|Buffer} image - Local path or image buffer
+ * @param {object} [options]
+ * @param {string} [options.lang] - Tesseract language(s), e.g. 'ell+eng'; defaults to OCR_LANGUAGE
+ * @param {function} [options.onProgress] - Receives Tesseract logger messages for this job
+ * @param {object} [options.output] - Tesseract output formats (e.g. {blocks: true})
+ * @param {boolean} [options.background] - Wait for a worker even when the queue is full
+ *   (used by batch processing, which already feeds the pool one item at a time)
+ * @param {AbortSignal} [options.signal] - Cancels the job; rejects with `err.cancelled`
+ * @returns {Promise<object>} Tesseract recognize result
+ */
+function recognize(image, options = {}) {
+  return new Promise((resolve, reject) => {
+    if (options.signal?.aborted) return reject(cancelledError());
+    if (!options.background && waiting.length >= QUEUE_LIMIT) {
+      const err = new Error('OCR is busy, please try again shortly');
+      err.status = 503;
+      return reject(err);
+    }
+    const job = { image, options, resolve, reject, abort: null };
+    if (options.signal) options.signal.addEventListener('abort', () => cancel(job), { once: true });
+    waiting.push(job);
+    dispatch();
+  });
+}
+
+/**
+ * Start every worker up front so the first requests don't pay for model loading
+ */
+async function warmUp() {
+  while (workers.length < POOL_SIZE) createEntry(OCR_LANGUAGE);
+  const results = await Promise.allSettled(workers.map(w => w.ready));
+  results.filter(r => r.status === 'rejected').forEach(r => {
+    console.error('OCR worker failed to start:', r.reason?.message || r.reason);
+  });
+  workers.filter(w => !w.worker && !w.busy).forEach(retire);
+  console.log(`🔤 OCR Pool: ${workers.length}/${POOL_SIZE} worker(s) ready (${OCR_LANGUAGE})`);
+}
+
+/**
+ * Current pool load, for health reporting
+ */
+function getPoolStats() {
+  return {
+    size: POOL_SIZE,
+    workers: workers.length,
+    busy: workers.filter(w => w.busy).length,
+    queued: waiting.length,
+    queueLimit: QUEUE_LIMIT,
+    languages: workers.map(w => w.lang)
+  };
+}
+
+module.exports = {
+  OCR_LANGUAGE,
+  OCR_CACHE_PATH,
+  recognize,
+  warmUp,
+  getPoolStats
+};
@@ -0,0 +1,311 @@
+const fs = require('fs');
+const { recognize, OCR_LANGUAGE } = require('./ocr-pool');
+const { renderPdfPages, downscaleImage } = require('./pdf-render');
+const { detectScript, getDetectionLanguage, languageForScript } = require('./ocr-languages');
+const { extractMusicalProperties } = require('./music-metadata');
+const { getLayoutLines, detectLayoutMetadata } = require('./layout-metadata');
+const { isScoreType, readScoreMetadata } = require('./score-files');
+const { readPdfMetadata } = require('./pdf-metadata');
+
+// Import pdf-parse directly from lib to avoid test code in index.js
+const pdfParse = require('pdf-parse/lib/pdf-parse');
+
+// Width of the quick pass used to detect the script; enough to read a title
+const DETECTION_WIDTH = 1000;
+
+/**
+ * Turn `lang: 'auto'` into a concrete language with a quick, low-resolution
+ * pass using one model per script (Greek, Latin, Cyrillic)
+ * @param {string|Buffer} image - Local path or image buffer
+ * @param {object} options - OCR options; other values of `lang` pass through
+ * @returns {Promise<{options: object, detectedScript?: string|null}>}
+ */
+async function resolveAutoLanguage(image, options) {
+  if (options.lang !== 'auto') return { options };
+
+  const { output, ...ocrOptions } = options;
+  const detectionLang = getDetectionLanguage();
+  if (!detectionLang) return { options: { ...ocrOptions, lang: OCR_LANGUAGE }, detectedScript: null };
+
+  const preview = await downscaleImage(image, DETECTION_WIDTH);
+  const ret = await recognize(preview, { ...ocrOptions, lang: detectionLang });
+  const text = ret.data.text || "";
+  const detectedScript = detectScript(text);
+  const lang = detectedScript ? languageForScript(detectedScript, text) : OCR_LANGUAGE;
+  console.log(`OCR language detection: ${detectedScript || 'unknown'} script -> ${lang}`);
+
+  return { options: { ...ocrOptions, lang }, detectedScript };
+}
+
+/**
+ * Run Tesseract on an image and derive title/composer from the result
+ * @param {string|Buffer} imagePath - Local path to the image, or its contents
+ * @param {object} [options] - Passed to the OCR pool (lang, onProgress, background);
+ *   `lang: 'auto'` detects the script first
+ * @returns {Promise<{title: string, composer: string, rawText: string, confidence: number, language: string}>}
+ */
+async function extractMetadataFromImage(imagePath, options = {}) {
+  const { options: ocrOptions, detectedScript } = await resolveAutoLanguage(imagePath, options);
+  const ret = await recognize(imagePath, { ...ocrOptions, output: { blocks: true } });
+
+  console.log('=== OCR RAW TEXT ===');
+  console.log(ret.data.text);
+  console.log('=== OCR LINES COUNT:', ret.data.lines?.length || 0, '===');
+
+  const metadata = processSmartMetadata(ret.data);
+  metadata.language = ocrOptions.lang || OCR_LANGUAGE;
+  if (detectedScript !== undefined) metadata.detectedScript = detectedScript;
+  return metadata;
+}
+
+// Scanned PDFs: how many leading pages to OCR and at what resolution
+const OCR_PDF_PAGES = parseInt(process.env.OCR_PDF_PAGES) || 1;
+const OCR_PDF_DPI = parseInt(process.env.OCR_PDF_DPI) || 300;
+
+/**
+ * Extract metadata from a PDF. Title, subtitle, composer, arranger and tags the
+ * document declares (Info dictionary / XMP) come first; the rest is read from its
+ * embedded text layer when it has one, falling back to OCR of the rasterized
+ * first page(s) for scans
+ * @param {string} pdfPath - Local path to the PDF
+ * @param {object} [options] - Passed to the OCR pool (see extractMetadataFromImage);
+ *   `pages` overrides OCR_PDF_PAGES
+ * @returns {Promise<object>} Same shape as processSmartMetadata, plus `source` ('text' or 'ocr');
+ *   `sources` entries taken from the document metadata have `documentMetadata: true`
+ */
+async function extractMetadataFromPdf(pdfPath, options = {}) {
+  const dataBuffer = fs.readFileSync(pdfPath);
+  const declared = await readPdfMetadata(dataBuffer);
+  const metadata = await extractMetadataFromPdfContent(dataBuffer, options);
+
+  for (const [key, value] of Object.entries(declared)) {
+    metadata[key] = value;
+    if (metadata.sources) metadata.sources[key] = { line: Array.isArray(value) ? value.join(', ') : value, documentMetadata: true };
+  }
+  return metadata;
+}
+
+async function extractMetadataFromPdfContent(dataBuffer, options) {
+  // pdf-parse doesn't have a built-in "first page only" option for text extraction,
+  // but we can pass a pagerender callback to stop after page 1, or just
+  // truncate the text if it contains page markers.
+  const parseOptions = {
+    max: 1 // Only process the first page
+  };
+  const data = await pdfParse(dataBuffer, parseOptions);
+
+  const lines = data.text.split('\n').map(l => l.trim()).filter(l => l.length > 0);
+  if (lines.length > 0) {
+    const { fields, sources } = extractMusicalProperties(lines);
+    return {
+      ...fields,
+      title: lines[0] || "",
+      composer: lines[1] || "",
+      sources: {
+        ...sources,
+        title: { line: lines[0], lineIndex: 0 },
+        ...(lines[1] ? { composer: { line: lines[1], lineIndex: 1 } } : {})
+      },
+      rawText: data.text,
+      source: 'text'
+    };
+  }
+
+  // No embedded text: almost certainly a scan
+  return extractMetadataFromScannedPdf(dataBuffer, options);
+}
+
+/**
+ * Rasterize the first page(s) of an image-only PDF and OCR them.
+ * Title/composer come from the first page; later pages only add text.
+ * @param {Buffer} pdfData - PDF file contents
+ * @param {object} [options] - Passed to the OCR pool; `pages` overrides OCR_PDF_PAGES
+ * @returns {Promise<{title: string, composer: string, rawText: string, confidence: number, source: string, pagesScanned: number, language: string}>}
+ */
+async function extractMetadataFromScannedPdf(pdfData, options = {}) {
+  const { pages = OCR_PDF_PAGES, ...ocrOptions } = options;
+
+  const rendered = await renderPdfPages(pdfData, { maxPages: pages, dpi: OCR_PDF_DPI });
+  if (rendered.length === 0) {
+    return { title: "", composer: "", rawText: "", confidence: null, source: 'ocr', pagesScanned: 0 };
+  }
+
+  // The script is detected once, from the first page
+  const { options: pageOptions, detectedScript } = await resolveAutoLanguage(rendered[0].image, ocrOptions);
+
+  const results = [];
+  for (const page of rendered) {
+    const ret = await recognize(page.image, { ...pageOptions, output: { blocks: true } });
+    results.push(ret.data);
+  }
+
+  const firstPage = rendered[0];
+  const metadata = processSmartMetadata(results[0], { page: { width: firstPage.width, height: firstPage.height } });
+  metadata.rawText = results.map(r => r.text || "").join('\n\n');
+  metadata.confidence = results.reduce((sum, r) => sum + (r.confidence || 0), 0) / results.length;
+  metadata.source = 'ocr';
+  metadata.pagesScanned = results.length;
+  metadata.language = pageOptions.lang || OCR_LANGUAGE;
+  if (detectedScript !== undefined) metadata.detectedScript = detectedScript;
+  return metadata;
+}
+
+// Upper limit on scanned PDF pages a request may ask to OCR
+const MAX_OCR_PDF_PAGES = 10;
+
+/**
+ * Extract metadata from an uploaded file, picking the extractor by mime type.
+ * Notation files (MusicXML, MIDI) are read directly rather than OCR'd.
+ * @param {string} filePath - Local path to the file
+ * @param {string} mimetype
+ * @param {object} [options] - OCR options (lang, onProgress, signal, ...); `pages` is
+ *   capped at MAX_OCR_PDF_PAGES
+ * @returns {Promise<object>} Metadata, or {title, composer, warning} when nothing could be read
+ */
+async function extractMetadataFromFile(filePath, mimetype, options = {}) {
+  const { pages, ...ocrOptions } = options;
+
+  if (mimetype === 'application/pdf') {
+    const pageLimit = pages > 0 ? Math.min(pages, MAX_OCR_PDF_PAGES) : undefined;
+    const metadata = await extractMetadataFromPdf(filePath, { ...ocrOptions, pages: pageLimit });
+    if (!metadata.title && !metadata.composer && !metadata.rawText.trim()) {
+      return { title: "", composer: "", warning: "No text could be read from this PDF." };
+    }
+    return metadata;
+  }
+  if (mimetype && mimetype.startsWith('image/')) {
+    return extractMetadataFromImage(filePath, ocrOptions);
+  }
+  if (isScoreType(mimetype)) {
+    return readScoreMetadata(filePath, mimetype);
+  }
+  return { title: "", composer: "", warning: "Unsupported file type for OCR" };
+}
+
+const isCleanLine = (text) => {
+  const greekLetters = (text.match(/[Α-Ωα-ωά-ώ]/g) || []).length;
+  const latinLetters = (text.match(/[A-Za-z]/g) || []).length;
+  const totalLetters = greekLetters + latinLetters;
+  const noiseChars = (text.match(/[̓̀́̈͂ͅ᾽῾᾿῎῍῏῝῞῟῭΅`΄''‛""‟․‥…‧\-–—―\.·•○●◦◘◙◌◍◎◐◑◒◓◔◕◖◗◰◱◲◳◴◵◶◷◸◹◺◻◼◽◾◿☀☁☂☃☄★☆☇☈☉☊☋☌☍☎☏☐☑☒☓☔☕☖☗☘☙☚☛☜☝☞☟☠☡☢☣☤☥☦☧☨☩☪☫☬☭☮☯☰☱☲☳☴☵☶☷☸☹☺☻☼☽☾☿♀♁♂♃♄♅♆♇♈♉♊♋♌♍♎♏♐♑♒♓♔♕♖♗♘♙♚♛♜♝♞♟♠♡♢♣♤♥♦♧♨♩♪♫♬♭♮♯]/g) || []).length;
+  return totalLetters >= 3 && totalLetters > noiseChars;
+};
+
+const LABEL_REGEX = /^(Μουσική|Στίχοι|Music|Lyrics|Composer):/i;
+const COMPOSED_BY_REGEX = /\b(?:Music|Composed)\s+by[:\s]+([\p{L}.'’\- ]+?)(?:\s+(?:Lyrics|Words)\b|$)/iu;
+
+/**
+ * Guess title, composer and musical properties from Tesseract output.
+ * With block output (line bounding boxes) the title, composer and lyricist are
+ * chosen by their position on the page; otherwise by line order.
+ * @param {object} tesseractData - The `data` object of a Tesseract recognize result
+ * @param {object} [options]
+ * @param {{width: number, height: number}} [options.page] - Size of the recognized image
+ * @returns {object} title, composer and any of arranger, lyricist, tempo, opus,
+ *   keySignature, timeSignature, copyrightYear, publisher; `sources` maps each
+ *   found field to the {line, lineIndex} it came from; plus rawText and confidence
+ */
+function processSmartMetadata(tesseractData, options = {}) {
+  const rawText = tesseractData.text || "";
+  const confidence = tesseractData.confidence ?? null;
+  const layoutLines = getLayoutLines(tesseractData);
+  const textLines = layoutLines.length > 0
+    ? layoutLines.map(l => l.text)
+    : rawText.split('\n').map(l => l.trim()).filter(l => l.length > 0);
+
+  if (textLines.length === 0) return { title: "", composer: "", sources: {}, rawText: "", confidence };
+
+  let title = "";
+  let composer = "";
+  let titleIndex = -1;
+  let composerIndex = -1;
+
+  const { fields, sources } = extractMusicalProperties(textLines);
+
+  // Explicit credit labels beat position
+  for (const [index, line] of textLines.entries()) {
+    const musicMatch = line.match(/Μουσική[:\s]+([Α-Ωα-ωά-ώA-Za-z\s]+?)(?:\s+Στίχοι|\s+Lyrics|$)/i);
+    const musicByMatch = line.match(COMPOSED_BY_REGEX);
+    if (musicMatch || musicByMatch) {
+      composer = (musicMatch || musicByMatch)[1].trim();
+      composerIndex = index;
+      break;
+    }
+  }
+
+  if (layoutLines.length > 0) {
+    // Lines already read as tempo, copyright, credits etc. can't be the title
+    const usedLines = new Set(Object.values(sources).map(s => s.lineIndex));
+    const layout = detectLayoutMetadata(layoutLines, {
+      page: options.page,
+      isCandidate: (line, index) => isCleanLine(line.text) && !LABEL_REGEX.test(line.text) &&
+        !usedLines.has(index) && index !== composerIndex
+    });
+
+    if (layout.title) {
+      title = layout.title.value;
+      titleIndex = layout.title.lineIndex;
+    }
+    if (!composer && layout.composer) {
+      composer = layout.composer.value;
+      composerIndex = layout.composer.lineIndex;
+    }
+    if (!fields.lyricist && layout.lyricist) {
+      fields.lyricist = layout.lyricist.value;
+      sources.lyricist = { line: textLines[layout.lyricist.lineIndex], lineIndex: layout.lyricist.lineIndex };
+    }
+  }
+
+  // Line order fallback: first clean line is the title
+  if (!title) {
+    for (const [index, line] of textLines.entries()) {
+      if (!isCleanLine(line)) continue;
+      if (LABEL_REGEX.test(line)) continue;
+      if (line.length >= 4) {
+        title = line;
+        titleIndex = index;
+        break;
+      }
+    }
+  }
+
+  // ...and the next clean line after it the composer
+  if (!composer) {
+    let foundTitle = false;
+    for (const [index, line] of textLines.entries()) {
+      // Credit lines such as "Στίχοι: ..." are the lyricist's, read by extractMusicalProperties
+      if (!isCleanLine(line) || LABEL_REGEX.test(line)) continue;
+      if (!foundTitle) {
+        foundTitle = true;
+        continue;
+      }
+      if (line !== title && line.length >= 3) {
+        composer = line;
+        composerIndex = index;
+        break;
+      }
+    }
+  }
+
+  if (titleIndex !== -1) sources.title = { line: textLines[titleIndex], lineIndex: titleIndex };
+  if (composerIndex !== -1) sources.composer = { line: textLines[composerIndex], lineIndex: composerIndex };
+
+  console.log('Extracted - Title:', title, '| Composer:', composer, '| Properties:', JSON.stringify(fields));
+
+  return {
+    ...fields,
+    title: title || "",
+    composer: composer || "",
+    sources,
+    rawText: rawText,
+    confidence
+  };
+}
+
+module.exports = {
+  OCR_LANGUAGE,
+  extractMetadataFromImage,
+  extractMetadataFromPdf,
+  extractMetadataFromScannedPdf,
+  extractMetadataFromFile,
+  processSmartMetadata
+};
@@ -0,0 +1,113 @@
+const fs = require('fs');
+const path = require('path');
+const { PDFDocument } = require('pdf-lib');
+const { loadImage } = require('@napi-rs/canvas');
+const db = require('./db');
+const { uploadDir, removeTempFile } = require('./upload');
+
+const orientation = (width, height) => (width > height ? 'landscape' : 'portrait');
+
+/**
+ * Page count and the displayed size of each page of a PDF, in points.
+ * Sizes use the crop box and account for /Rotate, so they match what a viewer shows.
+ * @param {Buffer|Uint8Array|ArrayBuffer} pdfData - PDF file contents
+ * @returns {Promise<{pageCount: number, pages: Array<{page: number, width: number, height: number, rotation: number, orientation: string, unit: string}>}>}
+ */
+async function inspectPdf(pdfData) {
+  const doc = await PDFDocument.load(pdfData, { ignoreEncryption: true, updateMetadata: false });
+  const pages = doc.getPages().map((page, i) => {
+    const box = page.getCropBox();
+    const rotation = ((page.getRotation().angle % 360) + 360) % 360;
+    const turned = rotation === 90 || rotation === 270;
+    const width = Math.round((turned ? box.height : box.width) * 100) / 100;
+    const height = Math.round((turned ? box.width : box.height) * 100) / 100;
+    return { page: i + 1, width, height, rotation, orientation: orientation(width, height), unit: 'pt' };
+  });
+  return { pageCount: pages.length, pages };
+}
+
+/**
+ * Page information for an uploaded file. Images count as one page, sized in pixels.
+ * @param {string} filePath - Local path to the file
+ * @param {string} mimetype
+ * @returns {Promise<{pageCount: number|null, pages: Array<object>}>} pageCount is null
+ *   for files that aren't paged (or can't be read)
+ */
+async function inspectFile(filePath, mimetype) {
+  try {
+    if (mimetype === 'application/pdf') {
+      return await inspectPdf(fs.readFileSync(filePath));
+    }
+    if (mimetype && mimetype.startsWith('image/')) {
+      const image = await loadImage(filePath);
+      return {
+        pageCount: 1,
+        pages: [{ page: 1, width: image.width, height: image.height, rotation: 0, orientation: orientation(image.width, image.height), unit: 'px' }]
+      };
+    }
+  } catch (e) {
+    console.error('Failed to read page information:', e.message);
+  }
+  return { pageCount: null, pages: [] };
+}
+
+let backfillRunning = false;
+
+/**
+ * Fill in page_count and page_dimensions for sheets uploaded before they
+ * were recorded. Files are downloaded one at a time in the background.
+ * @returns {Promise<number|null>} Number of sheets to process, or null if a backfill is already running
+ */
+async function backfillPageInfo() {
+  if (backfillRunning) return null;
+  backfillRunning = true;
+
+  let result;
+  try {
+    result = await db.query(`
+      SELECT id, file_url, file_type
+      FROM sheets
+      WHERE file_url IS NOT NULL AND page_count IS NULL
+      ORDER BY created_at
+    `);
+  } catch (e) {
+    backfillRunning = false;
+    throw e;
+  }
+
+  (async () => {
+    let updated = 0;
+    for (const sheet of result.rows) {
+      const localPath = path.join(uploadDir, `${Date.now()}-pages-${sheet.id}`);
+      try {
+        const response = await fetch(sheet.file_url);
+        if (!response.ok) throw new Error(`Failed to fetch stored file: ${response.status}`);
+        fs.writeFileSync(localPath, Buffer.from(await response.arrayBuffer()));
+
+        const info = await inspectFile(localPath, sheet.file_type);
+        if (info.pageCount) {
+          await db.query(
+            'UPDATE sheets SET page_count = $1, page_dimensions = $2 WHERE id = $3',
+            [info.pageCount, JSON.stringify(info.pages), sheet.id]
+          );
+          updated++;
+        }
+      } catch (e) {
+        console.error(`Page info backfill failed for sheet ${sheet.id}:`, e.message);
+      } finally {
+        removeTempFile(localPath);
+      }
+    }
+    console.log(`Page info backfill finished: ${updated}/${result.rows.length} sheet(s) updated`);
+  })().finally(() => {
+    backfillRunning = false;
+  });
+
+  return result.rows.length;
+}
+
+module.exports = {
+  inspectPdf,
+  inspectFile,
+  backfillPageInfo
+};
@@ -0,0 +1,410 @@
+// Annotations as PDF annotation objects (Ink, FreeText, Square ...), which other
+// PDF apps can select and edit: written for the editable download, and read
+// from uploads annotated in forScore, MobileSheets, Acrobat and the like.
+//
+// Written annotations carry their appearance (drawn by annotation-render.js)
+// and the original annotation as JSON under a private key, so a file exported
+// here and uploaded again comes back exactly as it was. Positions go through
+// the shown frame of the page (pageFrame), so cropped and rotated pages work.
+const {
+  PDFDocument, PDFPage, PDFName, PDFDict, PDFArray, PDFNumber, PDFString, PDFHexString
+} = require('pdf-lib');
+const { parseColor, validateAnnotation } = require('./annotation-schema');
+const { pageFrame, annotationRenderer } = require('./annotation-render');
+
+const PRIVATE_KEY = 'OpusOneAnnotation';
+
+// Colours annotation-render.js falls back on, for the annotation's /C entry
+const DEFAULT_COLORS = {
+  path: { r: 1, g: 1, b: 0 },
+  highlight: { r: 1, g: 1, b: 0 },
+  eraser: { r: 1, g: 1, b: 1 },
+  whiteout: { r: 1, g: 1, b: 1 },
+  stamp: { r: 0.8, g: 0, b: 0 }
+};
+const BLACK = { r: 0, g: 0, b: 0 };
+
+const SUBTYPES = {
+  path: 'Ink',
+  eraser: 'Ink',
+  highlight: 'Highlight',
+  whiteout: 'Square',
+  rectangle: 'Square',
+  ellipse: 'Circle',
+  arrow: 'Line',
+  text: 'FreeText',
+  stamp: 'Stamp',
+  image: 'Stamp',
+  symbol: 'Stamp'
+};
+
+// Line endings read as arrow heads
+const ARROW_ENDINGS = ['OpenArrow', 'ClosedArrow', 'ROpenArrow', 'RClosedArrow'];
+
+const name = (value) => PDFName.of(value);
+const text = (value) => PDFHexString.fromText(String(value));
+const round = (value) => Math.round(value * 100000) / 100000;
+
+function colorArray(ann) {
+  const { r, g, b } = parseColor(ann.color) || DEFAULT_COLORS[ann.type] || BLACK;
+  return [r, g, b];
+}
+
+// Entries particular to each subtype, in PDF coordinates; bounds are in the shown frame
+function typeEntries(ann, frame, bounds) {
+  const point = (p) => frame.toPdf(p.x * frame.width, frame.height - p.y * frame.height);
+  const color = colorArray(ann);
+
+  switch (ann.type) {
+    case 'path':
+    case 'eraser':
+      return { InkList: [ann.points.flatMap(point)], BS: { W: ann.strokeWidth || (ann.type === 'eraser' ? 20 : 5) } };
+    case 'highlight': {
+      // Corners as the page is shown: top left, top right, bottom left, bottom right
+      const [left, bottom, right, top] = bounds;
+      return { QuadPoints: [[left, top], [right, top], [left, bottom], [right, bottom]].flatMap(([x, y]) => frame.toPdf(x, y)) };
+    }
+    case 'whiteout':
+      return { IC: color, BS: { W: 0 } };
+    case 'rectangle':
+    case 'ellipse': {
+      const fill = parseColor(ann.fill);
+      return { BS: { W: ann.strokeWidth || 2 }, ...(fill ? { IC: [fill.r, fill.g, fill.b] } : {}) };
+    }
+    case 'arrow': {
+      const heads = ann.heads || 'end';
+      return {
+        L: [...point(ann.from), ...point(ann.to)],
+        LE: [heads === 'end' ? 'None' : 'ClosedArrow', heads === 'start' ? 'None' : 'ClosedArrow'].map(name),
+        IC: color,
+        BS: { W: ann.strokeWidth || 2 }
+      };
+    }
+    case 'text':
+      return {
+        Contents: text(ann.text),
+        DA: PDFString.of(`/Helv ${ann.size || 12} Tf ${color.join(' ')} rg`)
+      };
+    case 'stamp':
+      return { Contents: text(ann.text), Name: name(ann.text.replace(/[^A-Za-z0-9]/g, '') || 'Stamp') };
+    case 'symbol':
+      return { Contents: text(ann.symbol), Name: name(ann.symbol.replace(/[^A-Za-z0-9]/g, '')) };
+    default:
+      return {};
+  }
+}
+
+// Turn what was drawn on a scratch page into a form XObject for an
+// annotation's appearance. It was drawn in the shown frame: BBox is the bounds
+// there, and Matrix maps them onto the Rect, so it is drawn where it was.
+function appearanceOf(pdfDoc, scratch, bounds, frame) {
+  const stream = scratch.getContentStream();
+  stream.dict.set(name('Type'), name('XObject'));
+  stream.dict.set(name('Subtype'), name('Form'));
+  stream.dict.set(name('BBox'), pdfDoc.context.obj(bounds));
+  stream.dict.set(name('Matrix'), pdfDoc.context.obj(frame.matrix));
+  stream.dict.set(name('Resources'), scratch.node.Resources());
+  pdfDoc.context.delete(scratch.ref);
+  return scratch.contentStreamRef;
+}
+
+/**
+ * Add annotation layers to a loaded PDF as annotation objects, keeping the
+ * page content as it is. Each annotation is credited to the layer's author.
+ * @param {PDFDocument} pdfDoc - Loaded with pdf-lib; saved by the caller
+ * @param {Array<{annotations: object, name?: string, author_name?: string}>} layers
+ * @returns {Promise<number>} Annotations written
+ */
+async function writePdfAnnotations(pdfDoc, layers) {
+  const pages = pdfDoc.getPages();
+  const draw = annotationRenderer(pdfDoc);
+  const modified = PDFString.fromDate(new Date());
+  let written = 0;
+
+  for (const layer of layers) {
+    for (const [pageIndex, pageAnns] of Object.entries(layer.annotations || {})) {
+      const pageNum = parseInt(pageIndex);
+      if (!(pageNum >= 1 && pageNum <= pages.length) || !Array.isArray(pageAnns)) continue;
+      const page = pages[pageNum - 1];
+      const frame = pageFrame(page);
+
+      for (const ann of pageAnns) {
+        if (validateAnnotation(ann)) continue;
+        try {
+          const scratch = PDFPage.create(pdfDoc);
+          const bounds = await draw(scratch, frame.width, frame.height, ann);
+          if (!bounds) {
+            pdfDoc.context.delete(scratch.ref);
+            continue;
+          }
+
+          const dict = pdfDoc.context.obj({
+            Type: 'Annot',
+            Subtype: SUBTYPES[ann.type],
+            Rect: frame.boundsToPdf(bounds),
+            F: 4, // Print
+            P: page.ref,
+            M: modified,
+            C: colorArray(ann),
+            ...(ann.opacity !== undefined ? { CA: ann.opacity } : {}),
+            ...(ann.id !== undefined ? { NM: text(ann.id) } : {}),
+            ...(layer.author_name ? { T: text(layer.author_name) } : {}),
+            ...(layer.name ? { Subj: text(layer.name) } : {}),
+            ...typeEntries(ann, frame, bounds),
+            AP: { N: appearanceOf(pdfDoc, scratch, bounds, frame) }
+          });
+          dict.set(name(PRIVATE_KEY), text(JSON.stringify(ann)));
+          page.node.addAnnot(pdfDoc.context.register(dict));
+          written++;
+        } catch (annErr) {
+          console.error('Error writing annotation:', annErr);
+        }
+      }
+    }
+  }
+  return written;
+}
+
+// --- Reading ---
+
+function readNumber(context, value) {
+  const resolved = context.lookup(value);
+  return resolved instanceof PDFNumber ? resolved.asNumber() : undefined;
+}
+
+function readNumbers(context, value) {
+  const resolved = context.lookup(value);
+  if (!(resolved instanceof PDFArray)) return null;
+  const numbers = resolved.asArray().map(item => readNumber(context, item));
+  return numbers.every(n => n !== undefined) ? numbers : null;
+}
+
+function readText(context, value) {
+  const resolved = context.lookup(value);
+  return resolved instanceof PDFString || resolved instanceof PDFHexString ? resolved.decodeText() : undefined;
+}
+
+function readName(context, value) {
+  const resolved = context.lookup(value);
+  return resolved instanceof PDFName ? resolved.decodeText() : undefined;
+}
+
+// /C and /IC: gray, RGB or CMYK components -> the JSON colour clients save
+function readColor(components) {
+  if (!components || components.length === 0) return undefined;
+  let rgb;
+  if (components.length === 1) rgb = { r: components[0], g: components[0], b: components[0] };
+  else if (components.length === 3) rgb = { r: components[0], g: components[1], b: components[2] };
+  else if (components.length === 4) {
+    const [c, m, y, k] = components;
+    rgb = { r: (1 - c) * (1 - k), g: (1 - m) * (1 - k), b: (1 - y) * (1 - k) };
+  } else return undefined;
+  return JSON.stringify({ r: round(rgb.r), g: round(rgb.g), b: round(rgb.b) });
+}
+
+// "/Helv 12 Tf 0 0 1 rg" -> size and colour
+function readDefaultAppearance(da) {
+  const size = (da || '').match(/([\d.]+)\s+Tf/);
+  const rgb = (da || '').match(/([\d.]+)\s+([\d.]+)\s+([\d.]+)\s+rg/);
+  const gray = (da || '').match(/(?:^|\s)([\d.]+)\s+g(?:\s|$)/);
+  return {
+    size: size && parseFloat(size[1]) > 0 ? parseFloat(size[1]) : undefined,
+    color: rgb ? readColor(rgb.slice(1, 4).map(Number)) : gray ? readColor([Number(gray[1])]) : undefined
+  };
+}
+
+/**
+ * One PDF annotation as zero or more of ours
+ * @param {PDFDict} dict
+ * @param {object} context - pdf-lib PDFContext
+ * @param {object} frame - The page as shown, from pageFrame
+ * @returns {object[]|null} null for kinds that are not imported (links, form fields, notes ...)
+ */
+function convertAnnotation(dict, context, frame) {
+  const get = (key) => dict.get(name(key));
+
+  const saved = readText(context, get(PRIVATE_KEY));
+  if (saved) {
+    try {
+      return [JSON.parse(saved)];
+    } catch (e) {
+      // Fall back on the standard entries
+    }
+  }
+
+  // PDF coordinates -> fractions of the shown page, y down
+  const point = (X, Y) => {
+    const [x, y] = frame.fromPdf(X, Y);
+    return { x: round(x / frame.width), y: round(1 - y / frame.height) };
+  };
+  // An upright box in PDF coordinates, as shown: top left corner and size
+  const area = (left, bottom, right, top) => {
+    const [a, b] = [point(left, bottom), point(right, top)];
+    return {
+      x: Math.min(a.x, b.x), y: Math.min(a.y, b.y),
+      width: round(Math.abs(b.x - a.x)), height: round(Math.abs(b.y - a.y))
+    };
+  };
+  const pairs = (numbers) => {
+    const points = [];
+    for (let i = 0; i + 1 < numbers.length; i += 2) points.push(point(numbers[i], numbers[i + 1]));
+    return points;
+  };
+
+  const rect = readNumbers(context, get('Rect'));
+  const border = readNumbers(context, get('Border'));
+  const borderStyle = context.lookup(get('BS'));
+  const width = (borderStyle instanceof PDFDict ? readNumber(context, borderStyle.get(name('W'))) : undefined) ??
+    (border && border.length >= 3 ? border[2] : 1);
+  const opacity = readNumber(context, get('CA'));
+  const common = {
+    color: readColor(readNumbers(context, get('C'))),
+    ...(opacity !== undefined && opacity < 1 ? { opacity } : {})
+  };
+
+  switch (readName(context, get('Subtype'))) {
+    case 'Ink': {
+      const inkList = context.lookup(get('InkList'));
+      if (!(inkList instanceof PDFArray)) return null;
+      return inkList.asArray()
+        .map(stroke => readNumbers(context, stroke))
+        .filter(Boolean)
+        .map(numbers => ({ type: 'path', points: pairs(numbers), strokeWidth: width || 1, lineCap: 'round', ...common }));
+    }
+    case 'Square':
+    case 'Circle': {
+      if (!rect) return null;
+      // The Rect includes the border; /RD says by how much, when it is set
+      const inset = readNumbers(context, get('RD')) || [width / 2, width / 2, width / 2, width / 2];
+      const [left, bottom, right, top] = [
+        Math.min(rect[0], rect[2]) + inset[0], Math.min(rect[1], rect[3]) + inset[3],
+        Math.max(rect[0], rect[2]) - inset[2], Math.max(rect[1], rect[3]) - inset[1]
+      ];
+      if (right <= left || top <= bottom) return null;
+      const fill = readColor(readNumbers(context, get('IC')));
+      return [{
+        type: readName(context, get('Subtype')) === 'Circle' ? 'ellipse' : 'rectangle',
+        ...area(left, bottom, right, top),
+        ...common,
+        // Borderless shapes are drawn in their fill colour
+        ...(width > 0 ? { strokeWidth: width } : { color: fill || common.color }),
+        ...(fill ? { fill } : {})
+      }];
+    }
+    case 'Line': {
+      const line = readNumbers(context, get('L'));
+      if (!line || line.length !== 4) return null;
+      const endings = (context.lookup(get('LE'))?.asArray?.() || []).map(e => readName(context, e));
+      const [start, end] = [ARROW_ENDINGS.includes(endings[0]), ARROW_ENDINGS.includes(endings[1])];
+      if (!start && !end) {
+        return [{ type: 'path', points: pairs(line), strokeWidth: width || 1, lineCap: 'butt', ...common }];
+      }
+      return [{
+        type: 'arrow', from: point(line[0], line[1]), to: point(line[2], line[3]),
+        heads: start && end ? 'both' : start ? 'start' : 'end',
+        strokeWidth: width || 1,
+        ...common
+      }];
+    }
+    case 'PolyLine':
+    case 'Polygon': {
+      const vertices = readNumbers(context, get('Vertices'));
+      if (!vertices || vertices.length < 2) return null;
+      const points = pairs(vertices);
+      if (readName(context, get('Subtype')) === 'Polygon') points.push(points[0]);
+      return [{ type: 'path', points, strokeWidth: width || 1, lineCap: 'round', ...common }];
+    }
+    case 'Highlight': {
+      const quads = readNumbers(context, get('QuadPoints'));
+      if (!quads) return null;
+      const boxes = [];
+      for (let i = 0; i + 7 < quads.length; i += 8) {
+        const xs = [quads[i], quads[i + 2], quads[i + 4], quads[i + 6]];
+        const ys = [quads[i + 1], quads[i + 3], quads[i + 5], quads[i + 7]];
+        boxes.push({
+          type: 'highlight',
+          ...area(Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)),
+          ...common
+        });
+      }
+      return boxes;
+    }
+    case 'FreeText': {
+      const contents = readText(context, get('Contents'));
+      if (!rect || !contents) return null;
+      const { size, color } = readDefaultAppearance(readText(context, get('DA')));
+      const { x, y } = area(rect[0], rect[1], rect[2], rect[3]);
+      return [{
+        type: 'text',
+        x, y,
+        text: contents,
+        ...(size ? { size } : {}),
+        ...common,
+        color: color || common.color
+      }];
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Read markup annotations (ink, shapes, lines, highlights, text boxes) from a
+ * PDF into annotation-schema.js annotations, and take them out of the file so
+ * they aren't shown twice. Links, form fields, notes and foreign stamps stay.
+ * @param {Buffer|Uint8Array} pdfData
+ * @returns {Promise<{annotations: object, count: number, pdf: Uint8Array|null}>}
+ *   pdf is the file without the imported annotations; null when nothing was imported
+ */
+async function importPdfAnnotations(pdfData) {
+  const none = { annotations: {}, count: 0, pdf: null };
+  let pdfDoc;
+  try {
+    pdfDoc = await PDFDocument.load(pdfData, { updateMetadata: false });
+  } catch (e) {
+    // Encrypted or damaged; the file is stored as it is
+    console.error('Reading PDF annotations failed:', e.message);
+    return none;
+  }
+
+  const annotations = {};
+  let count = 0;
+  pdfDoc.getPages().forEach((page, index) => {
+    const annots = page.node.Annots();
+    if (!annots) return;
+    const frame = pageFrame(page);
+    const imported = [];
+
+    annots.asArray().forEach((item, i) => {
+      const dict = pdfDoc.context.lookup(item);
+      if (!(dict instanceof PDFDict)) return;
+      let converted;
+      try {
+        converted = convertAnnotation(dict, pdfDoc.context, frame);
+      } catch (e) {
+        console.error('Reading PDF annotation failed:', e.message);
+        return;
+      }
+      const valid = (converted || []).filter(ann => !validateAnnotation(ann));
+      if (valid.length === 0) return;
+
+      annotations[index + 1] = [...(annotations[index + 1] || []), ...valid];
+      count += valid.length;
+      imported.push(i);
+      // The pop-up that showed the annotation's comment goes with it
+      const popup = dict.get(name('Popup'));
+      const popupIndex = popup ? annots.indexOf(popup) : undefined;
+      if (popupIndex !== undefined) imported.push(popupIndex);
+    });
+
+    [...new Set(imported)].sort((a, b) => b - a).forEach(i => annots.remove(i));
+  });
+
+  if (count === 0) return none;
+  return { annotations, count, pdf: await pdfDoc.save() };
+}
+
+module.exports = {
+  writePdfAnnotations,
+  importPdfAnnotations
+};
@@ -0,0 +1,177 @@
+// Document metadata of PDFs: the Info dictionary (Title, Author, Subject, Keywords)
+// and the XMP packet most PDF readers show instead when it is present
+const { PDFDocument, PDFName, PDFHexString, PDFRawStream, decodePDFRawStream } = require('pdf-lib');
+const { XMLParser } = require('fast-xml-parser');
+
+// Info dictionary key for the arranger; XMP has dc:contributor
+const ARRANGER_KEY = 'Arranger';
+
+// Values that authoring tools and scanners fill in rather than the publisher
+const PLACEHOLDER_TITLE_REGEX = /^(untitled|scan|img|image|document|doc|page)?[\s_-]*[\d_.-]*$/i;
+const PLACEHOLDER_AUTHORS = new Set(['administrator', 'admin', 'user', 'owner', 'unknown', 'author']);
+const TOOL_PREFIX_REGEX = /^Microsoft (?:Word|Excel|PowerPoint) - /;
+const FILE_EXTENSION_REGEX = /\.(?:pdf|docx?|odt|rtf|mus|musx|sib|mscz?|tiff?|jpe?g|png)$/i;
+
+const xmpParser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '',
+  removeNSPrefix: true,
+  isArray: (name) => name === 'li' || name === 'Description'
+});
+
+function cleanTitle(value) {
+  const title = (value || '').replace(TOOL_PREFIX_REGEX, '').replace(FILE_EXTENSION_REGEX, '').trim();
+  return PLACEHOLDER_TITLE_REGEX.test(title) ? '' : title;
+}
+
+function cleanName(value) {
+  const name = (value || '').trim();
+  return PLACEHOLDER_AUTHORS.has(name.toLowerCase()) ? '' : name;
+}
+
+function splitKeywords(value) {
+  return (value || '').split(/[,;]/).map(k => k.trim()).filter(Boolean);
+}
+
+// Text of an XMP property: a plain value, or the items of an rdf:Alt/Seq/Bag
+function xmpValues(property) {
+  if (property === undefined || property === null) return [];
+  if (typeof property !== 'object') return [String(property)];
+  if (property['#text'] !== undefined) return [String(property['#text'])];
+  const container = property.Alt || property.Seq || property.Bag;
+  if (!container) return [];
+  return (container.li || []).map(li => typeof li === 'object' ? li['#text'] : li)
+    .filter(v => v !== undefined && v !== null && v !== '')
+    .map(String);
+}
+
+function readXmp(doc) {
+  const ref = doc.catalog.get(PDFName.of('Metadata'));
+  const stream = ref && doc.context.lookup(ref);
+  if (!(stream instanceof PDFRawStream)) return {};
+
+  const xml = Buffer.from(decodePDFRawStream(stream).decode()).toString('utf8');
+  const parsed = xmpParser.parse(xml);
+  const descriptions = parsed?.xmpmeta?.RDF?.Description || parsed?.RDF?.Description || [];
+  // Properties may be split over several rdf:Description elements, and written as attributes
+  const props = Object.assign({}, ...descriptions.filter(d => typeof d === 'object'));
+  return {
+    title: xmpValues(props.title)[0],
+    subtitle: xmpValues(props.description)[0],
+    composer: xmpValues(props.creator).join(', '),
+    arranger: xmpValues(props.contributor).join(', '),
+    tags: xmpValues(props.subject).length > 0 ? xmpValues(props.subject) : splitKeywords(xmpValues(props.Keywords)[0])
+  };
+}
+
+function readInfoText(doc, key) {
+  const value = doc.getInfoDict().lookup(PDFName.of(key));
+  return value && typeof value.decodeText === 'function' ? value.decodeText() : '';
+}
+
+function readDocumentMetadata(doc) {
+  let xmp = {};
+  try {
+    xmp = readXmp(doc);
+  } catch (e) {
+    console.error('Reading XMP metadata failed:', e.message);
+  }
+
+  // The Info dictionary is what most files fill in; XMP fills the gaps
+  const fields = {
+    title: cleanTitle(doc.getTitle() || xmp.title),
+    subtitle: (doc.getSubject() || xmp.subtitle || '').trim(),
+    composer: cleanName(doc.getAuthor() || xmp.composer),
+    arranger: cleanName(readInfoText(doc, ARRANGER_KEY) || xmp.arranger),
+    tags: splitKeywords(doc.getKeywords()).length > 0 ? splitKeywords(doc.getKeywords()) : (xmp.tags || [])
+  };
+  return Object.fromEntries(Object.entries(fields).filter(([, value]) => value.length > 0));
+}
+
+/**
+ * Read title, subtitle (Subject), composer (Author), arranger and tags (Keywords)
+ * from a PDF's Info dictionary and XMP. Placeholders such as "Untitled" or
+ * "Microsoft Word - ..." prefixes are dropped.
+ * @param {Buffer|Uint8Array|ArrayBuffer} pdfData
+ * @returns {Promise<{title?: string, subtitle?: string, composer?: string, arranger?: string, tags?: string[]}>}
+ *   Only the fields the file has; empty when it can't be read
+ */
+async function readPdfMetadata(pdfData) {
+  try {
+    const doc = await PDFDocument.load(pdfData, { ignoreEncryption: true, updateMetadata: false });
+    return readDocumentMetadata(doc);
+  } catch (e) {
+    console.error('Reading PDF metadata failed:', e.message);
+    return {};
+  }
+}
+
+function escapeXml(value) {
+  return String(value).replace(/[<>&"']/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' })[c]);
+}
+
+function xmpPacket(fields) {
+  const items = (values) => values.map(v => `<rdf:li>${escapeXml(v)}</rdf:li>`).join('');
+  const alt = (value) => `<rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(value)}</rdf:li></rdf:Alt>`;
+  const now = new Date().toISOString();
+  const properties = [
+    '<dc:format>application/pdf</dc:format>',
+    fields.title && `<dc:title>${alt(fields.title)}</dc:title>`,
+    fields.subtitle && `<dc:description>${alt(fields.subtitle)}</dc:description>`,
+    fields.composer && `<dc:creator><rdf:Seq>${items([fields.composer])}</rdf:Seq></dc:creator>`,
+    fields.arranger && `<dc:contributor><rdf:Bag>${items([fields.arranger])}</rdf:Bag></dc:contributor>`,
+    fields.tags.length > 0 && `<dc:subject><rdf:Bag>${items(fields.tags)}</rdf:Bag></dc:subject>`,
+    fields.tags.length > 0 && `<pdf:Keywords>${escapeXml(fields.tags.join(', '))}</pdf:Keywords>`,
+    `<xmp:ModifyDate>${now}</xmp:ModifyDate>`,
+    `<xmp:MetadataDate>${now}</xmp:MetadataDate>`
+  ].filter(Boolean);
+
+  return '<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>\n' +
+    '<x:xmpmeta xmlns:x="adobe:ns:meta/">\n' +
+    '<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">\n' +
+    '<rdf:Description rdf:about="" xmlns:dc="http://purl.org/dc/elements/1.1/"' +
+    ' xmlns:pdf="http://ns.adobe.com/pdf/1.3/" xmlns:xmp="http://ns.adobe.com/xap/1.0/">\n' +
+    properties.join('\n') + '\n' +
+    '</rdf:Description>\n</rdf:RDF>\n</x:xmpmeta>\n' +
+    '<?xpacket end="w"?>';
+}
+
+/**
+ * Write a sheet's title, subtitle, composer, arranger and tags into a loaded PDF,
+ * in both the Info dictionary and a new XMP packet. Fields the sheet leaves
+ * empty keep what the file already had.
+ * @param {PDFDocument} doc - Loaded with pdf-lib; saved by the caller
+ * @param {object} sheet - Sheet row
+ */
+function writePdfMetadata(doc, sheet) {
+  const existing = readDocumentMetadata(doc);
+  const fields = {
+    title: sheet.title || existing.title || '',
+    subtitle: sheet.subtitle || existing.subtitle || '',
+    composer: sheet.composer || existing.composer || '',
+    arranger: sheet.arranger || existing.arranger || '',
+    tags: (sheet.tags || []).length > 0 ? sheet.tags : (existing.tags || [])
+  };
+
+  const info = doc.getInfoDict();
+  const setText = (key, value) => {
+    if (value) info.set(PDFName.of(key), PDFHexString.fromText(value));
+  };
+  setText('Title', fields.title);
+  setText('Subject', fields.subtitle);
+  setText('Author', fields.composer);
+  setText(ARRANGER_KEY, fields.arranger);
+  setText('Keywords', fields.tags.join(', '));
+
+  // Replaces any XMP the file had, so readers that prefer XMP show the same values
+  const stream = doc.context.stream(Buffer.from(xmpPacket(fields), 'utf8'), {
+    Type: 'Metadata',
+    Subtype: 'XML'
+  });
+  doc.catalog.set(PDFName.of('Metadata'), doc.context.register(stream));
+}
+
+module.exports = {
+  readPdfMetadata,
+  writePdfMetadata
+};
@@ -0,0 +1,132 @@
+const path = require('path');
+const { createCanvas, loadImage } = require('@napi-rs/canvas');
+
+// pdfjs-dist only ships ES modules; load it once on first use.
+// In Node it draws onto @napi-rs/canvas, which has no system dependencies.
+let pdfjsPromise = null;
+function loadPdfjs() {
+  if (!pdfjsPromise) {
+    pdfjsPromise = import('pdfjs-dist/legacy/build/pdf.mjs');
+  }
+  return pdfjsPromise;
+}
+
+// Metrics for the 14 standard PDF fonts, needed to render text that isn't embedded
+const STANDARD_FONT_DATA_URL = path.join(path.dirname(require.resolve('pdfjs-dist/package.json')), 'standard_fonts') + path.sep;
+
+// Upper bound on either side of a rendered page, to keep canvas memory in check
+const MAX_RENDER_DIMENSION = 4000;
+
+/**
+ * Render PDF pages to PNG images
+ * @param {Buffer|Uint8Array} pdfData - PDF file contents
+ * @param {object} [options]
+ * @param {number} [options.firstPage=1] - First page to render (1-based)
+ * @param {number} [options.maxPages=1] - Number of pages to render
+ * @param {number} [options.dpi=300] - Output resolution
+ * @param {number} [options.maxWidth] - Scale down so no page is wider than this
+ * @returns {Promise<Array<{pageNumber: number, width: number, height: number, image: Buffer}>>}
+ */
+async function renderPdfPages(pdfData, options = {}) {
+  const { firstPage = 1, maxPages = 1, dpi = 300, maxWidth } = options;
+  const pdfjs = await loadPdfjs();
+
+  const doc = await pdfjs.getDocument({
+    data: new Uint8Array(pdfData),
+    standardFontDataUrl: STANDARD_FONT_DATA_URL,
+    verbosity: 0
+  }).promise;
+
+  try {
+    const lastPage = Math.min(doc.numPages, firstPage + maxPages - 1);
+    const rendered = [];
+
+    for (let pageNumber = firstPage; pageNumber <= lastPage; pageNumber++) {
+      const page = await doc.getPage(pageNumber);
+      const baseViewport = page.getViewport({ scale: 1 });
+
+      let scale = dpi / 72;
+      if (maxWidth) scale = Math.min(scale, maxWidth / baseViewport.width);
+      scale = Math.min(scale, MAX_RENDER_DIMENSION / Math.max(baseViewport.width, baseViewport.height));
+
+      const viewport = page.getViewport({ scale });
+      const { canvas, context } = doc.canvasFactory.create(Math.ceil(viewport.width), Math.ceil(viewport.height));
+
+      // Scans are OCR'd and previewed on white, not transparent
+      context.fillStyle = '#ffffff';
+      context.fillRect(0, 0, canvas.width, canvas.height);
+      await page.render({ canvasContext: context, viewport }).promise;
+
+      rendered.push({
+        pageNumber,
+        width: canvas.width,
+        height: canvas.height,
+        image: canvas.toBuffer('image/png')
+      });
+      page.cleanup();
+    }
+
+    return rendered;
+  } finally {
+    await doc.destroy();
+  }
+}
+
+/**
+ * Read the embedded text layer of each page
+ * @param {Buffer|Uint8Array} pdfData - PDF file contents
+ * @param {object} [options]
+ * @param {number} [options.maxPages] - Stop after this many pages
+ * @returns {Promise<{numPages: number, pages: Array<{pageNumber: number, text: string}>}>}
+ *   Pages without a text layer (scans) have empty text
+ */
+async function extractPdfPageTexts(pdfData, options = {}) {
+  const pdfjs = await loadPdfjs();
+  const doc = await pdfjs.getDocument({
+    data: new Uint8Array(pdfData),
+    standardFontDataUrl: STANDARD_FONT_DATA_URL,
+    verbosity: 0
+  }).promise;
+
+  try {
+    const lastPage = options.maxPages ? Math.min(doc.numPages, options.maxPages) : doc.numPages;
+    const pages = [];
+    for (let pageNumber = 1; pageNumber <= lastPage; pageNumber++) {
+      const page = await doc.getPage(pageNumber);
+      const content = await page.getTextContent();
+      const text = content.items
+        .map(item => (item.str || '') + (item.hasEOL ? '\n' : ''))
+        .join('')
+        .replace(/[ \t]+\n/g, '\n')
+        .trim();
+      pages.push({ pageNumber, text });
+      page.cleanup();
+    }
+    return { numPages: doc.numPages, pages };
+  } finally {
+    await doc.destroy();
+  }
+}
+
+/**
+ * Shrink an image to a maximum width; smaller images keep their size
+ * @param {string|Buffer} image - Local path or image buffer
+ * @param {number} maxWidth
+ * @returns {Promise<Buffer>} PNG image
+ */
+async function downscaleImage(image, maxWidth) {
+  const source = await loadImage(image);
+  const scale = Math.min(1, maxWidth / source.width);
+  const canvas = createCanvas(Math.round(source.width * scale), Math.round(source.height * scale));
+  const context = canvas.getContext('2d');
+  context.fillStyle = '#ffffff';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  context.drawImage(source, 0, 0, canvas.width, canvas.height);
+  return canvas.toBuffer('image/png');
+}
+
+module.exports = {
+  renderPdfPages,
+  extractPdfPageTexts,
+  downscaleImage
+};
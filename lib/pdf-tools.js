@@ -0,0 +1,189 @@
+const { PDFDocument, degrees } = require('pdf-lib');
+const { httpError } = require('./http-errors');
+
+async function loadPdf(pdfData) {
+  try {
+    return await PDFDocument.load(pdfData, { ignoreEncryption: true });
+  } catch (e) {
+    throw httpError(400, `Could not read PDF: ${e.message}`);
+  }
+}
+
+/**
+ * Parse a page range list such as "1-3,5,8-" into page numbers
+ * @param {string|number[]} spec - Range string, or an array of page numbers
+ * @param {number} pageCount - Pages in the document
+ * @returns {number[]} 1-based page numbers in the given order
+ */
+function parsePageRanges(spec, pageCount) {
+  if (Array.isArray(spec)) {
+    const pages = spec.map(n => parseInt(n));
+    if (pages.length === 0 || pages.some(n => !(n >= 1 && n <= pageCount))) {
+      throw httpError(400, `Pages must be between 1 and ${pageCount}`);
+    }
+    return pages;
+  }
+
+  const pages = [];
+  for (const part of String(spec || '').split(',').map(p => p.trim()).filter(Boolean)) {
+    const match = part.match(/^(\d*)\s*(?:(-)\s*(\d*))?$/);
+    if (!match || (!match[1] && !match[3])) throw httpError(400, `Invalid page range "${part}"`);
+
+    const start = match[1] ? parseInt(match[1]) : 1;
+    const end = match[2] ? (match[3] ? parseInt(match[3]) : pageCount) : start;
+    if (start > end) throw httpError(400, `Invalid page range "${part}"`);
+    if (start < 1 || end > pageCount) {
+      throw httpError(400, `Page range "${part}" is outside 1-${pageCount}`);
+    }
+    for (let n = start; n <= end; n++) pages.push(n);
+  }
+  if (pages.length === 0) throw httpError(400, 'No pages selected');
+  return pages;
+}
+
+/**
+ * Copy pages of a PDF, in the given order, into a new document
+ * @param {Buffer|Uint8Array|ArrayBuffer} pdfData
+ * @param {number[]} pageNumbers - 1-based; a page may repeat
+ * @returns {Promise<Uint8Array>}
+ */
+async function extractPages(pdfData, pageNumbers) {
+  const source = await loadPdf(pdfData);
+  const doc = await PDFDocument.create();
+  const copied = await doc.copyPages(source, pageNumbers.map(n => n - 1));
+  copied.forEach(page => doc.addPage(page));
+  return doc.save();
+}
+
+/**
+ * Append several PDFs into one
+ * @param {Array<Buffer|Uint8Array|ArrayBuffer>} pdfs
+ * @returns {Promise<Uint8Array>}
+ */
+async function mergePdfs(pdfs) {
+  const doc = await PDFDocument.create();
+  for (const pdfData of pdfs) {
+    const source = await loadPdf(pdfData);
+    const copied = await doc.copyPages(source, source.getPageIndices());
+    copied.forEach(page => doc.addPage(page));
+  }
+  return doc.save();
+}
+
+/**
+ * Rotate pages clockwise by multiples of 90 degrees
+ * @param {Buffer|Uint8Array|ArrayBuffer} pdfData
+ * @param {object} rotations - {pageNumber: degrees}
+ * @returns {Promise<Uint8Array>}
+ */
+async function rotatePages(pdfData, rotations) {
+  const doc = await loadPdf(pdfData);
+  const pages = doc.getPages();
+  for (const [pageNumber, angle] of Object.entries(rotations)) {
+    const page = pages[parseInt(pageNumber) - 1];
+    if (!page) throw httpError(400, `Page ${pageNumber} does not exist`);
+    page.setRotation(degrees(normalizeRotation(page.getRotation().angle + angle)));
+  }
+  return doc.save();
+}
+
+/**
+ * Trim margins off pages by shrinking their crop box
+ * @param {Buffer|Uint8Array|ArrayBuffer} pdfData
+ * @param {number[]} pageNumbers - Pages to crop
+ * @param {{top: number, right: number, bottom: number, left: number}} margins - In points,
+ *   as the page is displayed (after rotation)
+ * @returns {Promise<Uint8Array>}
+ */
+async function cropPages(pdfData, pageNumbers, margins) {
+  const doc = await loadPdf(pdfData);
+  const pages = doc.getPages();
+  for (const pageNumber of pageNumbers) {
+    const page = pages[pageNumber - 1];
+    const box = page.getCropBox();
+    // Displayed sides, clockwise from the top, mapped back onto the unrotated box
+    const shown = [margins.top, margins.right, margins.bottom, margins.left];
+    const turns = normalizeRotation(page.getRotation().angle) / 90;
+    const [top, right, bottom, left] = [0, 1, 2, 3].map(side => shown[(side + turns) % 4]);
+
+    const width = box.width - left - right;
+    const height = box.height - top - bottom;
+    if (width < 1 || height < 1) throw httpError(400, `Margins leave nothing of page ${pageNumber}`);
+    page.setCropBox(box.x + left, box.y + bottom, width, height);
+  }
+  return doc.save();
+}
+
+function normalizeRotation(angle) {
+  return ((angle % 360) + 360) % 360;
+}
+
+const isPoint = (point) => Boolean(point) && typeof point.x === 'number' && typeof point.y === 'number';
+
+// A box {x, y, width, height} moved by its opposite corners; a turn swaps
+// which corner is top left, and width with height on a quarter turn
+function mapBox(box, mapPoint) {
+  const a = mapPoint(box);
+  const b = mapPoint({ x: box.x + box.width, y: box.y + box.height });
+  return {
+    x: Math.min(a.x, b.x),
+    y: Math.min(a.y, b.y),
+    width: Math.abs(b.x - a.x),
+    height: Math.abs(b.y - a.y)
+  };
+}
+
+/**
+ * Move a page's annotations along with an edit to the page. Annotation
+ * coordinates are fractions of the displayed page, y measured from the top:
+ * strokes move their points, arrows their ends, boxes (shapes, highlights,
+ * images, ...) their corners and text and symbols their anchor point.
+ * @param {Array<object>} annotations - Annotations of one page
+ * @param {function} mapPoint - ({x, y}) => {x, y}, an affine map of the page
+ */
+function mapAnnotations(annotations, mapPoint) {
+  return (annotations || []).map(ann => {
+    const mapped = { ...ann };
+    if (Array.isArray(ann.points)) mapped.points = ann.points.map(p => ({ ...p, ...mapPoint(p) }));
+    if (isPoint(ann.from)) mapped.from = { ...ann.from, ...mapPoint(ann.from) };
+    if (isPoint(ann.to)) mapped.to = { ...ann.to, ...mapPoint(ann.to) };
+    if (isPoint(ann) && typeof ann.width === 'number' && typeof ann.height === 'number') {
+      Object.assign(mapped, mapBox(ann, mapPoint));
+    } else if (isPoint(ann)) {
+      Object.assign(mapped, mapPoint(ann));
+    }
+    return mapped;
+  });
+}
+
+// Where a point ends up after the page turns clockwise
+function rotatePoint(angle) {
+  switch (normalizeRotation(angle)) {
+    case 90: return ({ x, y }) => ({ x: 1 - y, y: x });
+    case 180: return ({ x, y }) => ({ x: 1 - x, y: 1 - y });
+    case 270: return ({ x, y }) => ({ x: y, y: 1 - x });
+    default: return ({ x, y }) => ({ x, y });
+  }
+}
+
+// Where a point ends up when margins are cut off a page of the given displayed size
+function cropPoint(width, height, margins) {
+  const keptWidth = width - margins.left - margins.right;
+  const keptHeight = height - margins.top - margins.bottom;
+  return ({ x, y }) => ({
+    x: (x * width - margins.left) / keptWidth,
+    y: (y * height - margins.top) / keptHeight
+  });
+}
+
+module.exports = {
+  parsePageRanges,
+  extractPages,
+  mergePdfs,
+  rotatePages,
+  cropPages,
+  normalizeRotation,
+  mapAnnotations,
+  rotatePoint,
+  cropPoint
+};
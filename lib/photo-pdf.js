@@ -0,0 +1,77 @@
+const { PDFDocument, PageSizes } = require('pdf-lib');
+const { createCanvas, loadImage } = require('@napi-rs/canvas');
+
+// Page size of PDFs built from photos ('A4' or 'Letter'); landscape photos get landscape pages
+const PHOTO_PAGE_SIZE = PageSizes[process.env.PHOTO_PAGE_SIZE] || PageSizes.A4;
+// White border around each photo, in points
+const PAGE_MARGIN = 18;
+// Photos are resampled to this resolution on the page; phone cameras take far more
+const PHOTO_DPI = 200;
+const JPEG_QUALITY = 85;
+
+/**
+ * Decode a photo upright and resample it to fit a page.
+ * loadImage applies the EXIF orientation, so sideways phone photos come out upright.
+ * @param {object} file - Multer file
+ * @returns {Promise<{image: Buffer, pageWidth: number, pageHeight: number, drawWidth: number, drawHeight: number}>}
+ *   JPEG image and sizes in points
+ */
+async function fitPhotoToPage(file) {
+  let source;
+  try {
+    source = await loadImage(file.path);
+  } catch (e) {
+    const err = new Error(`Could not read image "${file.originalname}"`);
+    err.status = 400;
+    throw err;
+  }
+
+  const [shortSide, longSide] = PHOTO_PAGE_SIZE;
+  const landscape = source.width > source.height;
+  const pageWidth = landscape ? longSide : shortSide;
+  const pageHeight = landscape ? shortSide : longSide;
+
+  const fit = Math.min((pageWidth - 2 * PAGE_MARGIN) / source.width, (pageHeight - 2 * PAGE_MARGIN) / source.height);
+  const drawWidth = source.width * fit;
+  const drawHeight = source.height * fit;
+
+  const pixelScale = Math.min(1, fit * PHOTO_DPI / 72);
+  const canvas = createCanvas(Math.round(source.width * pixelScale), Math.round(source.height * pixelScale));
+  const context = canvas.getContext('2d');
+  context.fillStyle = '#ffffff';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  context.drawImage(source, 0, 0, canvas.width, canvas.height);
+
+  return { image: canvas.toBuffer('image/jpeg', JPEG_QUALITY), pageWidth, pageHeight, drawWidth, drawHeight };
+}
+
+/**
+ * Build one PDF from photos of a piece, one page per photo, in the given order
+ * @param {Array<object>} files - Multer files
+ * @returns {Promise<{pdf: Uint8Array, firstPage: Buffer}>} The PDF, and the first
+ *   photo as placed on its page (upright JPEG), for OCR
+ */
+async function buildPdfFromPhotos(files) {
+  const doc = await PDFDocument.create();
+  let firstPage = null;
+
+  for (const file of files) {
+    const photo = await fitPhotoToPage(file);
+    if (!firstPage) firstPage = photo.image;
+
+    const embedded = await doc.embedJpg(photo.image);
+    const page = doc.addPage([photo.pageWidth, photo.pageHeight]);
+    page.drawImage(embedded, {
+      x: (photo.pageWidth - photo.drawWidth) / 2,
+      y: (photo.pageHeight - photo.drawHeight) / 2,
+      width: photo.drawWidth,
+      height: photo.drawHeight
+    });
+  }
+
+  return { pdf: await doc.save(), firstPage };
+}
+
+module.exports = {
+  buildPdfFromPhotos
+};
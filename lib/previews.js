@@ -0,0 +1,149 @@
+const fs = require('fs');
+const path = require('path');
+const db = require('./db');
+const { uploadBuffer, deleteFiles } = require('./storage');
+const { uploadDir, removeTempFile } = require('./upload');
+const { renderPdfPages, downscaleImage } = require('./pdf-render');
+
+// First-page thumbnails shown in sheet lists
+const THUMBNAIL_WIDTH = parseInt(process.env.THUMBNAIL_WIDTH) || 300;
+// Low-resolution previews of every page, for page navigation before the PDF loads
+const PAGE_PREVIEWS = process.env.PAGE_PREVIEWS === 'true';
+const PREVIEW_WIDTH = parseInt(process.env.PREVIEW_WIDTH) || 800;
+const PREVIEW_MAX_PAGES = parseInt(process.env.PREVIEW_MAX_PAGES) || 50;
+
+// Generated images live next to the file: "<key>.thumb.png", "<key>.p3.png"
+const derivedKey = (storageKey, suffix) => `${storageKey}.${suffix}.png`;
+
+async function renderImages(filePath, mimetype, width, maxPages) {
+  if (mimetype === 'application/pdf') {
+    const rendered = await renderPdfPages(fs.readFileSync(filePath), { maxPages, maxWidth: width });
+    return rendered.map(r => ({ page: r.pageNumber, image: r.image }));
+  }
+  if (mimetype && mimetype.startsWith('image/')) {
+    return [{ page: 1, image: await downscaleImage(filePath, width) }];
+  }
+  return [];
+}
+
+/**
+ * Render and store the first-page thumbnail. A file that can't be rendered
+ * just has no thumbnail, it doesn't fail the upload.
+ * @param {string} filePath - Local copy of the sheet's file
+ * @param {string} mimetype
+ * @param {string} storageKey - Storage key of the file the thumbnail belongs to
+ * @returns {Promise<{url: string, storageKey: string}|null>}
+ */
+async function createThumbnail(filePath, mimetype, storageKey) {
+  try {
+    const [first] = await renderImages(filePath, mimetype, THUMBNAIL_WIDTH, 1);
+    if (!first) return null;
+    const stored = await uploadBuffer(first.image, derivedKey(storageKey, 'thumb'), 'image/png');
+    return { url: stored.url, storageKey: stored.storageKey };
+  } catch (e) {
+    console.error('Thumbnail generation failed:', e.message);
+    return null;
+  }
+}
+
+/**
+ * Render and store a low-resolution preview of each page (up to PREVIEW_MAX_PAGES)
+ * @returns {Promise<Array<{page: number, url: string, storageKey: string}>>}
+ */
+async function createPagePreviews(filePath, mimetype, storageKey) {
+  const previews = [];
+  const rendered = await renderImages(filePath, mimetype, PREVIEW_WIDTH, PREVIEW_MAX_PAGES);
+  for (const { page, image } of rendered) {
+    const stored = await uploadBuffer(image, derivedKey(storageKey, `p${page}`), 'image/png');
+    previews.push({ page, url: stored.url, storageKey: stored.storageKey });
+  }
+  return previews;
+}
+
+/**
+ * Storage keys of a sheet's generated images
+ * @param {object} sheet - Row with thumbnail_key and page_previews
+ */
+function previewKeys(sheet) {
+  return [sheet.thumbnail_key, ...(sheet.page_previews || []).map(p => p.storageKey)].filter(Boolean);
+}
+
+/**
+ * Delete a sheet's thumbnail and page previews from storage
+ * @param {object} sheet - Row with thumbnail_key and page_previews
+ */
+async function deletePreviewFiles(sheet) {
+  try {
+    await deleteFiles(previewKeys(sheet));
+  } catch (e) {
+    console.error('Failed to delete previews:', e.message);
+  }
+}
+
+// Sheets waiting for previews, generated one at a time in the background
+const queue = [];
+let draining = false;
+
+/**
+ * Queue preview generation for a stored sheet file. Does nothing unless a
+ * thumbnail is requested or PAGE_PREVIEWS is on.
+ * @param {object} job
+ * @param {string} job.sheetId
+ * @param {string} job.fileUrl - Stored file, downloaded for rendering
+ * @param {string} job.storageKey
+ * @param {string} job.mimetype
+ * @param {boolean} [job.thumbnail] - Also create the thumbnail (when the upload didn't)
+ */
+function queuePreviews(job) {
+  if (!job.thumbnail && !PAGE_PREVIEWS) return;
+  queue.push(job);
+  drainQueue();
+}
+
+async function drainQueue() {
+  if (draining) return;
+  draining = true;
+  while (queue.length > 0) {
+    const job = queue.shift();
+    const localPath = path.join(uploadDir, `${Date.now()}-previews-${job.sheetId}`);
+    try {
+      const response = await fetch(job.fileUrl);
+      if (!response.ok) throw new Error(`Failed to fetch stored file: ${response.status}`);
+      fs.writeFileSync(localPath, Buffer.from(await response.arrayBuffer()));
+      await generateForSheet(job, localPath);
+    } catch (e) {
+      console.error(`Preview generation for sheet ${job.sheetId} failed:`, e);
+    } finally {
+      removeTempFile(localPath);
+    }
+  }
+  draining = false;
+}
+
+async function generateForSheet(job, localPath) {
+  const { sheetId, fileUrl, storageKey, mimetype } = job;
+  const thumbnail = job.thumbnail ? await createThumbnail(localPath, mimetype, storageKey) : null;
+  const previews = PAGE_PREVIEWS ? await createPagePreviews(localPath, mimetype, storageKey) : null;
+
+  // The file may have been replaced or the sheet deleted meanwhile
+  const result = await db.query(`
+    UPDATE sheets
+    SET thumbnail_url = COALESCE($1, thumbnail_url),
+        thumbnail_key = COALESCE($2, thumbnail_key),
+        page_previews = COALESCE($3::jsonb, page_previews)
+    WHERE id = $4 AND file_url = $5
+    RETURNING id
+  `, [thumbnail?.url || null, thumbnail?.storageKey || null, previews ? JSON.stringify(previews) : null, sheetId, fileUrl]);
+
+  if (result.rows.length === 0) {
+    await deletePreviewFiles({ thumbnail_key: thumbnail?.storageKey, page_previews: previews });
+    return;
+  }
+  console.log(`Previews for sheet ${sheetId}: ${thumbnail ? 'thumbnail, ' : ''}${previews ? previews.length : 0} page(s)`);
+}
+
+module.exports = {
+  createThumbnail,
+  queuePreviews,
+  deletePreviewFiles
+};
@@ -0,0 +1,362 @@
+// Notation files (MusicXML, compressed MusicXML, MIDI, ABC): recognising them on
+// upload and reading their metadata straight from the file, without OCR.
+const fs = require('fs');
+const path = require('path');
+const { XMLParser } = require('fast-xml-parser');
+const { unzipSync, strFromU8 } = require('fflate');
+const { parseMidi } = require('midi-file');
+const { ABC_TYPE, parseAbc } = require('./abc');
+
+const MUSICXML_TYPE = 'application/vnd.recordare.musicxml+xml';
+const MXL_TYPE = 'application/vnd.recordare.musicxml';
+const MIDI_TYPE = 'audio/midi';
+
+// Browsers send these as octet-stream or assorted vendor types, so the extension decides
+const SCORE_EXTENSIONS = {
+  '.musicxml': MUSICXML_TYPE,
+  '.xml': MUSICXML_TYPE,
+  '.mxl': MXL_TYPE,
+  '.mid': MIDI_TYPE,
+  '.midi': MIDI_TYPE,
+  '.abc': ABC_TYPE
+};
+
+// Part names -> entries of the instruments table. Order matters: "English horn"
+// is an oboe, not a French horn, and "Double bass" isn't a voice.
+const INSTRUMENT_PATTERNS = [
+  ['Piano', /piano|klavier|keyboard|πιάνο/i],
+  ['Cello', /cello|violoncell/i],
+  ['Violin', /violin|violino|geige|βιολί/i],
+  ['Viola', /\bviola\b|bratsche/i],
+  ['Double Bass', /double bass|contrabass|kontrabass|string bass|upright bass/i],
+  ['Flute', /flute|flauto|flöte|piccolo|recorder|φλάουτο/i],
+  ['Clarinet', /clarinet|klarinette|clarinetto|κλαρίνο/i],
+  ['Oboe', /oboe|hautbois|cor anglais|english horn/i],
+  ['Bassoon', /bassoon|fagott/i],
+  ['Trumpet', /trumpet|tromba|trompete|cornet|flugelhorn/i],
+  ['Trombone', /trombone|posaune/i],
+  ['Tuba', /tuba|euphonium/i],
+  ['French Horn', /horn|corno/i],
+  ['Saxophone', /sax/i],
+  ['Guitar', /guitar|gitarre|chitarra|κιθάρα/i],
+  ['Harp', /harp|arpa|harfe/i],
+  ['Organ', /organ|orgel|organo/i],
+  ['Percussion', /percussion|drum|timpani|marimba|xylophone|vibraphone|glockenspiel|cymbal/i],
+  ['Choir', /choir|chorus|\bchor\b|\bcoro\b|satb|χορωδία/i],
+  ['Voice', /voice|vocal|soprano|mezzo|\balto\b|tenor|baritone|\bbass\b|stimme|φωνή/i]
+];
+
+// General MIDI programs (0-based) that have an entry in the instruments table
+const GM_PROGRAMS = [
+  [0, 7, 'Piano'], [16, 23, 'Organ'], [24, 31, 'Guitar'], [32, 32, 'Double Bass'],
+  [40, 40, 'Violin'], [41, 41, 'Viola'], [42, 42, 'Cello'], [43, 43, 'Double Bass'],
+  [46, 46, 'Harp'], [47, 47, 'Percussion'], [52, 53, 'Choir'], [54, 54, 'Voice'],
+  [56, 56, 'Trumpet'], [57, 57, 'Trombone'], [58, 58, 'Tuba'], [60, 60, 'French Horn'],
+  [64, 67, 'Saxophone'], [68, 68, 'Oboe'], [70, 70, 'Bassoon'], [71, 71, 'Clarinet'], [72, 75, 'Flute']
+];
+const GM_FAMILIES = [
+  'Piano', 'Chromatic Percussion', 'Organ', 'Guitar', 'Bass', 'Strings', 'Ensemble', 'Brass',
+  'Reed', 'Pipe', 'Synth Lead', 'Synth Pad', 'Synth Effects', 'Ethnic', 'Percussive', 'Sound Effects'
+];
+// MIDI channel 10 is always drums
+const DRUM_CHANNEL = 9;
+
+// Circle of fifths, indexed by the number of sharps (negative: flats) + 7
+const MAJOR_KEYS = ['Cb', 'Gb', 'Db', 'Ab', 'Eb', 'Bb', 'F', 'C', 'G', 'D', 'A', 'E', 'B', 'F#', 'C#'];
+const MINOR_KEYS = ['Ab', 'Eb', 'Bb', 'F', 'C', 'G', 'D', 'A', 'E', 'B', 'F#', 'C#', 'G#', 'D#', 'A#'];
+
+const NOTE_SYMBOLS = { whole: '𝅝', half: '𝅗𝅥', quarter: '♩', eighth: '♪' };
+
+const COPYRIGHT_YEAR_REGEX = /\b((?:1[6-9]|20)\d{2})\b/;
+
+/**
+ * The mime type notation files are stored under, from the file name
+ * @param {string} fileName
+ * @returns {string|null} null for anything that isn't a notation file
+ */
+function scoreTypeFor(fileName) {
+  return SCORE_EXTENSIONS[path.extname(fileName || '').toLowerCase()] || null;
+}
+
+const isScoreType = (mimetype) => [MUSICXML_TYPE, MXL_TYPE, MIDI_TYPE, ABC_TYPE].includes(mimetype);
+
+function matchInstrument(name) {
+  if (!name) return null;
+  const match = INSTRUMENT_PATTERNS.find(([, pattern]) => pattern.test(name));
+  return match ? match[0] : null;
+}
+
+function keyName(fifths, minor) {
+  const names = minor ? MINOR_KEYS : MAJOR_KEYS;
+  const name = names[fifths + 7];
+  return name ? `${name} ${minor ? 'minor' : 'major'}` : null;
+}
+
+function copyrightYear(text) {
+  const match = (text || '').match(COPYRIGHT_YEAR_REGEX);
+  return match ? parseInt(match[1]) : null;
+}
+
+// --- MusicXML ---
+
+const xmlParser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  parseTagValue: false,
+  trimValues: true,
+  processEntities: true,
+  isArray: (name) => ['creator', 'rights', 'credit', 'credit-words', 'score-part', 'score-instrument',
+    'part', 'measure', 'attributes', 'key', 'time', 'direction', 'direction-type', 'metronome', 'sound'].includes(name)
+});
+
+const text = (node) => {
+  if (node === undefined || node === null) return '';
+  if (typeof node === 'object') return String(node['#text'] ?? '').trim();
+  return String(node).trim();
+};
+
+// Largest .mxl entry inflated; real scores are a few MB of XML, zip bombs far more
+const MAX_MXL_ENTRY_SIZE = 20 * 1024 * 1024;
+
+// Inflate only the entries of an .mxl that `wanted` picks
+function unzipEntries(zip, wanted) {
+  return unzipSync(zip, {
+    filter: file => {
+      if (!wanted(file.name)) return false;
+      if (file.originalSize > MAX_MXL_ENTRY_SIZE) throw new Error(`${file.name} in the .mxl archive is too large`);
+      return true;
+    }
+  });
+}
+
+// Compressed MusicXML is a zip; META-INF/container.xml names the score inside
+function unpackMxl(data) {
+  const zip = new Uint8Array(data);
+  const names = [];
+  const container = unzipEntries(zip, name => {
+    names.push(name);
+    return name === 'META-INF/container.xml';
+  })['META-INF/container.xml'];
+
+  let scorePath = null;
+  if (container) {
+    const rootfile = xmlParser.parse(strFromU8(container))?.container?.rootfiles?.rootfile;
+    scorePath = (Array.isArray(rootfile) ? rootfile[0] : rootfile)?.['@_full-path'];
+  }
+  if (!scorePath || !names.includes(scorePath)) {
+    scorePath = names.find(name => !name.startsWith('META-INF/') && /\.(xml|musicxml)$/i.test(name));
+  }
+  if (!scorePath) throw new Error('No MusicXML score found in the .mxl archive');
+  return strFromU8(unzipEntries(zip, name => name === scorePath)[scorePath]);
+}
+
+// Measures of the first part, whichever way the score is organised
+function firstPartMeasures(root, timewise) {
+  if (timewise) return (root.measure || []).map(m => (m.part || [])[0] || {});
+  return ((root.part || [])[0] || {}).measure || [];
+}
+
+function readMusicXml(xml) {
+  const doc = xmlParser.parse(xml);
+  const timewise = !doc['score-partwise'] && !!doc['score-timewise'];
+  const root = doc['score-partwise'] || doc['score-timewise'];
+  if (!root) throw new Error('Not a MusicXML score');
+
+  const creators = root.identification?.creator || [];
+  const creator = (type) => text(creators.find(c => c['@_type'] === type));
+  // Finale and Sibelius often put the visible title and credits only in <credit>
+  const credits = root.credit || [];
+  const credit = (type) => {
+    const found = credits.find(c => [].concat(c['credit-type'] || []).some(t => text(t) === type));
+    return found ? (found['credit-words'] || []).map(text).filter(Boolean).join(' ') : '';
+  };
+
+  const rights = (root.identification?.rights || []).map(text).filter(Boolean).join(' ') || credit('rights');
+
+  const scoreParts = root['part-list']?.['score-part'] || [];
+  const parts = scoreParts.map(part => {
+    const name = text(part['part-name']) || text(part['score-instrument']?.[0]?.['instrument-name']);
+    const instrumentName = text(part['score-instrument']?.[0]?.['instrument-name']);
+    return { name, instrument: matchInstrument(instrumentName) || matchInstrument(name) };
+  });
+
+  const measures = firstPartMeasures(root, timewise);
+  let keySignature = null;
+  let timeSignature = null;
+  let tempo = null;
+  for (const measure of measures) {
+    for (const attributes of measure.attributes || []) {
+      const key = (attributes.key || [])[0];
+      if (!keySignature && key && key.fifths !== undefined) {
+        keySignature = keyName(parseInt(text(key.fifths)), text(key.mode) === 'minor');
+      }
+      const time = (attributes.time || [])[0];
+      if (!timeSignature && time && time.beats !== undefined) {
+        timeSignature = time['@_symbol'] === 'common' ? '4/4' : `${text(time.beats)}/${text(time['beat-type'])}`;
+      }
+    }
+    if (!tempo) tempo = readXmlTempo(measure);
+    if (keySignature && timeSignature && tempo) break;
+  }
+
+  return {
+    title: text(root.work?.['work-title']) || text(root['movement-title']) || credit('title'),
+    subtitle: credit('subtitle') || (root.work?.['work-title'] ? text(root['movement-title']) : ''),
+    composer: creator('composer') || credit('composer'),
+    lyricist: creator('lyricist') || creator('poet') || credit('lyricist'),
+    arranger: creator('arranger') || credit('arranger'),
+    opus: text(root.work?.['work-number']),
+    keySignature,
+    timeSignature,
+    tempo,
+    copyrightYear: copyrightYear(rights),
+    parts,
+    measureCount: measures.filter(m => m['@_implicit'] !== 'yes').length
+  };
+}
+
+// First metronome mark, or the playback tempo of a <sound> element (quarter notes per minute)
+function readXmlTempo(measure) {
+  for (const direction of measure.direction || []) {
+    for (const type of direction['direction-type'] || []) {
+      const metronome = (type.metronome || [])[0];
+      if (metronome && metronome['per-minute'] !== undefined) {
+        const unit = NOTE_SYMBOLS[text(metronome['beat-unit'])] || '♩';
+        const dotted = metronome['beat-unit-dot'] !== undefined ? '.' : '';
+        return `${unit}${dotted}=${text(metronome['per-minute'])}`;
+      }
+    }
+  }
+  const sounds = [...(measure.sound || []), ...(measure.direction || []).flatMap(d => d.sound || [])];
+  const sound = sounds.find(s => s['@_tempo']);
+  return sound ? `♩=${Math.round(parseFloat(sound['@_tempo']))}` : null;
+}
+
+// --- MIDI ---
+
+function readMidi(data) {
+  const midi = parseMidi(data);
+  const ticksPerBeat = midi.header.ticksPerBeat || 480;
+
+  let title = '';
+  let copyright = '';
+  let keySignature = null;
+  let tempo = null;
+  const timeSignatures = [];
+  const parts = [];
+  let lastTick = 0;
+
+  midi.tracks.forEach((track, index) => {
+    let tick = 0;
+    let name = '';
+    let program = null;
+    let channel = null;
+    let hasNotes = false;
+
+    for (const event of track) {
+      tick += event.deltaTime;
+      switch (event.type) {
+        case 'trackName': if (!name) name = (event.text || '').trim(); break;
+        case 'copyrightNotice': if (!copyright) copyright = event.text || ''; break;
+        case 'timeSignature': timeSignatures.push({ tick, beats: event.numerator, beatType: event.denominator }); break;
+        case 'keySignature': if (!keySignature) keySignature = keyName(event.key, event.scale === 1); break;
+        case 'setTempo': if (!tempo) tempo = `♩=${Math.round(60000000 / event.microsecondsPerBeat)}`; break;
+        case 'programChange': if (program === null) program = event.programNumber; break;
+        case 'noteOn':
+          hasNotes = true;
+          if (channel === null) channel = event.channel;
+          break;
+      }
+    }
+    lastTick = Math.max(lastTick, tick);
+
+    // The first track's name is the title of the piece: a conductor track in
+    // multi-track files, the only track in single-track (format 0) files
+    if (index === 0 && name && (!hasNotes || midi.header.format === 0)) title = name;
+    if (!hasNotes) return;
+    const drums = channel === DRUM_CHANNEL;
+    const gmName = drums ? 'Drums' : program !== null ? GM_FAMILIES[Math.floor(program / 8)] : '';
+    parts.push({
+      name: name || gmName || `Track ${index + 1}`,
+      instrument: drums ? 'Percussion' : (matchInstrument(name) || gmInstrument(program))
+    });
+  });
+
+  return {
+    title,
+    composer: '',
+    lyricist: '',
+    arranger: '',
+    keySignature,
+    timeSignature: timeSignatures.length > 0 ? `${timeSignatures[0].beats}/${timeSignatures[0].beatType}` : null,
+    tempo,
+    copyrightYear: copyrightYear(copyright),
+    parts,
+    measureCount: countMidiMeasures(timeSignatures, lastTick, ticksPerBeat)
+  };
+}
+
+function gmInstrument(program) {
+  if (program === null) return null;
+  const match = GM_PROGRAMS.find(([from, to]) => program >= from && program <= to);
+  return match ? match[2] : null;
+}
+
+// Walk the time signature changes up to the end of the last track (4/4 when there are none)
+function countMidiMeasures(timeSignatures, lastTick, ticksPerBeat) {
+  if (lastTick === 0) return 0;
+  const changes = timeSignatures.slice().sort((a, b) => a.tick - b.tick);
+  if (changes.length === 0 || changes[0].tick > 0) changes.unshift({ tick: 0, beats: 4, beatType: 4 });
+
+  let measures = 0;
+  changes.forEach((change, i) => {
+    const end = i + 1 < changes.length ? changes[i + 1].tick : lastTick;
+    const ticksPerMeasure = change.beats * ticksPerBeat * 4 / change.beatType;
+    measures += Math.ceil((end - change.tick) / ticksPerMeasure - 1e-6);
+  });
+  return measures;
+}
+
+// ABC files may hold many tunes; the metadata is the first tune's
+function readAbcFile(abc) {
+  const tunes = parseAbc(abc);
+  if (tunes.length === 0) throw new Error('No ABC tunes found');
+  const { title, subtitle, composer, keySignature, timeSignature, tempo } = tunes[0];
+  return { title, subtitle, composer, keySignature, timeSignature, tempo, parts: [], measureCount: null, tunes: tunes.length };
+}
+
+/**
+ * Read metadata from a notation file. Fields match processSmartMetadata so the
+ * result can stand in for OCR output.
+ * @param {string} filePath - Local path to the file
+ * @param {string} mimetype - One of the notation types (see scoreTypeFor)
+ * @returns {Promise<object>} title, composer, lyricist, arranger, keySignature, timeSignature,
+ *   tempo, copyrightYear (and opus, subtitle for MusicXML); parts [{name, instrument}]
+ *   with instrument matched to the instruments table; instruments (the distinct matches);
+ *   measureCount; tunes (ABC only); source 'score'
+ */
+async function readScoreMetadata(filePath, mimetype) {
+  const data = fs.readFileSync(filePath);
+  let metadata;
+  try {
+    if (mimetype === MIDI_TYPE) metadata = readMidi(data);
+    else if (mimetype === ABC_TYPE) metadata = readAbcFile(data.toString('utf8'));
+    else if (mimetype === MXL_TYPE) metadata = readMusicXml(unpackMxl(data));
+    else metadata = readMusicXml(data.toString('utf8'));
+  } catch (e) {
+    console.error('Failed to read score file:', e.message || e);
+    return { title: '', composer: '', parts: [], instruments: [], measureCount: null, warning: 'The notation file could not be read.', source: 'score' };
+  }
+
+  const instruments = [...new Set(metadata.parts.map(p => p.instrument).filter(Boolean))];
+  // Plain text for search, like the text layer of a PDF
+  const rawText = [metadata.title, metadata.subtitle, metadata.composer, metadata.lyricist, ...metadata.parts.map(p => p.name)]
+    .filter(Boolean).join('\n');
+  return { ...metadata, instruments, rawText, confidence: null, sources: {}, source: 'score' };
+}
+
+module.exports = {
+  scoreTypeFor,
+  isScoreType,
+  readScoreMetadata
+};
@@ -0,0 +1,262 @@
+// Public links to a sheet or folder for people without an account. Whoever has
+// the token can open what the link points to (for a folder: the sheets in it
+// and in its subfolders, as far as the link's creator owns them) within the
+// link's limits: expiry, password, view-only or download, and a maximum number
+// of views. Every PDF served counts as a view.
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const db = require('./db');
+const { httpError } = require('./http-errors');
+const { isValidUUID } = require('./sheets');
+
+// 'view' serves the PDF inline only; 'download' also as an attachment
+const LINK_PERMISSIONS = ['view', 'download'];
+const TOKEN_BYTES = 24;
+const MIN_PASSWORD_LENGTH = 4;
+// Wrong passwords a link takes in a row before it stops taking guesses for a while
+const MAX_PASSWORD_FAILURES = 5;
+const PASSWORD_LOCKOUT_MS = 15 * 60 * 1000;
+
+// Link id -> {failures, lockedUntil}; kept in memory, so a restart forgives
+const passwordFailures = new Map();
+
+// Sheet fields shown through a link; storage URLs and the owner's notes stay private.
+// That includes thumbnail_url, which is the file's own public URL plus ".thumb.png":
+// the thumbnail goes through GET /api/public/links/:token/thumbnail instead.
+const PUBLIC_SHEET_FIELDS = [
+  'id', 'title', 'subtitle', 'composer', 'arranger', 'lyricist',
+  'key_signature', 'time_signature', 'tempo', 'difficulty', 'opus', 'publisher', 'copyright_year',
+  'tags', 'media_links', 'page_count', 'page_dimensions', 'file_name', 'file_type'
+];
+
+/**
+ * Check and normalise the options of a new link
+ * @param {{permission?: string, expiresAt?: string, password?: string, maxViews?: number}} options
+ * @returns {Promise<{permission: string, expiresAt: Date|null, passwordHash: string|null, maxViews: number|null}>}
+ */
+async function parseLinkOptions({ permission = 'view', expiresAt, password, maxViews }) {
+  if (!LINK_PERMISSIONS.includes(permission)) {
+    throw httpError(400, `permission must be one of: ${LINK_PERMISSIONS.join(', ')}`);
+  }
+
+  let expires = null;
+  if (expiresAt !== undefined && expiresAt !== null && expiresAt !== '') {
+    expires = new Date(expiresAt);
+    if (isNaN(expires)) throw httpError(400, 'expiresAt must be a date');
+    if (expires <= new Date()) throw httpError(400, 'expiresAt must be in the future');
+  }
+
+  let passwordHash = null;
+  if (password !== undefined && password !== null && password !== '') {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      throw httpError(400, `password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+    passwordHash = await bcrypt.hash(password, 10);
+  }
+
+  let views = null;
+  if (maxViews !== undefined && maxViews !== null && maxViews !== '') {
+    views = Number(maxViews);
+    if (!Number.isInteger(views) || views < 1) throw httpError(400, 'maxViews must be a whole number of at least 1');
+  }
+
+  return { permission, expiresAt: expires, passwordHash, maxViews: views };
+}
+
+function linkStatus(link) {
+  if (link.revoked_at) return 'revoked';
+  if (link.expires_at && new Date(link.expires_at) <= new Date()) return 'expired';
+  if (link.max_views !== null && link.view_count >= link.max_views) return 'used_up';
+  return 'active';
+}
+
+/**
+ * A link as its owner sees it: settings, access counts and status
+ * @param {object} link - share_links row
+ * @returns {object}
+ */
+function serializeLink(link) {
+  return {
+    id: link.id,
+    token: link.token,
+    ...(link.sheet_id ? { sheet_id: link.sheet_id } : { folder_id: link.folder_id }),
+    permission: link.permission,
+    has_password: Boolean(link.password_hash),
+    expires_at: link.expires_at,
+    max_views: link.max_views,
+    view_count: link.view_count,
+    last_viewed_at: link.last_viewed_at,
+    revoked_at: link.revoked_at,
+    status: linkStatus(link),
+    created_at: link.created_at
+  };
+}
+
+/**
+ * @param {{sheetId?: string, folderId?: string}} target
+ * @param {string} userId - Who creates it
+ * @param {object} options - See parseLinkOptions
+ * @returns {Promise<object>} The new link, serialized
+ */
+async function createShareLink({ sheetId = null, folderId = null }, userId, options) {
+  const { permission, expiresAt, passwordHash, maxViews } = await parseLinkOptions(options);
+  const result = await db.query(`
+    INSERT INTO share_links (token, sheet_id, folder_id, created_by_user_id, permission, password_hash, expires_at, max_views)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    RETURNING *
+  `, [crypto.randomBytes(TOKEN_BYTES).toString('base64url'), sheetId, folderId, userId, permission, passwordHash, expiresAt, maxViews]);
+  return serializeLink(result.rows[0]);
+}
+
+/**
+ * Links of a sheet or folder, revoked ones included, newest first
+ * @param {{sheetId?: string, folderId?: string}} target
+ * @returns {Promise<object[]>}
+ */
+async function listShareLinks({ sheetId = null, folderId = null }) {
+  const result = await db.query(`
+    SELECT * FROM share_links
+    WHERE ${sheetId ? 'sheet_id' : 'folder_id'} = $1
+    ORDER BY created_at DESC
+  `, [sheetId || folderId]);
+  return result.rows.map(serializeLink);
+}
+
+/**
+ * Stop a link from working; it stays listed with its counts
+ * @param {{sheetId?: string, folderId?: string}} target
+ * @param {string} linkId
+ * @returns {Promise<object|null>} The revoked link, or null when there is no such link
+ */
+async function revokeShareLink({ sheetId = null, folderId = null }, linkId) {
+  const result = await db.query(`
+    UPDATE share_links SET revoked_at = COALESCE(revoked_at, NOW())
+    WHERE id::text = $1 AND ${sheetId ? 'sheet_id' : 'folder_id'} = $2
+    RETURNING *
+  `, [linkId, sheetId || folderId]);
+  return result.rows[0] ? serializeLink(result.rows[0]) : null;
+}
+
+/**
+ * The link a token opens, if it still works and the password (when it has one) is right
+ * @param {string} token
+ * @param {string} [password]
+ * @returns {Promise<object>} share_links row; throws 404, 410, or 401 (`passwordRequired`) / 403,
+ *   or 429 while the link is locked after too many wrong passwords
+ */
+async function openShareLink(token, password) {
+  const result = await db.query('SELECT * FROM share_links WHERE token = $1', [String(token)]);
+  const link = result.rows[0];
+  if (!link) throw httpError(404, 'Link not found');
+
+  const status = linkStatus(link);
+  if (status === 'revoked') throw httpError(410, 'This link has been revoked');
+  if (status === 'expired') throw httpError(410, 'This link has expired');
+  if (status === 'used_up') throw httpError(410, 'This link has reached its view limit');
+
+  if (link.password_hash) {
+    if (!password) {
+      const err = httpError(401, 'This link needs a password');
+      err.passwordRequired = true;
+      throw err;
+    }
+    await checkLinkPassword(link, String(password));
+  }
+  return link;
+}
+
+// Compare a link's password, locking the link for a while after too many wrong ones
+async function checkLinkPassword(link, password) {
+  const attempts = passwordFailures.get(link.id) || { failures: 0, lockedUntil: 0 };
+  if (attempts.lockedUntil > Date.now()) {
+    throw httpError(429, 'Too many incorrect passwords; try again later');
+  }
+  if (await bcrypt.compare(password, link.password_hash)) {
+    passwordFailures.delete(link.id);
+    return;
+  }
+  attempts.failures++;
+  if (attempts.failures >= MAX_PASSWORD_FAILURES) {
+    attempts.failures = 0;
+    attempts.lockedUntil = Date.now() + PASSWORD_LOCKOUT_MS;
+  }
+  passwordFailures.set(link.id, attempts);
+  throw httpError(403, 'Incorrect password');
+}
+
+/**
+ * Count a view of a link, unless its views are used up
+ * @param {object} link - From openShareLink
+ */
+async function recordView(link) {
+  const result = await db.query(`
+    UPDATE share_links SET view_count = view_count + 1, last_viewed_at = NOW()
+    WHERE id = $1 AND (max_views IS NULL OR view_count < max_views)
+    RETURNING id
+  `, [link.id]);
+  if (result.rows.length === 0) throw httpError(410, 'This link has reached its view limit');
+}
+
+// SQL for the sheets a link reaches, given the link's row id as $1. Only what
+// the link's creator owns: sheets and subfolders others put in a shared folder stay out.
+const LINKED_SHEETS_SQL = `
+  WITH RECURSIVE link AS (
+    SELECT sheet_id, folder_id, created_by_user_id FROM share_links WHERE id = $1
+  ), linked_folders (id) AS (
+    SELECT f.id FROM folders f JOIN link ON f.id = link.folder_id AND f.user_id = link.created_by_user_id
+    UNION
+    SELECT f.id FROM folders f JOIN linked_folders lf ON f.parent_id = lf.id
+    WHERE f.user_id = (SELECT created_by_user_id FROM link)
+  )
+  SELECT s.* FROM sheets s
+  WHERE s.user_id = (SELECT created_by_user_id FROM link)
+    AND (s.id = (SELECT sheet_id FROM link)
+     OR EXISTS (SELECT 1 FROM sheet_folders sf JOIN linked_folders lf ON lf.id = sf.folder_id WHERE sf.sheet_id = s.id))
+`;
+
+/**
+ * Sheets a link reaches: its sheet, or every sheet of the creator's in its folder and the folders below
+ * @param {object} link
+ * @returns {Promise<object[]>} sheets rows, by title
+ */
+async function listLinkedSheets(link) {
+  const result = await db.query(`${LINKED_SHEETS_SQL} ORDER BY s.title, s.id`, [link.id]);
+  return result.rows;
+}
+
+/**
+ * One sheet a link reaches
+ * @param {object} link
+ * @param {string} [sheetId] - Needed for folder links
+ * @returns {Promise<object>} sheets row; throws 400 or 404
+ */
+async function findLinkedSheet(link, sheetId) {
+  const id = sheetId || link.sheet_id;
+  if (!id) throw httpError(400, 'sheet is required for a folder link');
+  const result = !isValidUUID(id) ? { rows: [] } : await db.query(`${LINKED_SHEETS_SQL} AND s.id = $2`, [link.id, id]);
+  if (result.rows.length === 0) throw httpError(404, 'Sheet not found');
+  return result.rows[0];
+}
+
+/**
+ * @param {object} sheet - sheets row
+ * @returns {object} The fields shown through a link, and whether it has a thumbnail
+ */
+function publicSheet(sheet) {
+  return {
+    ...Object.fromEntries(PUBLIC_SHEET_FIELDS.map(field => [field, sheet[field] ?? null])),
+    has_thumbnail: Boolean(sheet.thumbnail_url)
+  };
+}
+
+module.exports = {
+  LINK_PERMISSIONS,
+  createShareLink,
+  listShareLinks,
+  revokeShareLink,
+  openShareLink,
+  recordView,
+  listLinkedSheets,
+  findLinkedSheet,
+  publicSheet
+};
@@ -0,0 +1,146 @@
+const fs = require('fs');
+const path = require('path');
+const db = require('./db');
+const { uploadDir, removeTempFile } = require('./upload');
+const { recognize } = require('./ocr-pool');
+const { renderPdfPages, extractPdfPageTexts } = require('./pdf-render');
+const { resolveLanguage } = require('./ocr-languages');
+
+// Pages without a text layer are OCR'd, up to this many per sheet
+const CONTENT_OCR_PAGES = parseInt(process.env.CONTENT_OCR_PAGES) || 20;
+// Pages with less text than this are treated as scans
+const MIN_PAGE_TEXT = 20;
+// Lower resolution than metadata OCR: body text, not small print, is what gets searched
+const CONTENT_OCR_DPI = 200;
+
+// Sheets waiting to be indexed, processed one at a time in the background
+const queue = [];
+let draining = false;
+
+/**
+ * Queue a sheet's file for page text extraction
+ * @param {object} job
+ * @param {string} job.sheetId
+ * @param {string} job.userId - Owner, whose OCR language preference is used
+ * @param {string} job.mimetype
+ * @param {string} [job.localPath] - Temp copy of the file; removed when done
+ * @param {string} [job.fileUrl] - Downloaded when there is no local copy
+ */
+function queueContentIndexing(job) {
+  queue.push(job);
+  drainQueue();
+}
+
+async function drainQueue() {
+  if (draining) return;
+  draining = true;
+  while (queue.length > 0) {
+    const job = queue.shift();
+    try {
+      await indexSheetContent(job);
+    } catch (e) {
+      console.error(`Content indexing for sheet ${job.sheetId} failed:`, e);
+    } finally {
+      if (job.localPath) removeTempFile(job.localPath);
+    }
+  }
+  draining = false;
+}
+
+async function downloadToTemp(fileUrl, name) {
+  const response = await fetch(fileUrl);
+  if (!response.ok) throw new Error(`Failed to fetch stored file: ${response.status}`);
+  const localPath = path.join(uploadDir, `${Date.now()}-${path.basename(name || 'sheet')}`);
+  fs.writeFileSync(localPath, Buffer.from(await response.arrayBuffer()));
+  return localPath;
+}
+
+/**
+ * Read the text of every page: the PDF text layer where there is one,
+ * OCR for scanned pages and images
+ * @returns {Promise<Array<{pageNumber: number, text: string, source: string}>>}
+ */
+async function readPageTexts(filePath, mimetype, lang) {
+  // No auto-detection pass here; 'auto' uses the server default
+  const ocrOptions = { background: true, lang: lang === 'auto' ? undefined : lang };
+
+  if (mimetype && mimetype.startsWith('image/')) {
+    const ret = await recognize(filePath, ocrOptions);
+    return [{ pageNumber: 1, text: (ret.data.text || '').trim(), source: 'ocr' }];
+  }
+  if (mimetype !== 'application/pdf') return [];
+
+  const pdfData = fs.readFileSync(filePath);
+  const { pages } = await extractPdfPageTexts(pdfData);
+
+  let ocrPages = 0;
+  for (const page of pages) {
+    page.source = 'text';
+    if (page.text.length >= MIN_PAGE_TEXT || ocrPages >= CONTENT_OCR_PAGES) continue;
+
+    const [rendered] = await renderPdfPages(pdfData, { firstPage: page.pageNumber, dpi: CONTENT_OCR_DPI });
+    if (!rendered) continue;
+    const ret = await recognize(rendered.image, ocrOptions);
+    page.text = (ret.data.text || '').trim();
+    page.source = 'ocr';
+    ocrPages++;
+  }
+  return pages;
+}
+
+async function indexSheetContent(job) {
+  const { sheetId, userId, mimetype, fileUrl } = job;
+  if (!job.localPath) {
+    if (!fileUrl) return;
+    job.localPath = await downloadToTemp(fileUrl, sheetId);
+  }
+
+  const lang = await resolveLanguage(undefined, userId);
+  const pages = await readPageTexts(job.localPath, mimetype, lang);
+
+  // The file may have been replaced or the sheet deleted while this ran
+  const current = await db.query('SELECT file_url FROM sheets WHERE id = $1', [sheetId]);
+  if (current.rows.length === 0 || (fileUrl && current.rows[0].file_url !== fileUrl)) return;
+
+  await db.query('DELETE FROM sheet_pages WHERE sheet_id = $1', [sheetId]);
+  for (const page of pages) {
+    if (!page.text) continue;
+    await db.query(
+      'INSERT INTO sheet_pages (sheet_id, page_number, text, text_source) VALUES ($1, $2, $3, $4)',
+      [sheetId, page.pageNumber, page.text, page.source]
+    );
+  }
+
+  const contentText = pages.map(p => p.text).filter(Boolean).join('\n\n');
+  await db.query(
+    'UPDATE sheets SET content_text = $1, content_indexed_at = NOW() WHERE id = $2',
+    [contentText || null, sheetId]
+  );
+
+  console.log(`Indexed content of sheet ${sheetId}: ${pages.length} page(s), ${contentText.length} chars`);
+}
+
+/**
+ * Queue every sheet with a file whose content hasn't been indexed yet
+ * @returns {Promise<number>} Number of sheets queued
+ */
+async function queueUnindexedSheets() {
+  const result = await db.query(`
+    SELECT id, user_id, file_url, file_type
+    FROM sheets
+    WHERE file_url IS NOT NULL AND content_indexed_at IS NULL
+    ORDER BY created_at
+  `);
+  result.rows.forEach(sheet => queueContentIndexing({
+    sheetId: sheet.id,
+    userId: sheet.user_id,
+    mimetype: sheet.file_type,
+    fileUrl: sheet.file_url
+  }));
+  return result.rows.length;
+}
+
+module.exports = {
+  queueContentIndexing,
+  queueUnindexedSheets
+};
@@ -0,0 +1,147 @@
+// Live collaboration on a sheet: annotation changes as they are saved, and who
+// is looking at which page. Followed through GET /api/sheets/:id/events.
+// Channels live in this process, so everyone on a sheet must be served by the
+// same instance (as on a single Render service).
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+
+// sheetId -> { events, sessions: Map(sessionId -> {userId, name, page, since}) }
+const channels = new Map();
+
+function getChannel(sheetId) {
+  if (!channels.has(sheetId)) {
+    const events = new EventEmitter();
+    events.setMaxListeners(0);
+    channels.set(sheetId, { events, sessions: new Map() });
+  }
+  return channels.get(sheetId);
+}
+
+function serializeSession(sessionId, session) {
+  return { session_id: sessionId, user_id: session.userId, name: session.name, page: session.page, since: session.since };
+}
+
+/**
+ * Join a sheet's channel. The listener gets (event, data) for every change the
+ * user may see; private layers of others are never sent.
+ * @param {string} sheetId
+ * @param {{userId: string, name: string}} user
+ * @param {function(string, object): void} listener
+ * @returns {{sessionId: string, presence: object[], leave: function(): void}}
+ */
+function join(sheetId, { userId, name }, listener) {
+  const channel = getChannel(sheetId);
+  const sessionId = crypto.randomUUID();
+  const session = { userId, name, page: null, since: new Date().toISOString() };
+
+  const forward = ({ event, data, visibility, layerUserId }) => {
+    if (visibility === 'private' && layerUserId !== userId) return;
+    listener(event, data);
+  };
+  channel.events.on('event', forward);
+  channel.sessions.set(sessionId, session);
+  broadcast(sheetId, 'presence', { action: 'joined', ...serializeSession(sessionId, session) });
+
+  return {
+    sessionId,
+    presence: [...channel.sessions].map(([id, s]) => serializeSession(id, s)),
+    leave: () => {
+      channel.events.off('event', forward);
+      channel.sessions.delete(sessionId);
+      broadcast(sheetId, 'presence', { action: 'left', ...serializeSession(sessionId, session) });
+      if (channel.sessions.size === 0) channels.delete(sheetId);
+    }
+  };
+}
+
+function broadcast(sheetId, event, data, { visibility = 'shared', layerUserId = null } = {}) {
+  const channel = channels.get(sheetId);
+  if (channel) channel.events.emit('event', { event, data, visibility, layerUserId });
+}
+
+/**
+ * Record which page a session is on and tell the others
+ * @param {string} sheetId
+ * @param {string} sessionId - From join
+ * @param {string} userId - Must own the session
+ * @param {number|null} page
+ * @returns {boolean} false when there is no such session of the user
+ */
+function setPresence(sheetId, sessionId, userId, page) {
+  const session = channels.get(sheetId)?.sessions.get(sessionId);
+  if (!session || session.userId !== userId) return false;
+  session.page = page;
+  broadcast(sheetId, 'presence', { action: 'moved', ...serializeSession(sessionId, session) });
+  return true;
+}
+
+// id -> {page, annotation} for every annotation of a layer
+function indexAnnotations(annotations) {
+  const index = new Map();
+  for (const [page, pageAnns] of Object.entries(annotations || {})) {
+    for (const annotation of pageAnns || []) index.set(String(annotation.id), { page: parseInt(page), annotation });
+  }
+  return index;
+}
+
+function layerSummary(layer, withAnnotations = false) {
+  return {
+    id: layer.id,
+    user_id: layer.user_id,
+    name: layer.name,
+    visibility: layer.visibility,
+    revision: layer.revision,
+    ...(withAnnotations ? { annotations: layer.annotations } : {})
+  };
+}
+
+/**
+ * Tell a sheet's channel about a saved layer change: a `layer` event when the
+ * layer is created, deleted, renamed or changes visibility (new and newly
+ * shared layers come with their annotations), and otherwise an `annotation`
+ * event per annotation added, updated or deleted
+ * @param {object|null} before - The layer row before (null when created)
+ * @param {object|null} after - The layer row after (null when deleted)
+ * @param {string} userId - Who made the change
+ * @param {string} action - As logged in annotation_history
+ */
+function publishLayerChange(before, after, userId, action) {
+  const layer = after || before;
+  if (!channels.has(layer.sheet_id)) return;
+  const send = (event, data, visibility = layer.visibility) =>
+    broadcast(layer.sheet_id, event, { ...data, user_id: userId, cause: action }, { visibility, layerUserId: layer.user_id });
+
+  if (!before || !after) {
+    send('layer', { action: before ? 'deleted' : 'created', layer: layerSummary(layer, !before) });
+    return;
+  }
+  if (before.visibility !== after.visibility) {
+    // Sent to everyone: for the others the layer appears (with its annotations) or goes
+    const shared = after.visibility === 'shared';
+    send('layer', { action: 'updated', layer: layerSummary(after, shared) }, 'shared');
+    if (shared) return;
+  } else if (before.name !== after.name) {
+    send('layer', { action: 'updated', layer: layerSummary(after) });
+  }
+
+  const previous = indexAnnotations(before.annotations);
+  const current = indexAnnotations(after.annotations);
+  const base = { layer_id: after.id, revision: after.revision };
+  for (const [id, { page, annotation }] of current) {
+    const old = previous.get(id);
+    if (!old) {
+      send('annotation', { action: 'added', ...base, page, annotation });
+    } else if (old.annotation.rev !== annotation.rev || old.page !== page) {
+      send('annotation', { action: 'updated', ...base, page, annotation, ...(old.page !== page ? { from_page: old.page } : {}) });
+    }
+  }
+  for (const [id, { page }] of previous) {
+    if (!current.has(id)) send('annotation', { action: 'deleted', ...base, page, annotation_id: id });
+  }
+}
+
+module.exports = {
+  join,
+  setPresence,
+  publishLayerChange
+};
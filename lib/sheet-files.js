@@ -0,0 +1,183 @@
+const fs = require('fs');
+const path = require('path');
+const db = require('./db');
+const { uploadFile, deleteFile } = require('./storage');
+const { uploadDir, calculateFileHash, removeTempFile } = require('./upload');
+const { inspectFile } = require('./page-info');
+const { createThumbnail, queuePreviews, deletePreviewFiles } = require('./previews');
+const { queueContentIndexing } = require('./sheet-content');
+const { remapLayers } = require('./annotation-layers');
+const { isScoreType, readScoreMetadata } = require('./score-files');
+const { readPdfMetadata } = require('./pdf-metadata');
+const { importPdfAnnotations } = require('./pdf-annotations');
+
+/**
+ * Download a sheet's stored file
+ * @param {string} fileUrl
+ * @returns {Promise<Buffer>}
+ */
+async function fetchSheetFile(fileUrl) {
+  const response = await fetch(fileUrl);
+  if (!response.ok) throw new Error(`Failed to fetch stored file: ${response.status}`);
+  return Buffer.from(await response.arrayBuffer());
+}
+
+/**
+ * Content-Disposition naming a file: an ASCII stand-in for old clients, and
+ * the real name (Greek and all) as UTF-8, which header values can't hold raw
+ * @param {string} type - 'inline' or 'attachment'
+ * @param {string} fileName
+ * @returns {string}
+ */
+function contentDisposition(type, fileName) {
+  const ascii = fileName.replace(/[^\w .-]/g, '_');
+  const encoded = encodeURIComponent(fileName).replace(/['()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `${type}; filename="${ascii}"; filename*=UTF-8''${encoded}`;
+}
+
+/**
+ * Send a sheet's stored PDF through this server, sparing browsers CORS trouble
+ * @param {object} res - Express response
+ * @param {object} sheet - Row with file_url, file_name and title
+ * @param {{download?: boolean, data?: Buffer}} [options] - download sends it as an
+ *   attachment rather than inline; data is the file, when the caller has fetched it
+ */
+async function sendSheetPdf(res, sheet, { download = false, data } = {}) {
+  const file = data || await fetchSheetFile(sheet.file_url);
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', contentDisposition(download ? 'attachment' : 'inline', sheet.file_name || `${sheet.title || 'sheet'}.pdf`));
+  res.send(file);
+}
+
+/**
+ * Store a file made on the server (split, merge, ...) the way uploads are stored:
+ * hashed, measured, uploaded and given a thumbnail
+ * @param {Buffer|Uint8Array} data - File contents
+ * @param {string} fileName - Name shown for the file
+ * @param {string} mimetype
+ * @returns {Promise<{file: object, localPath: string}>} file is in the shape createSheet takes;
+ *   localPath is a temp copy, handed on to queueFileProcessing
+ */
+async function storeGeneratedFile(data, fileName, mimetype) {
+  const localPath = path.join(uploadDir, `${Date.now()}-${path.basename(fileName)}`);
+  fs.writeFileSync(localPath, data);
+
+  try {
+    const hash = await calculateFileHash(localPath);
+    const pageInfo = await inspectFile(localPath, mimetype);
+    const uploadResult = await uploadFile(localPath, fileName);
+    const thumbnail = await createThumbnail(localPath, mimetype, uploadResult.storageKey);
+
+    return {
+      localPath,
+      file: {
+        url: uploadResult.url,
+        storageKey: uploadResult.storageKey,
+        name: fileName,
+        size: uploadResult.size,
+        type: mimetype,
+        hash,
+        pageCount: pageInfo.pageCount,
+        pages: pageInfo.pages,
+        thumbnail
+      }
+    };
+  } catch (e) {
+    removeTempFile(localPath);
+    throw e;
+  }
+}
+
+/**
+ * Read an uploaded file before it is stored, for POST and PUT /api/sheets alike:
+ * its pages, the metadata a PDF or notation file declares and, unless turned off,
+ * annotations marked in a PDF (forScore, MobileSheets, Acrobat...). Imported
+ * annotations are taken out of the file, so they aren't shown twice.
+ * @param {object} file - Multer file; rewritten in place when annotations are imported
+ * @param {{importAnnotations?: boolean}} [options]
+ * @returns {Promise<{pageInfo: object, embedded: object|null, imported: object|null}>}
+ *   embedded as readPdfMetadata / readScoreMetadata give it, imported as importPdfAnnotations
+ */
+async function readUploadedFile(file, { importAnnotations = true } = {}) {
+  const pageInfo = await inspectFile(file.path, file.mimetype);
+  let embedded = null;
+  let imported = null;
+  if (isScoreType(file.mimetype)) {
+    embedded = await readScoreMetadata(file.path, file.mimetype);
+  } else if (file.mimetype === 'application/pdf') {
+    const pdfData = fs.readFileSync(file.path);
+    embedded = await readPdfMetadata(pdfData);
+    if (importAnnotations) {
+      imported = await importPdfAnnotations(pdfData);
+      if (imported.pdf) fs.writeFileSync(file.path, imported.pdf);
+    }
+  }
+  return { pageInfo, embedded, imported };
+}
+
+/**
+ * Queue page text indexing and previews for a sheet's newly stored file
+ * @param {string} sheetId
+ * @param {string} userId - Owner
+ * @param {object} file - From storeGeneratedFile
+ * @param {string} localPath - Temp copy of the file; removed once indexed
+ */
+function queueFileProcessing(sheetId, userId, file, localPath) {
+  queueContentIndexing({ sheetId, userId, mimetype: file.type, fileUrl: file.url, localPath });
+  queuePreviews({ sheetId, fileUrl: file.url, storageKey: file.storageKey, mimetype: file.type, thumbnail: !file.thumbnail });
+}
+
+/**
+ * Swap a sheet's file for an edited version of it. The old file, its images
+ * and its indexed page text are removed.
+ * @param {object} sheet - Current row
+ * @param {{file: object, localPath: string}} stored - From storeGeneratedFile
+ * @param {function} mapLayer - (annotations) => annotations, moving each annotation
+ *   layer's annotations to match the new pages
+ * @returns {Promise<object>} Updated row
+ */
+async function replaceSheetFile(sheet, stored, mapLayer) {
+  const { file, localPath } = stored;
+  const result = await db.query(`
+    UPDATE sheets SET
+      file_url = $1, file_size = $2, file_type = $3, storage_key = $4, file_hash = $5,
+      page_count = $6, page_dimensions = $7,
+      thumbnail_url = $8, thumbnail_key = $9, page_previews = '[]',
+      content_text = NULL, content_indexed_at = NULL
+    WHERE id = $10
+    RETURNING *
+  `, [
+    file.url,
+    file.size,
+    file.type,
+    file.storageKey,
+    file.hash,
+    file.pageCount,
+    JSON.stringify(file.pages),
+    file.thumbnail?.url || null,
+    file.thumbnail?.storageKey || null,
+    sheet.id
+  ]);
+  await db.query('DELETE FROM sheet_pages WHERE sheet_id = $1', [sheet.id]);
+  await remapLayers(sheet.id, sheet.user_id, mapLayer);
+
+  try {
+    if (sheet.storage_key) await deleteFile(sheet.storage_key);
+  } catch (e) {
+    console.error('Failed to delete replaced file:', e.message);
+  }
+  await deletePreviewFiles(sheet);
+
+  queueFileProcessing(sheet.id, sheet.user_id, file, localPath);
+  return result.rows[0];
+}
+
+module.exports = {
+  fetchSheetFile,
+  contentDisposition,
+  sendSheetPdf,
+  storeGeneratedFile,
+  readUploadedFile,
+  queueFileProcessing,
+  replaceSheetFile
+};
@@ -0,0 +1,192 @@
+const db = require('./db');
+
+// Handle legacy folder IDs (convert non-UUID to null)
+const isValidUUID = (str) => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(str);
+
+/**
+ * Parse tags from a comma separated string or an array
+ * @param {string|string[]} tags
+ * @returns {string[]}
+ */
+function parseTags(tags) {
+  if (!tags) return [];
+  const list = typeof tags === 'string' ? tags.split(',') : tags;
+  return list.map(t => String(t).trim()).filter(t => t);
+}
+
+/**
+ * Parse folderIds (JSON string or array) with legacy single folderId fallback
+ * @param {string|string[]} folderIds
+ * @param {string} [folderId]
+ * @returns {string[]} Well-formed folder UUIDs
+ */
+function parseFolderIds(folderIds, folderId) {
+  let parsed = [];
+  if (folderIds) {
+    try {
+      parsed = typeof folderIds === 'string' ? JSON.parse(folderIds) : folderIds;
+      parsed = parsed.filter(id => isValidUUID(id));
+    } catch (e) {
+      parsed = [];
+    }
+  }
+  // Legacy support: if folderId provided but no folderIds
+  if (parsed.length === 0 && folderId && isValidUUID(folderId)) {
+    parsed = [folderId];
+  }
+  return parsed;
+}
+
+/**
+ * Parse a JSON array field sent as string or already parsed
+ * @param {string|Array} value
+ * @returns {Array}
+ */
+function parseJsonArray(value) {
+  if (!value) return [];
+  try {
+    const parsed = typeof value === 'string' ? JSON.parse(value) : value;
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * Insert a sheet with its folder and instrument associations
+ * @param {string} userId - Owner of the new sheet
+ * @param {object} fields - Metadata using the API's camelCase request names; `folderIds` the user
+ *   may not add sheets to are skipped; `instruments`
+ *   lists further instrument names (e.g. the parts of a score) besides the primary `instrument`;
+ *   `abc` is the tune of an ABC notation sheet
+ * @param {object} [file] - Stored file {url, storageKey, name, size, type, hash, pageCount, pages,
+ *   thumbnail, parts, measureCount}
+ * @returns {Promise<object>} The created row with folder_ids, instrument and genre_name
+ */
+async function createSheet(userId, fields, file = null) {
+  const {
+    title, subtitle, composer, arranger, lyricist,
+    instrument, keySignature, timeSignature, tempo,
+    genre, difficulty, opus, publisher, copyrightYear,
+    tags, notes, folderIds = [], mediaLinks = [], instruments = [], abc
+  } = fields;
+
+  const fileUrl = file?.url || null;
+
+  // Look up genre_id if genre name provided
+  let genreId = null;
+  if (genre) {
+    const genreResult = await db.query(
+      'SELECT id FROM genres WHERE name = $1',
+      [genre]
+    );
+    if (genreResult.rows.length > 0) {
+      genreId = genreResult.rows[0].id;
+    }
+  }
+
+  const result = await db.query(`
+    INSERT INTO sheets (
+      title, subtitle, composer, arranger, lyricist,
+      key_signature, time_signature, tempo,
+      difficulty, genre_id, opus, publisher, copyright_year,
+      tags, notes, media_links,
+      file_url, file_name, file_size, file_type, storage_key, storage_provider,
+      status, user_id, file_hash, page_count, page_dimensions,
+      thumbnail_url, thumbnail_key, parts, measure_count, abc_notation
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24, $25, $26, $27, $28, $29, $30, $31, $32)
+    RETURNING *
+  `, [
+    title || 'Untitled',
+    subtitle || null,
+    composer || null,
+    arranger || null,
+    lyricist || null,
+    keySignature || null,
+    timeSignature || null,
+    tempo || null,
+    difficulty || null,
+    genreId,
+    opus || null,
+    publisher || null,
+    copyrightYear ? parseInt(copyrightYear) : null,
+    parseTags(tags),
+    notes || null,
+    JSON.stringify(mediaLinks),
+    fileUrl,
+    file?.name || null,
+    file?.size || null,
+    file?.type || null,
+    file?.storageKey || null,
+    fileUrl ? 'supabase' : null,
+    fileUrl ? 'uploaded' : 'registered',
+    userId,
+    file?.hash || null,
+    file?.pageCount || null,
+    JSON.stringify(file?.pages || []),
+    file?.thumbnail?.url || null,
+    file?.thumbnail?.storageKey || null,
+    JSON.stringify(file?.parts || []),
+    file?.measureCount || null,
+    abc || null
+  ]);
+
+  const sheet = result.rows[0];
+
+  // Insert folder associations (many-to-many), only into folders the user owns or
+  // has 'full' access to. Required here: access.js itself requires this module.
+  let validFolderIds = [];
+  if (folderIds.length > 0) {
+    const { filterManageableFolders } = require('./access');
+    validFolderIds = await filterManageableFolders(folderIds, userId);
+
+    if (validFolderIds.length > 0) {
+      const folderValues = validFolderIds.map((fid, i) => `($1, $${i + 2})`).join(', ');
+      await db.query(
+        `INSERT INTO sheet_folders (sheet_id, folder_id) VALUES ${folderValues}`,
+        [sheet.id, ...validFolderIds]
+      );
+    }
+  }
+
+  // Add folder_ids to response
+  sheet.folder_ids = validFolderIds;
+
+  // Handle instruments (many-to-many); without an explicit one the first listed is primary
+  const primaryInstrument = instrument || instruments[0] || null;
+  const instrumentNames = [...new Set([primaryInstrument, ...instruments].filter(Boolean))];
+  if (instrumentNames.length > 0) {
+    const instrumentResult = await db.query(
+      'SELECT id, name FROM instruments WHERE name = ANY($1::text[])',
+      [instrumentNames]
+    );
+    for (const row of instrumentResult.rows) {
+      await db.query(
+        'INSERT INTO sheet_instruments (sheet_id, instrument_id, is_primary) VALUES ($1, $2, $3)',
+        [sheet.id, row.id, row.name === primaryInstrument]
+      );
+    }
+  }
+
+  // Add instrument, genre_name, and ensure all fields are present for frontend consistency
+  sheet.instrument = primaryInstrument;
+  sheet.genre_name = genre || null;
+  // Ensure media_links is parsed if it's a string
+  if (typeof sheet.media_links === 'string') {
+    try {
+      sheet.media_links = JSON.parse(sheet.media_links);
+    } catch (e) {
+      sheet.media_links = [];
+    }
+  }
+
+  return sheet;
+}
+
+module.exports = {
+  isValidUUID,
+  parseTags,
+  parseFolderIds,
+  parseJsonArray,
+  createSheet
+};
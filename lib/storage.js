@@ -49,6 +49,37 @@ async function uploadFile(filePath, originalName) {
   };
 }
 
+/**
+ * Upload generated content (thumbnails, previews) under a given key, replacing any existing file
+ * @param {Buffer} buffer - File contents
+ * @param {string} storageKey - Path in storage
+ * @param {string} contentType
+ * @returns {Promise<{url: string, storageKey: string, size: number}>}
+ */
+async function uploadBuffer(buffer, storageKey, contentType) {
+  const { error } = await supabase.storage
+    .from(BUCKET_NAME)
+    .upload(storageKey, buffer, {
+      contentType,
+      upsert: true
+    });
+
+  if (error) {
+    console.error('Supabase upload error:', error);
+    throw error;
+  }
+
+  const { data: urlData } = supabase.storage
+    .from(BUCKET_NAME)
+    .getPublicUrl(storageKey);
+
+  return {
+    url: urlData.publicUrl,
+    storageKey,
+    size: buffer.length
+  };
+}
+
 /**
  * Delete a file from Supabase Storage
  * @param {string} storageKey - The file path in storage
@@ -68,6 +99,26 @@ async function deleteFile(storageKey) {
   }
 }
 
+/**
+ * Delete several files from Supabase Storage in one request
+ * @param {string[]} storageKeys - File paths in storage; empty values are skipped
+ */
+async function deleteFiles(storageKeys) {
+  const keys = storageKeys.filter(Boolean);
+  if (keys.length === 0) return;
+
+  console.log(`Deleting ${keys.length} file(s) from Supabase Storage`);
+
+  const { error } = await supabase.storage
+    .from(BUCKET_NAME)
+    .remove(keys);
+
+  if (error) {
+    console.error('Supabase delete error:', error);
+    throw error;
+  }
+}
+
 /**
  * Get content type from file extension
  */
@@ -77,13 +128,20 @@ function getContentType(ext) {
     '.png': 'image/png',
     '.jpg': 'image/jpeg',
     '.jpeg': 'image/jpeg',
-    '.gif': 'image/gif'
+    '.gif': 'image/gif',
+    '.musicxml': 'application/vnd.recordare.musicxml+xml',
+    '.xml': 'application/vnd.recordare.musicxml+xml',
+    '.mxl': 'application/vnd.recordare.musicxml',
+    '.mid': 'audio/midi',
+    '.midi': 'audio/midi'
   };
   return types[ext.toLowerCase()] || 'application/octet-stream';
 }
 
 module.exports = {
   uploadFile,
+  uploadBuffer,
   deleteFile,
+  deleteFiles,
   supabase
 };
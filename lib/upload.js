@@ -0,0 +1,61 @@
+const multer = require('multer');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { scoreTypeFor } = require('./score-files');
+
+// Ensure uploads directory exists (for temporary files during OCR)
+const uploadDir = path.join(__dirname, '..', 'uploads');
+if (!fs.existsSync(uploadDir)) {
+  fs.mkdirSync(uploadDir);
+}
+
+// --- MULTER CONFIGURATION ---
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    cb(null, uploadDir);
+  },
+  filename: (req, file, cb) => {
+    cb(null, Date.now() + '-' + file.originalname);
+  }
+});
+const upload = multer({
+  storage,
+  // Notation files arrive as octet-stream or vendor types depending on the browser
+  fileFilter: (req, file, cb) => {
+    file.mimetype = scoreTypeFor(file.originalname) || file.mimetype;
+    cb(null, true);
+  }
+});
+
+/**
+ * Calculate the SHA-256 hash of a local file
+ * @param {string} filePath - Local path to the file
+ * @returns {Promise<string>} Hex digest
+ */
+function calculateFileHash(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    const stream = fs.createReadStream(filePath);
+    stream.on('data', data => hash.update(data));
+    stream.on('end', () => resolve(hash.digest('hex')));
+    stream.on('error', reject);
+  });
+}
+
+/**
+ * Remove a temporary upload if it still exists
+ * @param {string} filePath - Local path to the file
+ */
+function removeTempFile(filePath) {
+  if (filePath && fs.existsSync(filePath)) {
+    fs.unlinkSync(filePath);
+  }
+}
+
+module.exports = {
+  upload,
+  uploadDir,
+  calculateFileHash,
+  removeTempFile
+};
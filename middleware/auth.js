@@ -50,4 +50,23 @@ const optionalAuth = (req, res, next) => {
     next();
 };
 
-module.exports = { authenticate, optionalAuth };
+// For event streams: EventSource can't set headers, so the token may also come
+// as ?token=. Only use this on GET streams, since URLs end up in logs.
+const tokenFromQuery = (req) => {
+    if (!req.headers.authorization && typeof req.query.token === 'string') {
+        req.headers.authorization = `Bearer ${req.query.token}`;
+    }
+};
+
+const authenticateStream = (req, res, next) => {
+    tokenFromQuery(req);
+    authenticate(req, res, next);
+};
+
+// optionalAuth for event streams, taking ?token= as authenticateStream does
+const optionalAuthStream = (req, res, next) => {
+    tokenFromQuery(req);
+    optionalAuth(req, res, next);
+};
+
+module.exports = { authenticate, optionalAuth, authenticateStream, optionalAuthStream };
@@ -0,0 +1,131 @@
+const express = require('express');
+const { authenticate } = require('../middleware/auth');
+const { isValidUUID } = require('../lib/sheets');
+const { requireSheetAccess, PERMISSION_RANK } = require('../lib/access');
+const { httpError, sendError } = require('../lib/http-errors');
+const {
+    listHistory, getHistoryEntry, restoreToEntry,
+    createSnapshot, listSnapshots, getSnapshot, restoreSnapshot, deleteSnapshot
+} = require('../lib/annotation-history');
+
+const router = express.Router();
+
+function parseEntryId(entryId) {
+    if (!/^\d+$/.test(entryId)) throw httpError(404, 'History entry not found');
+    return entryId;
+}
+
+function parseSnapshotId(snapshotId) {
+    if (!isValidUUID(snapshotId)) throw httpError(404, 'Snapshot not found');
+    return snapshotId;
+}
+
+// What a restore covers: { layerId?, page? } - the whole sheet by default
+function parseScope(body) {
+    const { layerId, page } = body || {};
+    if (layerId !== undefined && !isValidUUID(layerId)) throw httpError(400, 'Invalid layerId');
+    if (page !== undefined) {
+        const pageNumber = parseInt(page);
+        if (!(pageNumber >= 1) || String(pageNumber) !== String(page)) throw httpError(400, 'Invalid page number');
+    }
+    return { layerId, page: page !== undefined ? String(page) : undefined };
+}
+
+// Changes to the sheet's annotations, newest first.
+// Query: layerId, page, before (entry id, for the next page of results), limit
+router.get('/:id/history', authenticate, async (req, res) => {
+    const { layerId, page, before, limit } = req.query;
+
+    try {
+        await requireSheetAccess(req.params.id, req.user.id);
+        const entries = await listHistory(req.params.id, req.user.id, {
+            layerId: isValidUUID(layerId) ? layerId : undefined,
+            page: parseInt(page) || undefined,
+            before: /^\d+$/.test(before || '') ? before : undefined,
+            limit: parseInt(limit) || undefined
+        });
+        res.json({ entries });
+    } catch (e) {
+        sendError(res, 'List annotation history', e);
+    }
+});
+
+// One entry, with the layer's annotations right after the change
+router.get('/:id/history/:entryId', authenticate, async (req, res) => {
+    try {
+        await requireSheetAccess(req.params.id, req.user.id);
+        res.json(await getHistoryEntry(req.params.id, parseEntryId(req.params.entryId), req.user.id));
+    } catch (e) {
+        sendError(res, 'Get history entry', e);
+    }
+});
+
+// Put annotations back to how they were right after an entry.
+// Body: { layerId?, page? } - one layer and/or one page; all layers by default.
+// Layers the user may not edit are left alone and listed in `skipped`.
+router.post('/:id/history/:entryId/restore', authenticate, async (req, res) => {
+    try {
+        const { permission } = await requireSheetAccess(req.params.id, req.user.id);
+        const entryId = parseEntryId(req.params.entryId);
+        res.json(await restoreToEntry(req.params.id, entryId, req.user.id, permission, parseScope(req.body)));
+    } catch (e) {
+        sendError(res, 'Restore annotations', e);
+    }
+});
+
+router.get('/:id/snapshots', authenticate, async (req, res) => {
+    try {
+        await requireSheetAccess(req.params.id, req.user.id);
+        res.json({ snapshots: await listSnapshots(req.params.id) });
+    } catch (e) {
+        sendError(res, 'List snapshots', e);
+    }
+});
+
+// Save the annotation layers the user can see as a restore point. Body: { name }
+router.post('/:id/snapshots', authenticate, async (req, res) => {
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+
+    try {
+        const { permission } = await requireSheetAccess(req.params.id, req.user.id);
+        if (PERMISSION_RANK[permission] < PERMISSION_RANK.annotate_self) {
+            throw httpError(403, 'Your permission does not allow annotating this sheet');
+        }
+        if (!name) throw httpError(400, 'Snapshot name is required');
+        res.status(201).json(await createSnapshot(req.params.id, req.user.id, name));
+    } catch (e) {
+        sendError(res, 'Create snapshot', e);
+    }
+});
+
+router.get('/:id/snapshots/:snapshotId', authenticate, async (req, res) => {
+    try {
+        await requireSheetAccess(req.params.id, req.user.id);
+        res.json(await getSnapshot(req.params.id, parseSnapshotId(req.params.snapshotId), req.user.id));
+    } catch (e) {
+        sendError(res, 'Get snapshot', e);
+    }
+});
+
+// Body: { layerId?, page? }, as for restoring a history entry
+router.post('/:id/snapshots/:snapshotId/restore', authenticate, async (req, res) => {
+    try {
+        const { permission } = await requireSheetAccess(req.params.id, req.user.id);
+        const snapshotId = parseSnapshotId(req.params.snapshotId);
+        res.json(await restoreSnapshot(req.params.id, snapshotId, req.user.id, permission, parseScope(req.body)));
+    } catch (e) {
+        sendError(res, 'Restore snapshot', e);
+    }
+});
+
+router.delete('/:id/snapshots/:snapshotId', authenticate, async (req, res) => {
+    try {
+        const { permission } = await requireSheetAccess(req.params.id, req.user.id);
+        await deleteSnapshot(req.params.id, parseSnapshotId(req.params.snapshotId), req.user.id, permission);
+        res.json({ message: 'Snapshot deleted' });
+    } catch (e) {
+        sendError(res, 'Delete snapshot', e);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,341 @@
+const express = require('express');
+const db = require('../lib/db');
+const { authenticate } = require('../middleware/auth');
+const { isValidUUID } = require('../lib/sheets');
+const { requireSheetAccess } = require('../lib/access');
+const { httpError, sendError } = require('../lib/http-errors');
+const {
+    VISIBILITIES, canHaveLayer, canEditLayer, parseAnnotations, checkAnnotation,
+    listLayers, createLayer, deleteLayer, findAnnotation, pageEtag, modifyLayer
+} = require('../lib/annotation-layers');
+const { undoLayerChange } = require('../lib/annotation-history');
+
+const router = express.Router();
+
+// A layer of the sheet the user can see
+async function findLayer(sheetId, layerId, userId) {
+    const result = !isValidUUID(layerId) ? { rows: [] } : await db.query(`
+        SELECT * FROM annotation_layers
+        WHERE id = $1 AND sheet_id = $2 AND (visibility = 'shared' OR user_id = $3)
+    `, [layerId, sheetId, userId]);
+    if (result.rows.length === 0) throw httpError(404, 'Layer not found');
+    return result.rows[0];
+}
+
+// A layer of the sheet the user may change
+async function findEditableLayer(req) {
+    const { permission } = await requireSheetAccess(req.params.id, req.user.id);
+    const layer = await findLayer(req.params.id, req.params.layerId, req.user.id);
+    if (!canEditLayer(permission, layer, req.user.id)) throw httpError(403, 'You cannot edit this layer');
+    return { permission, layer };
+}
+
+function parsePage(page) {
+    const pageNumber = parseInt(page);
+    if (!(pageNumber >= 1) || String(pageNumber) !== String(page)) throw httpError(400, 'Invalid page number');
+    return String(pageNumber);
+}
+
+function parseAnnotation(annotation) {
+    if (!annotation || typeof annotation !== 'object' || Array.isArray(annotation)) {
+        throw httpError(400, 'An annotation must be an object');
+    }
+    return annotation;
+}
+
+// Entity tags: a layer's revision and an annotation's rev; pages use pageEtag
+const layerEtag = (layer) => `"${layer.revision}"`;
+const annotationEtag = (annotation) => `"${annotation.rev}"`;
+
+// Compare If-Match with the current entity tag. Without the header, writes that
+// would replace something unseen get 428; a stale tag gets 409 with the current
+// state, so the client can merge and retry.
+function checkIfMatch(req, etag, current, required) {
+    const header = req.get('If-Match');
+    if (!header) {
+        if (required) throw httpError(428, 'If-Match header required');
+        return;
+    }
+    if (header.trim() === '*') return;
+    const tags = header.split(',').map(tag => tag.trim().replace(/^W\//, ''));
+    if (!tags.includes(etag)) {
+        const err = httpError(409, 'Conflict: changed since it was last read');
+        err.current = current;
+        err.etag = etag;
+        throw err;
+    }
+}
+
+function parseVisibility(visibility) {
+    if (!VISIBILITIES.includes(visibility)) throw httpError(400, `visibility must be one of: ${VISIBILITIES.join(', ')}`);
+    return visibility;
+}
+
+function serializeLayer(layer, permission, userId) {
+    return {
+        ...layer,
+        is_mine: layer.user_id === userId,
+        can_edit: canEditLayer(permission, layer, userId)
+    };
+}
+
+// Layers the user can see: their own, and everyone's shared layers
+router.get('/:id/layers', authenticate, async (req, res) => {
+    try {
+        const { permission } = await requireSheetAccess(req.params.id, req.user.id);
+        const layers = await listLayers(req.params.id, req.user.id);
+        res.json({
+            permission,
+            can_create: VISIBILITIES.filter(v => canHaveLayer(permission, v)),
+            layers: layers.map(layer => serializeLayer(layer, permission, req.user.id))
+        });
+    } catch (e) {
+        sendError(res, 'List layers', e);
+    }
+});
+
+// Body: { name?, visibility?: 'private' | 'shared', annotations? }
+// Visibility defaults to shared when the permission allows it, private otherwise
+router.post('/:id/layers', authenticate, async (req, res) => {
+    const { name, annotations } = req.body;
+
+    try {
+        const { permission } = await requireSheetAccess(req.params.id, req.user.id);
+        const visibility = req.body.visibility !== undefined
+            ? parseVisibility(req.body.visibility)
+            : (canHaveLayer(permission, 'shared') ? 'shared' : 'private');
+        if (!canHaveLayer(permission, visibility)) {
+            throw httpError(403, `Your permission does not allow ${visibility} annotations`);
+        }
+
+        const layer = await createLayer(req.params.id, req.user.id, {
+            name: typeof name === 'string' ? name.trim() : undefined,
+            visibility,
+            annotations: annotations !== undefined ? parseAnnotations(annotations) : {}
+        });
+        res.status(201).set('ETag', layerEtag(layer)).json(serializeLayer(layer, permission, req.user.id));
+    } catch (e) {
+        sendError(res, 'Create layer', e);
+    }
+});
+
+router.get('/:id/layers/:layerId', authenticate, async (req, res) => {
+    try {
+        const { permission } = await requireSheetAccess(req.params.id, req.user.id);
+        const layer = await findLayer(req.params.id, req.params.layerId, req.user.id);
+        res.set('ETag', layerEtag(layer)).json(serializeLayer(layer, permission, req.user.id));
+    } catch (e) {
+        sendError(res, 'Get layer', e);
+    }
+});
+
+// Body: { name?, visibility?, annotations? } - annotations replace the layer's.
+// With If-Match (the layer's ETag) the change only applies to that revision.
+router.patch('/:id/layers/:layerId', authenticate, async (req, res) => {
+    const { name, visibility, annotations } = req.body;
+
+    try {
+        const { permission, layer } = await findEditableLayer(req);
+
+        // Only the author moves a layer between private and shared
+        if (visibility !== undefined && visibility !== layer.visibility) {
+            if (layer.user_id !== req.user.id) throw httpError(403, "Only the layer's author can change its visibility");
+            if (!canHaveLayer(permission, parseVisibility(visibility))) {
+                throw httpError(403, `Your permission does not allow ${visibility} annotations`);
+            }
+        }
+
+        const replacement = annotations !== undefined ? parseAnnotations(annotations) : undefined;
+        const { layer: updated } = await modifyLayer(layer.id, req.user.id, current => {
+            checkIfMatch(req, layerEtag(current), serializeLayer(current, permission, req.user.id), false);
+            return {
+                annotations: replacement !== undefined ? replacement : current.annotations,
+                name: typeof name === 'string' ? name.trim() : undefined,
+                visibility
+            };
+        });
+        res.set('ETag', layerEtag(updated)).json(serializeLayer(updated, permission, req.user.id));
+    } catch (e) {
+        sendError(res, 'Update layer', e);
+    }
+});
+
+// One page of a layer: { page, annotations }, with the page's ETag
+router.get('/:id/layers/:layerId/pages/:page', authenticate, async (req, res) => {
+    try {
+        const page = parsePage(req.params.page);
+        await requireSheetAccess(req.params.id, req.user.id);
+        const layer = await findLayer(req.params.id, req.params.layerId, req.user.id);
+        const annotations = layer.annotations[page] || [];
+        res.set('ETag', pageEtag(annotations)).json({ page: parseInt(page), annotations });
+    } catch (e) {
+        sendError(res, 'Get layer page', e);
+    }
+});
+
+// Replace a page's annotations. Body: { annotations: [...] }; If-Match: the page's ETag
+router.put('/:id/layers/:layerId/pages/:page', authenticate, async (req, res) => {
+    try {
+        const page = parsePage(req.params.page);
+        const replacement = parseAnnotations({ [page]: req.body.annotations })[page];
+        const { layer } = await findEditableLayer(req);
+
+        const { layer: updated } = await modifyLayer(layer.id, req.user.id, current => {
+            const pageAnns = current.annotations[page] || [];
+            checkIfMatch(req, pageEtag(pageAnns), { page: parseInt(page), annotations: pageAnns }, true);
+            return { annotations: { ...current.annotations, [page]: replacement } };
+        });
+        const annotations = updated.annotations[page] || [];
+        res.set('ETag', pageEtag(annotations)).json({ page: parseInt(page), annotations, revision: updated.revision });
+    } catch (e) {
+        sendError(res, 'Replace layer page', e);
+    }
+});
+
+// Clear a page. If-Match: the page's ETag
+router.delete('/:id/layers/:layerId/pages/:page', authenticate, async (req, res) => {
+    try {
+        const page = parsePage(req.params.page);
+        const { layer } = await findEditableLayer(req);
+
+        const { layer: updated } = await modifyLayer(layer.id, req.user.id, current => {
+            const pageAnns = current.annotations[page] || [];
+            checkIfMatch(req, pageEtag(pageAnns), { page: parseInt(page), annotations: pageAnns }, true);
+            const { [page]: removed, ...rest } = current.annotations;
+            return { annotations: rest };
+        });
+        res.json({ message: 'Page cleared', revision: updated.revision });
+    } catch (e) {
+        sendError(res, 'Clear layer page', e);
+    }
+});
+
+// Add an annotation to a page. Body: the annotation; a client-chosen `id` is kept
+// (for annotations made offline) unless the layer already has it
+router.post('/:id/layers/:layerId/pages/:page/annotations', authenticate, async (req, res) => {
+    try {
+        const page = parsePage(req.params.page);
+        const { rev, ...annotation } = checkAnnotation(req.body);
+        const { layer } = await findEditableLayer(req);
+
+        const { layer: updated } = await modifyLayer(layer.id, req.user.id, current => {
+            if (annotation.id !== undefined && findAnnotation(current.annotations, annotation.id)) {
+                throw httpError(409, `Annotation ${annotation.id} already exists`);
+            }
+            return { annotations: { ...current.annotations, [page]: [...(current.annotations[page] || []), annotation] } };
+        });
+        const pageAnns = updated.annotations[page];
+        const created = pageAnns[pageAnns.length - 1];
+        res.status(201).set('ETag', annotationEtag(created)).json({ ...created, page: parseInt(page), revision: updated.revision });
+    } catch (e) {
+        sendError(res, 'Create annotation', e);
+    }
+});
+
+// Change an annotation. Body: fields to change, and `page` to move it to another
+// page; If-Match: the annotation's ETag (its rev)
+router.patch('/:id/layers/:layerId/annotations/:annotationId', authenticate, async (req, res) => {
+    try {
+        const { id: ignoredId, rev, page: targetPage, ...changes } = parseAnnotation(req.body);
+        const movedTo = targetPage !== undefined ? parsePage(targetPage) : null;
+        const { layer } = await findEditableLayer(req);
+
+        const { layer: updated } = await modifyLayer(layer.id, req.user.id, current => {
+            const found = findAnnotation(current.annotations, req.params.annotationId);
+            if (!found) throw httpError(404, 'Annotation not found');
+            checkIfMatch(req, annotationEtag(found.annotation), { ...found.annotation, page: parseInt(found.page) }, true);
+
+            const annotations = { ...current.annotations };
+            const changed = checkAnnotation({ ...found.annotation, ...changes });
+            annotations[found.page] = annotations[found.page].filter((_, i) => i !== found.index);
+            if (movedTo && movedTo !== found.page) {
+                annotations[movedTo] = [...(annotations[movedTo] || []), changed];
+            } else {
+                annotations[found.page] = [...annotations[found.page]];
+                annotations[found.page].splice(found.index, 0, changed);
+            }
+            if (annotations[found.page].length === 0) delete annotations[found.page];
+            return { annotations };
+        });
+        const { page, annotation } = findAnnotation(updated.annotations, req.params.annotationId);
+        res.set('ETag', annotationEtag(annotation)).json({ ...annotation, page: parseInt(page), revision: updated.revision });
+    } catch (e) {
+        sendError(res, 'Update annotation', e);
+    }
+});
+
+// If-Match: the annotation's ETag (its rev)
+router.delete('/:id/layers/:layerId/annotations/:annotationId', authenticate, async (req, res) => {
+    try {
+        const { layer } = await findEditableLayer(req);
+
+        const { layer: updated } = await modifyLayer(layer.id, req.user.id, current => {
+            const found = findAnnotation(current.annotations, req.params.annotationId);
+            if (!found) throw httpError(404, 'Annotation not found');
+            checkIfMatch(req, annotationEtag(found.annotation), { ...found.annotation, page: parseInt(found.page) }, true);
+
+            const annotations = { ...current.annotations };
+            annotations[found.page] = annotations[found.page].filter((_, i) => i !== found.index);
+            if (annotations[found.page].length === 0) delete annotations[found.page];
+            return { annotations };
+        });
+        res.json({ message: 'Annotation deleted', revision: updated.revision });
+    } catch (e) {
+        sendError(res, 'Delete annotation', e);
+    }
+});
+
+router.delete('/:id/layers/:layerId', authenticate, async (req, res) => {
+    try {
+        const { permission } = await requireSheetAccess(req.params.id, req.user.id);
+        const layer = await findLayer(req.params.id, req.params.layerId, req.user.id);
+        // Authors may always remove their own layers, even after losing the permission to edit them
+        if (layer.user_id !== req.user.id && !canEditLayer(permission, layer, req.user.id)) {
+            throw httpError(403, 'You cannot delete this layer');
+        }
+
+        await deleteLayer(layer, req.user.id);
+        res.json({ message: 'Layer deleted' });
+    } catch (e) {
+        sendError(res, 'Delete layer', e);
+    }
+});
+
+// Undo the latest change to the layer not undone yet; calling again steps further back
+router.post('/:id/layers/:layerId/undo', authenticate, async (req, res) => {
+    try {
+        const { permission, layer } = await findEditableLayer(req);
+        const { layer: updated, undone } = await undoLayerChange(layer, req.user.id);
+        res.set('ETag', layerEtag(updated)).json({
+            layer: serializeLayer(updated, permission, req.user.id),
+            undone: { id: undone.id, action: undone.action, user_id: undone.user_id, created_at: undone.created_at }
+        });
+    } catch (e) {
+        sendError(res, 'Undo layer change', e);
+    }
+});
+
+// Show or hide a layer for the current user only. Body: { visible: boolean }
+router.put('/:id/layers/:layerId/visible', authenticate, async (req, res) => {
+    const { visible } = req.body;
+
+    try {
+        if (typeof visible !== 'boolean') throw httpError(400, 'visible must be true or false');
+        await requireSheetAccess(req.params.id, req.user.id);
+        const layer = await findLayer(req.params.id, req.params.layerId, req.user.id);
+
+        if (visible) {
+            await db.query('DELETE FROM hidden_annotation_layers WHERE layer_id = $1 AND user_id = $2', [layer.id, req.user.id]);
+        } else {
+            await db.query(`
+                INSERT INTO hidden_annotation_layers (layer_id, user_id) VALUES ($1, $2)
+                ON CONFLICT DO NOTHING
+            `, [layer.id, req.user.id]);
+        }
+        res.json({ id: layer.id, hidden: !visible });
+    } catch (e) {
+        sendError(res, 'Toggle layer', e);
+    }
+});
+
+module.exports = router;
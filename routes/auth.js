@@ -1,24 +1,21 @@
 const express = require('express');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
-const { Resend } = require('resend');
 const db = require('../lib/db');
 const { authenticate } = require('../middleware/auth');
 const { deleteFile } = require('../lib/storage');
+const { parseLanguage } = require('../lib/ocr-languages');
+const { emailEnabled, sendEmail, FRONTEND_URL } = require('../lib/email');
+const { acceptInvitations } = require('../lib/invitations');
 
 const router = express.Router();
 
 const JWT_SECRET = process.env.JWT_SECRET || 'fallback-secret-change-me';
 const JWT_EXPIRES_IN = '4h'; // Auto-logout after 4 hours of inactivity
 
-// Initialize Resend for email sending
-const resend = process.env.RESEND_API_KEY ? new Resend(process.env.RESEND_API_KEY) : null;
-const FROM_EMAIL = process.env.FROM_EMAIL || 'OpusOne <onboarding@resend.dev>';
-const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
-
 // Register new user
 router.post('/register', async (req, res) => {
-    const { email, password, displayName } = req.body;
+    const { email, password, displayName, invitationToken } = req.body;
 
     if (!email || !password) {
         return res.status(400).json({ error: 'Email and password are required' });
@@ -49,6 +46,17 @@ router.post('/register', async (req, res) => {
 
         const user = result.rows[0];
 
+        // Sheets and folders shared with this email before it had an account,
+        // for whoever signs up from the invitation link
+        let invitations = { sheets: 0, folders: 0 };
+        if (invitationToken) {
+            try {
+                invitations = await acceptInvitations(user.id, user.email, invitationToken);
+            } catch (inviteErr) {
+                if (!inviteErr.status) console.error('Accepting invitations failed:', inviteErr);
+            }
+        }
+
         // Generate JWT
         const token = jwt.sign(
             { userId: user.id, email: user.email },
@@ -63,6 +71,7 @@ router.post('/register', async (req, res) => {
                 email: user.email,
                 displayName: user.display_name
             },
+            sharedWithYou: invitations,
             token
         });
     } catch (err) {
@@ -143,13 +152,12 @@ router.post('/forgot-password', async (req, res) => {
             { expiresIn: '1h' }
         );
 
-        const resetUrl = `${FRONTEND_URL.replace(/\/$/, '')}/?token=${resetToken}`;
+        const resetUrl = `${FRONTEND_URL}/?token=${resetToken}`;
 
         // Send email via Resend
-        if (resend) {
+        if (emailEnabled) {
             try {
-                await resend.emails.send({
-                    from: FROM_EMAIL,
+                await sendEmail({
                     to: email.toLowerCase(),
                     subject: 'Reset Your OpusOne Password',
                     html: `
@@ -255,7 +263,7 @@ router.get('/me', async (req, res) => {
         const decoded = jwt.verify(token, JWT_SECRET);
 
         const result = await db.query(
-            'SELECT id, email, display_name, created_at FROM users WHERE id = $1',
+            'SELECT id, email, display_name, preferences, created_at FROM users WHERE id = $1',
             [decoded.userId]
         );
 
@@ -269,6 +277,7 @@ router.get('/me', async (req, res) => {
                 id: user.id,
                 email: user.email,
                 displayName: user.display_name,
+                preferences: user.preferences || {},
                 createdAt: user.created_at
             }
         });
@@ -281,6 +290,71 @@ router.get('/me', async (req, res) => {
     }
 });
 
+// Accept invitations to the signed-in user's email, with the token from an
+// invitation link (for invitees who registered without it)
+router.post('/invitations/accept', authenticate, async (req, res) => {
+    const { token } = req.body;
+
+    if (!token) {
+        return res.status(400).json({ error: 'Token is required' });
+    }
+
+    try {
+        const result = await db.query('SELECT email FROM users WHERE id = $1', [req.user.id]);
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const sharedWithYou = await acceptInvitations(req.user.id, result.rows[0].email, token);
+        res.json({ sharedWithYou });
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ error: err.message });
+        }
+        console.error('Accept invitations error:', err);
+        res.status(500).json({ error: 'Failed to accept invitations' });
+    }
+});
+
+// Update preferences (only the keys sent are changed; null clears one)
+router.patch('/preferences', authenticate, async (req, res) => {
+    const { ocrLanguage } = req.body;
+    const changes = {};
+    const cleared = [];
+
+    if (ocrLanguage !== undefined) {
+        if (ocrLanguage === null || ocrLanguage === '') {
+            cleared.push('ocrLanguage');
+        } else {
+            const lang = parseLanguage(ocrLanguage);
+            if (!lang) {
+                return res.status(400).json({ error: `Unsupported OCR language: ${ocrLanguage}` });
+            }
+            changes.ocrLanguage = lang;
+        }
+    }
+
+    try {
+        const result = await db.query(`
+            UPDATE users
+            SET preferences = (COALESCE(preferences, '{}'::jsonb) || $1::jsonb) - $2::text[],
+                updated_at = NOW()
+            WHERE id = $3
+            RETURNING preferences
+        `, [JSON.stringify(changes), cleared, req.user.id]);
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        res.json({ preferences: result.rows[0].preferences });
+    } catch (err) {
+        console.error('Update preferences error:', err);
+        res.status(500).json({ error: 'Failed to update preferences' });
+    }
+});
+
 // Change Password
 router.post('/change-password', authenticate, async (req, res) => {
     const { currentPassword, newPassword } = req.body;
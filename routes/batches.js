@@ -0,0 +1,382 @@
+const express = require('express');
+const db = require('../lib/db');
+const { authenticate } = require('../middleware/auth');
+const { upload, removeTempFile } = require('../lib/upload');
+const { isValidUUID, parseFolderIds, parseJsonArray, createSheet } = require('../lib/sheets');
+const { enqueueItem, discardItem } = require('../lib/batches');
+const { resolveLanguage } = require('../lib/ocr-languages');
+const { queueContentIndexing } = require('../lib/sheet-content');
+const { queuePreviews } = require('../lib/previews');
+const { httpError } = require('../lib/http-errors');
+
+const router = express.Router();
+
+// Upper limit on files per batch (a full choir library scan session)
+const MAX_BATCH_FILES = 500;
+
+// Fetch a batch only if it belongs to the current user
+async function getOwnedBatch(batchId, userId) {
+    if (!isValidUUID(batchId)) return null;
+    const result = await db.query('SELECT * FROM batch_uploads WHERE id = $1 AND user_id = $2', [batchId, userId]);
+    return result.rows[0] || null;
+}
+
+async function getBatchItem(batchId, itemId) {
+    if (!isValidUUID(itemId)) return null;
+    const result = await db.query('SELECT * FROM batch_upload_items WHERE id = $1 AND batch_id = $2', [itemId, batchId]);
+    return result.rows[0] || null;
+}
+
+// Turn a reviewed item into a sheet. Request fields override the OCR guesses.
+// The item is claimed first, so two confirms at once (a double click, or one
+// item's confirm during confirm-all) can't make two sheets of the same file.
+async function confirmItem(batch, item, userId, fields = {}) {
+    const claimed = await db.query(
+        `UPDATE batch_upload_items SET status = 'completed' WHERE id = $1 AND status = 'review' RETURNING *`,
+        [item.id]
+    );
+    if (claimed.rows.length === 0) {
+        throw httpError(409, 'Item is no longer awaiting review');
+    }
+
+    try {
+        return await createItemSheet(batch, claimed.rows[0], userId, fields);
+    } catch (e) {
+        // Back to review, to be confirmed again or discarded
+        await db.query(
+            `UPDATE batch_upload_items SET status = 'review' WHERE id = $1 AND status = 'completed' AND sheet_id IS NULL`,
+            [item.id]
+        );
+        throw e;
+    }
+}
+
+async function createItemSheet(batch, item, userId, fields) {
+    const dupCheck = await db.query(
+        'SELECT id, title, composer FROM sheets WHERE file_hash = $1 AND user_id = $2',
+        [item.file_hash, userId]
+    );
+    if (dupCheck.rows.length > 0) {
+        const err = httpError(409, 'Duplicate file content detected');
+        err.duplicate = dupCheck.rows[0];
+        throw err;
+    }
+
+    const folderIds = parseFolderIds(fields.folderIds, fields.folderId);
+    if (folderIds.length === 0 && batch.target_folder_id) {
+        folderIds.push(batch.target_folder_id);
+    }
+
+    const extracted = item.extracted_metadata || {};
+    const pick = (key, fallback) => fields[key] !== undefined ? fields[key] : fallback;
+
+    const sheet = await createSheet(userId, {
+        title: pick('title', item.extracted_title),
+        subtitle: pick('subtitle', extracted.subtitle),
+        composer: pick('composer', item.extracted_composer),
+        arranger: pick('arranger', item.extracted_arranger),
+        lyricist: pick('lyricist', item.extracted_lyricist),
+        instrument: fields.instrument,
+        keySignature: pick('keySignature', extracted.keySignature),
+        timeSignature: pick('timeSignature', extracted.timeSignature),
+        tempo: pick('tempo', extracted.tempo),
+        genre: fields.genre,
+        difficulty: fields.difficulty,
+        opus: pick('opus', extracted.opus),
+        publisher: pick('publisher', extracted.publisher),
+        copyrightYear: pick('copyrightYear', extracted.copyrightYear),
+        tags: pick('tags', extracted.tags),
+        notes: fields.notes,
+        folderIds,
+        mediaLinks: parseJsonArray(fields.mediaLinks),
+        instruments: extracted.instruments || []
+    }, {
+        url: item.file_url,
+        storageKey: item.storage_key,
+        name: item.original_filename,
+        size: item.file_size,
+        type: item.file_type,
+        hash: item.file_hash,
+        pageCount: item.page_count,
+        pages: item.page_dimensions,
+        parts: extracted.parts,
+        measureCount: extracted.measureCount
+    });
+
+    await db.query('UPDATE batch_upload_items SET sheet_id = $1 WHERE id = $2', [sheet.id, item.id]);
+
+    if (item.file_url) {
+        queueContentIndexing({ sheetId: sheet.id, userId, mimetype: item.file_type, fileUrl: item.file_url });
+        queuePreviews({ sheetId: sheet.id, fileUrl: item.file_url, storageKey: item.storage_key, mimetype: item.file_type, thumbnail: true });
+    }
+
+    return sheet;
+}
+
+// Create a batch from many files; upload and OCR run in the background
+router.post('/', authenticate, upload.array('files', MAX_BATCH_FILES), async (req, res) => {
+    const { name, folderId, lang } = req.body;
+    const files = req.files || [];
+
+    if (files.length === 0) {
+        return res.status(400).json({ error: 'No files uploaded' });
+    }
+
+    try {
+        let ocrLanguage;
+        try {
+            ocrLanguage = await resolveLanguage(lang, req.user.id);
+        } catch (e) {
+            if (e.status !== 400) throw e;
+            files.forEach(f => removeTempFile(f.path));
+            return res.status(400).json({ error: e.message });
+        }
+
+        let targetFolderId = null;
+        if (folderId) {
+            const folderCheck = await db.query(
+                'SELECT id FROM folders WHERE id = $1 AND user_id = $2',
+                [isValidUUID(folderId) ? folderId : null, req.user.id]
+            );
+            if (folderCheck.rows.length === 0) {
+                files.forEach(f => removeTempFile(f.path));
+                return res.status(404).json({ error: 'Folder not found or you do not own it' });
+            }
+            targetFolderId = folderId;
+        }
+
+        const batchResult = await db.query(`
+            INSERT INTO batch_uploads (user_id, name, total_files, target_folder_id, ocr_language)
+            VALUES ($1, $2, $3, $4, $5)
+            RETURNING *
+        `, [req.user.id, name || null, files.length, targetFolderId, ocrLanguage]);
+        const batch = batchResult.rows[0];
+
+        const items = [];
+        for (const file of files) {
+            const itemResult = await db.query(`
+                INSERT INTO batch_upload_items (batch_id, original_filename, file_type)
+                VALUES ($1, $2, $3)
+                RETURNING *
+            `, [batch.id, file.originalname, file.mimetype]);
+            items.push(itemResult.rows[0]);
+        }
+
+        items.forEach((item, i) => enqueueItem({
+            itemId: item.id,
+            batchId: batch.id,
+            userId: req.user.id,
+            localPath: files[i].path,
+            mimetype: files[i].mimetype,
+            originalName: files[i].originalname,
+            lang: ocrLanguage
+        }));
+
+        console.log(`Batch ${batch.id} created with ${files.length} file(s)`);
+        res.status(202).json({ ...batch, items });
+    } catch (e) {
+        console.error('Create batch failed:', e);
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// List the current user's batches
+router.get('/', authenticate, async (req, res) => {
+    try {
+        const result = await db.query(`
+            SELECT b.*,
+                   (SELECT COUNT(*)::int FROM batch_upload_items i
+                    WHERE i.batch_id = b.id AND i.status = 'review') as review_count
+            FROM batch_uploads b
+            WHERE b.user_id = $1
+            ORDER BY b.created_at DESC
+        `, [req.user.id]);
+        res.json(result.rows);
+    } catch (e) {
+        console.error('Get batches failed:', e);
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// Batch details with all items
+router.get('/:id', authenticate, async (req, res) => {
+    try {
+        const batch = await getOwnedBatch(req.params.id, req.user.id);
+        if (!batch) return res.status(404).json({ error: 'Batch not found' });
+
+        const items = await db.query(
+            'SELECT * FROM batch_upload_items WHERE batch_id = $1 ORDER BY created_at, original_filename',
+            [batch.id]
+        );
+        res.json({ ...batch, items: items.rows });
+    } catch (e) {
+        console.error('Get batch failed:', e);
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// Items of a batch, optionally filtered by status (e.g. ?status=review)
+router.get('/:id/items', authenticate, async (req, res) => {
+    const { status } = req.query;
+    const ITEM_STATUSES = ['pending', 'processing', 'completed', 'failed', 'review'];
+
+    if (status && !ITEM_STATUSES.includes(status)) {
+        return res.status(400).json({ error: 'Invalid status filter' });
+    }
+
+    try {
+        const batch = await getOwnedBatch(req.params.id, req.user.id);
+        if (!batch) return res.status(404).json({ error: 'Batch not found' });
+
+        const params = [batch.id];
+        let query = 'SELECT * FROM batch_upload_items WHERE batch_id = $1';
+        if (status) {
+            query += ' AND status = $2';
+            params.push(status);
+        }
+        query += ' ORDER BY created_at, original_filename';
+
+        const result = await db.query(query, params);
+        res.json(result.rows);
+    } catch (e) {
+        console.error('Get batch items failed:', e);
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// Edit the extracted metadata of an item before confirming it
+router.patch('/:id/items/:itemId', authenticate, async (req, res) => {
+    const { title, composer, arranger, lyricist } = req.body;
+    const PROPERTY_FIELDS = ['keySignature', 'timeSignature', 'tempo', 'opus', 'publisher', 'copyrightYear'];
+
+    try {
+        const batch = await getOwnedBatch(req.params.id, req.user.id);
+        if (!batch) return res.status(404).json({ error: 'Batch not found' });
+
+        const item = await getBatchItem(batch.id, req.params.itemId);
+        if (!item) return res.status(404).json({ error: 'Item not found' });
+        if (item.status !== 'review') {
+            return res.status(409).json({ error: `Item is ${item.status}, only items awaiting review can be edited` });
+        }
+
+        const extracted = { ...(item.extracted_metadata || {}) };
+        PROPERTY_FIELDS.forEach(key => {
+            if (req.body[key] !== undefined) extracted[key] = req.body[key];
+        });
+
+        const result = await db.query(`
+            UPDATE batch_upload_items SET
+                extracted_title = $1, extracted_composer = $2,
+                extracted_arranger = $3, extracted_lyricist = $4,
+                extracted_metadata = $5
+            WHERE id = $6
+            RETURNING *
+        `, [
+            title !== undefined ? title : item.extracted_title,
+            composer !== undefined ? composer : item.extracted_composer,
+            arranger !== undefined ? arranger : item.extracted_arranger,
+            lyricist !== undefined ? lyricist : item.extracted_lyricist,
+            JSON.stringify(extracted),
+            item.id
+        ]);
+        res.json(result.rows[0]);
+    } catch (e) {
+        console.error('Update batch item failed:', e);
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// Confirm one item into a sheet. Accepts the same fields as POST /api/sheets.
+router.post('/:id/items/:itemId/confirm', authenticate, async (req, res) => {
+    try {
+        const batch = await getOwnedBatch(req.params.id, req.user.id);
+        if (!batch) return res.status(404).json({ error: 'Batch not found' });
+
+        const item = await getBatchItem(batch.id, req.params.itemId);
+        if (!item) return res.status(404).json({ error: 'Item not found' });
+        if (item.status !== 'review') {
+            return res.status(409).json({ error: `Item is ${item.status}, only items awaiting review can be confirmed` });
+        }
+
+        const sheet = await confirmItem(batch, item, req.user.id, req.body);
+        res.status(201).json(sheet);
+    } catch (e) {
+        if (e.status === 409) {
+            return res.status(409).json({ error: e.message, duplicate: e.duplicate });
+        }
+        console.error('Confirm batch item failed:', e);
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// Confirm every item awaiting review using its extracted metadata
+router.post('/:id/confirm', authenticate, async (req, res) => {
+    try {
+        const batch = await getOwnedBatch(req.params.id, req.user.id);
+        if (!batch) return res.status(404).json({ error: 'Batch not found' });
+
+        const items = await db.query(
+            `SELECT * FROM batch_upload_items WHERE batch_id = $1 AND status = 'review' ORDER BY created_at`,
+            [batch.id]
+        );
+
+        const sheets = [];
+        const errors = [];
+        for (const item of items.rows) {
+            try {
+                sheets.push(await confirmItem(batch, item, req.user.id));
+            } catch (err) {
+                errors.push({ id: item.id, error: err.message });
+            }
+        }
+
+        res.json({
+            sheets,
+            errors,
+            message: `Confirmed ${sheets.length} of ${items.rows.length} items`
+        });
+    } catch (e) {
+        console.error('Confirm batch failed:', e);
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// Discard an item that should not become a sheet
+router.delete('/:id/items/:itemId', authenticate, async (req, res) => {
+    try {
+        const batch = await getOwnedBatch(req.params.id, req.user.id);
+        if (!batch) return res.status(404).json({ error: 'Batch not found' });
+
+        const item = await getBatchItem(batch.id, req.params.itemId);
+        if (!item) return res.status(404).json({ error: 'Item not found' });
+        if (item.status === 'processing') {
+            return res.status(409).json({ error: 'This item is being processed; discard it once it is ready for review' });
+        }
+
+        await discardItem(item);
+        res.status(204).send();
+    } catch (e) {
+        console.error('Discard batch item failed:', e);
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// Delete a batch and the stored files of items that were never confirmed
+router.delete('/:id', authenticate, async (req, res) => {
+    try {
+        const batch = await getOwnedBatch(req.params.id, req.user.id);
+        if (!batch) return res.status(404).json({ error: 'Batch not found' });
+
+        const items = await db.query('SELECT * FROM batch_upload_items WHERE batch_id = $1 AND sheet_id IS NULL', [batch.id]);
+        for (const item of items.rows) {
+            await discardItem(item);
+        }
+        await db.query('DELETE FROM batch_uploads WHERE id = $1', [batch.id]);
+        res.status(204).send();
+    } catch (e) {
+        console.error('Delete batch failed:', e);
+        res.status(500).json({ error: e.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,85 @@
+const express = require('express');
+const { optionalAuth, optionalAuthStream } = require('../middleware/auth');
+const { upload, removeTempFile } = require('../lib/upload');
+const { resolveLanguage } = require('../lib/ocr-languages');
+const { createJob, findJob, cancelJob, subscribe, serializeJob, isFinished } = require('../lib/ocr-jobs');
+
+const router = express.Router();
+
+// Keeps proxies from closing an idle event stream
+const HEARTBEAT_MS = 15000;
+
+// Submit a file for OCR; poll GET /:id or follow GET /:id/events for progress
+router.post('/', optionalAuth, upload.single('file'), async (req, res) => {
+    if (!req.file) return res.status(400).json({ error: "No file uploaded" });
+
+    try {
+        const lang = await resolveLanguage(req.body.lang || req.query.lang, req.user?.id);
+        const job = createJob({
+            userId: req.user?.id || null,
+            file: req.file,
+            options: { lang, pages: parseInt(req.body.pages || req.query.pages) }
+        });
+
+        console.log(`OCR job ${job.id} queued for ${req.file.originalname}`);
+        res.status(202).json(job);
+    } catch (e) {
+        removeTempFile(req.file.path);
+        if (!e.status) console.error('Create OCR job failed:', e);
+        res.status(e.status || 500).json({ error: e.message });
+    }
+});
+
+router.get('/:id', optionalAuth, (req, res) => {
+    const job = findJob(req.params.id, req.user?.id);
+    if (!job) return res.status(404).json({ error: 'OCR job not found' });
+    res.json(serializeJob(job));
+});
+
+// Server-Sent Events: a `progress` event per change, then `done` with the final state.
+// EventSource can't send headers, so a signed-in user's token may be given as ?token=
+router.get('/:id/events', optionalAuthStream, (req, res) => {
+    const job = findJob(req.params.id, req.user?.id);
+    if (!job) return res.status(404).json({ error: 'OCR job not found' });
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+    if (isFinished(job)) {
+        send('done', serializeJob(job));
+        return res.end();
+    }
+
+    send('progress', serializeJob(job));
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_MS);
+    const unsubscribe = subscribe(job, state => {
+        if (isFinished(state)) {
+            send('done', state);
+            close();
+        } else {
+            send('progress', state);
+        }
+    });
+
+    function close() {
+        clearInterval(heartbeat);
+        unsubscribe();
+        res.end();
+    }
+    req.on('close', close);
+});
+
+// Cancel a job that is still queued or running
+router.delete('/:id', optionalAuth, (req, res) => {
+    const job = findJob(req.params.id, req.user?.id);
+    if (!job) return res.status(404).json({ error: 'OCR job not found' });
+    res.json(cancelJob(job));
+});
+
+module.exports = router;
@@ -0,0 +1,276 @@
+const express = require('express');
+const path = require('path');
+const db = require('../lib/db');
+const { authenticate } = require('../middleware/auth');
+const { createSheet } = require('../lib/sheets');
+const { getSheetAccess, hasPermission } = require('../lib/access');
+const { httpError, sendError } = require('../lib/http-errors');
+const { inspectPdf } = require('../lib/page-info');
+const { fetchSheetFile, storeGeneratedFile, queueFileProcessing, replaceSheetFile } = require('../lib/sheet-files');
+const { listLayers, createLayer } = require('../lib/annotation-layers');
+const {
+    parsePageRanges, extractPages, mergePdfs, rotatePages, cropPages,
+    normalizeRotation, mapAnnotations, rotatePoint, cropPoint
+} = require('../lib/pdf-tools');
+
+const router = express.Router();
+
+// Upper limits per request
+const MAX_SPLIT_PARTS = 100;
+const MAX_MERGE_SHEETS = 50;
+
+// Fetch a sheet with a PDF file the current user may edit (owner or 'full' share)
+async function getEditablePdfSheet(sheetId, userId) {
+    const access = await getSheetAccess(sheetId, userId);
+    if (access && !hasPermission(access.permission, 'full')) {
+        throw httpError(403, 'You do not have permission to edit this sheet');
+    }
+    const result = !access ? { rows: [] } : await db.query(`
+        SELECT s.*, g.name AS genre_name,
+               (SELECT i.name FROM sheet_instruments si JOIN instruments i ON i.id = si.instrument_id
+                WHERE si.sheet_id = s.id AND si.is_primary LIMIT 1) AS instrument,
+               COALESCE((SELECT array_agg(sf.folder_id) FROM sheet_folders sf WHERE sf.sheet_id = s.id), '{}') AS folder_ids
+        FROM sheets s
+        LEFT JOIN genres g ON g.id = s.genre_id
+        WHERE s.id = $1
+    `, [sheetId]);
+
+    const sheet = result.rows[0];
+    if (!sheet) throw httpError(404, 'Sheet not found');
+    if (!sheet.file_url || sheet.file_type !== 'application/pdf') {
+        throw httpError(400, 'Only sheets with a PDF file can be edited');
+    }
+    return sheet;
+}
+
+// Metadata of an existing sheet, as createSheet takes it
+function copyFields(sheet, overrides = {}) {
+    return {
+        title: sheet.title,
+        subtitle: sheet.subtitle,
+        composer: sheet.composer,
+        arranger: sheet.arranger,
+        lyricist: sheet.lyricist,
+        instrument: sheet.instrument,
+        keySignature: sheet.key_signature,
+        timeSignature: sheet.time_signature,
+        tempo: sheet.tempo,
+        genre: sheet.genre_name,
+        difficulty: sheet.difficulty,
+        opus: sheet.opus,
+        publisher: sheet.publisher,
+        copyrightYear: sheet.copyright_year,
+        tags: sheet.tags,
+        notes: sheet.notes,
+        folderIds: sheet.folder_ids || [],
+        mediaLinks: sheet.media_links || [],
+        ...overrides
+    };
+}
+
+// File name for a derived PDF: "Original name (suffix).pdf"
+function derivedFileName(sheet, suffix) {
+    const base = path.basename(sheet.file_name || sheet.title || 'sheet', path.extname(sheet.file_name || ''));
+    return `${base} (${suffix}).pdf`;
+}
+
+// The owner's own annotation layers of a sheet; collaborators' layers stay with the original
+async function getOwnLayers(sheet) {
+    const layers = await listLayers(sheet.id, sheet.user_id);
+    return layers.filter(layer => layer.user_id === sheet.user_id);
+}
+
+// New sheet from generated PDF bytes; layers ({ name, visibility, annotations })
+// are keyed by the new page numbers
+async function createDerivedSheet(userId, fields, data, fileName, layers) {
+    const stored = await storeGeneratedFile(data, fileName, 'application/pdf');
+    const sheet = await createSheet(userId, fields, stored.file);
+
+    for (const layer of layers) {
+        if (Object.keys(layer.annotations).length > 0) await createLayer(sheet.id, userId, layer);
+    }
+    queueFileProcessing(sheet.id, userId, stored.file, stored.localPath);
+    return sheet;
+}
+
+// Annotations of the listed source pages, renumbered from 1
+function pickAnnotations(annotations, pageNumbers, mapPage = () => null) {
+    const picked = {};
+    pageNumbers.forEach((source, i) => {
+        const pageAnns = (annotations || {})[source];
+        if (!pageAnns || pageAnns.length === 0) return;
+        const mapPoint = mapPage(source);
+        picked[i + 1] = mapPoint ? mapAnnotations(pageAnns, mapPoint) : pageAnns;
+    });
+    return picked;
+}
+
+// Split a sheet into new sheets by page ranges. The original is kept.
+// Body: { parts: [{ pages: "1-4", title: "..." }, "5-9", ...] }
+router.post('/:id/split', authenticate, async (req, res) => {
+    const { parts } = req.body;
+
+    try {
+        if (!Array.isArray(parts) || parts.length === 0) throw httpError(400, 'parts must be a non-empty array');
+        if (parts.length > MAX_SPLIT_PARTS) throw httpError(400, `At most ${MAX_SPLIT_PARTS} parts per split`);
+
+        const sheet = await getEditablePdfSheet(req.params.id, req.user.id);
+        const pdfData = await fetchSheetFile(sheet.file_url);
+        const { pageCount } = await inspectPdf(pdfData);
+
+        // Validate every range before creating anything
+        const plan = parts.map(part => {
+            const spec = typeof part === 'object' && part !== null && !Array.isArray(part) ? part.pages : part;
+            const pages = parsePageRanges(spec, pageCount);
+            const title = (part && part.title) || `${sheet.title} (pp. ${Array.isArray(spec) ? spec.join(',') : spec})`;
+            return { pages, title, spec: Array.isArray(spec) ? spec.join(',') : String(spec) };
+        });
+
+        const layers = await getOwnLayers(sheet);
+        const created = [];
+        for (const { pages, title, spec } of plan) {
+            const data = await extractPages(pdfData, pages);
+            created.push(await createDerivedSheet(
+                req.user.id,
+                copyFields(sheet, { title }),
+                data,
+                derivedFileName(sheet, `pp. ${spec}`),
+                layers.map(({ name, visibility, annotations }) => ({
+                    name, visibility, annotations: pickAnnotations(annotations, pages)
+                }))
+            ));
+        }
+
+        console.log(`Split sheet ${sheet.id} into ${created.length} sheet(s)`);
+        res.status(201).json({ sheets: created });
+    } catch (e) {
+        sendError(res, 'Split sheet', e);
+    }
+});
+
+// Merge sheets, in the given order, into a new sheet. The originals are kept.
+// Body: { sheetIds: [...], title?: "..." } - metadata comes from the first sheet
+router.post('/merge', authenticate, async (req, res) => {
+    const { sheetIds, title } = req.body;
+
+    try {
+        if (!Array.isArray(sheetIds) || sheetIds.length < 2) throw httpError(400, 'sheetIds must list at least two sheets');
+        if (sheetIds.length > MAX_MERGE_SHEETS) throw httpError(400, `At most ${MAX_MERGE_SHEETS} sheets per merge`);
+
+        const sheets = [];
+        for (const sheetId of sheetIds) {
+            sheets.push(await getEditablePdfSheet(sheetId, req.user.id));
+        }
+
+        // Layers of the same name and visibility are merged into one
+        const files = [];
+        const layers = new Map();
+        let offset = 0;
+        for (const sheet of sheets) {
+            const pdfData = await fetchSheetFile(sheet.file_url);
+            const { pageCount } = await inspectPdf(pdfData);
+            for (const { name, visibility, annotations } of await getOwnLayers(sheet)) {
+                const key = `${visibility}:${name}`;
+                if (!layers.has(key)) layers.set(key, { name, visibility, annotations: {} });
+                for (const [page, pageAnns] of Object.entries(annotations || {})) {
+                    const pageNum = parseInt(page);
+                    if (pageNum >= 1 && pageNum <= pageCount && pageAnns && pageAnns.length > 0) {
+                        layers.get(key).annotations[pageNum + offset] = pageAnns;
+                    }
+                }
+            }
+            files.push(pdfData);
+            offset += pageCount;
+        }
+
+        const first = sheets[0];
+        const merged = await createDerivedSheet(
+            req.user.id,
+            copyFields(first, { title: title || first.title }),
+            await mergePdfs(files),
+            derivedFileName(first, 'merged'),
+            [...layers.values()]
+        );
+
+        console.log(`Merged ${sheets.length} sheets into ${merged.id}`);
+        res.status(201).json(merged);
+    } catch (e) {
+        sendError(res, 'Merge sheets', e);
+    }
+});
+
+// Reorder, delete and rotate pages in place.
+// Body: { pages?: "3,1,2" | [3, 1, 2], rotate?: { "2": 90 } }
+// `pages` lists the pages to keep, in their new order; `rotate` turns
+// pages (by their current number) clockwise by multiples of 90 degrees.
+router.post('/:id/pages', authenticate, async (req, res) => {
+    const { pages, rotate = {} } = req.body;
+
+    try {
+        if (pages === undefined && Object.keys(rotate).length === 0) throw httpError(400, 'Nothing to change: give pages or rotate');
+        for (const angle of Object.values(rotate)) {
+            if (!Number.isInteger(angle) || angle % 90 !== 0) throw httpError(400, 'Rotation must be a multiple of 90 degrees');
+        }
+
+        const sheet = await getEditablePdfSheet(req.params.id, req.user.id);
+        let pdfData = await fetchSheetFile(sheet.file_url);
+        const { pageCount } = await inspectPdf(pdfData);
+        const order = pages === undefined
+            ? Array.from({ length: pageCount }, (_, i) => i + 1)
+            : parsePageRanges(pages, pageCount);
+
+        if (Object.keys(rotate).length > 0) pdfData = await rotatePages(pdfData, rotate);
+        const data = await extractPages(pdfData, order);
+
+        const stored = await storeGeneratedFile(data, sheet.file_name || derivedFileName(sheet, 'edited'), 'application/pdf');
+        const updated = await replaceSheetFile(sheet, stored, annotations => pickAnnotations(annotations, order, page =>
+            normalizeRotation(rotate[page] || 0) ? rotatePoint(rotate[page]) : null
+        ));
+
+        console.log(`Rearranged pages of sheet ${sheet.id}: ${pageCount} -> ${order.length}`);
+        res.json(updated);
+    } catch (e) {
+        sendError(res, 'Rearrange pages', e);
+    }
+});
+
+// Crop margins off pages in place.
+// Body: { margins: { top, right, bottom, left }, pages?: "1-3" }
+// Margins are in points (1/72 inch) as the page is displayed; pages default to all.
+router.post('/:id/crop', authenticate, async (req, res) => {
+    const { margins: requested, pages } = req.body;
+
+    try {
+        const margins = {};
+        for (const side of ['top', 'right', 'bottom', 'left']) {
+            const value = Number((requested || {})[side] || 0);
+            if (!Number.isFinite(value) || value < 0) throw httpError(400, `Invalid ${side} margin`);
+            margins[side] = value;
+        }
+        if (Object.values(margins).every(v => v === 0)) throw httpError(400, 'margins must trim at least one side');
+
+        const sheet = await getEditablePdfSheet(req.params.id, req.user.id);
+        const pdfData = await fetchSheetFile(sheet.file_url);
+        const info = await inspectPdf(pdfData);
+        const selected = pages === undefined
+            ? info.pages.map(p => p.page)
+            : [...new Set(parsePageRanges(pages, info.pageCount))];
+
+        const data = await cropPages(pdfData, selected, margins);
+
+        const all = info.pages.map(p => p.page);
+        const stored = await storeGeneratedFile(data, sheet.file_name || derivedFileName(sheet, 'cropped'), 'application/pdf');
+        const updated = await replaceSheetFile(sheet, stored, annotations => pickAnnotations(annotations, all, page => {
+            if (!selected.includes(page)) return null;
+            const { width, height } = info.pages[page - 1];
+            return cropPoint(width, height, margins);
+        }));
+
+        console.log(`Cropped ${selected.length} page(s) of sheet ${sheet.id}`);
+        res.json(updated);
+    } catch (e) {
+        sendError(res, 'Crop pages', e);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,80 @@
+const express = require('express');
+const { fetchSheetFile, sendSheetPdf } = require('../lib/sheet-files');
+const {
+    openShareLink, recordView, listLinkedSheets, findLinkedSheet, publicSheet
+} = require('../lib/share-links');
+const { httpError, sendError } = require('../lib/http-errors');
+
+// Opening public share links: no account needed. A password-protected link
+// takes the password in the X-Share-Password header on every request.
+const router = express.Router();
+
+const openLink = (req) => openShareLink(req.params.token, req.get('X-Share-Password'));
+
+// A linked sheet with a PDF file; other files (images, MusicXML, ...) aren't served through links
+async function findLinkedPdf(link, sheetId) {
+    const sheet = await findLinkedSheet(link, sheetId);
+    if (!sheet.file_url) throw httpError(404, 'File not found');
+    if (sheet.file_type !== 'application/pdf') throw httpError(415, 'Only PDF files can be opened through a link');
+    return sheet;
+}
+
+// What the link shows: one sheet, or a folder's sheets; viewing this doesn't count as a view
+router.get('/:token', async (req, res) => {
+    try {
+        const link = await openLink(req);
+        const sheets = (await listLinkedSheets(link)).map(publicSheet);
+        res.json({
+            permission: link.permission,
+            expires_at: link.expires_at,
+            views_left: link.max_views === null ? null : link.max_views - link.view_count,
+            ...(link.sheet_id ? { sheet: sheets[0] || null } : { sheets })
+        });
+    } catch (e) {
+        sendError(res, 'Open share link', e);
+    }
+});
+
+// The PDF, through the same proxy as /api/sheets/:id/pdf; `sheet` picks one from a folder link
+router.get('/:token/pdf', async (req, res) => {
+    try {
+        const link = await openLink(req);
+        const sheet = await findLinkedPdf(link, req.query.sheet);
+        // Only a file actually sent counts as a view
+        const data = await fetchSheetFile(sheet.file_url);
+        await recordView(link);
+        await sendSheetPdf(res, sheet, { data });
+    } catch (e) {
+        sendError(res, 'Share link PDF', e);
+    }
+});
+
+// The PDF as an attachment, for links with 'download' permission
+router.get('/:token/download', async (req, res) => {
+    try {
+        const link = await openLink(req);
+        if (link.permission !== 'download') throw httpError(403, 'This link does not allow downloads');
+        const sheet = await findLinkedPdf(link, req.query.sheet);
+        const data = await fetchSheetFile(sheet.file_url);
+        await recordView(link);
+        await sendSheetPdf(res, sheet, { download: true, data });
+    } catch (e) {
+        sendError(res, 'Share link download', e);
+    }
+});
+
+// A sheet's thumbnail (PNG), proxied so the storage URL stays private; doesn't count as a view
+router.get('/:token/thumbnail', async (req, res) => {
+    try {
+        const link = await openLink(req);
+        const sheet = await findLinkedSheet(link, req.query.sheet);
+        if (!sheet.thumbnail_url) throw httpError(404, 'Thumbnail not found');
+        const data = await fetchSheetFile(sheet.thumbnail_url);
+        res.setHeader('Content-Type', 'image/png');
+        res.send(data);
+    } catch (e) {
+        sendError(res, 'Share link thumbnail', e);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,55 @@
+const express = require('express');
+const { authenticate } = require('../middleware/auth');
+const { getSheetAccess, getFolderAccess } = require('../lib/access');
+const { httpError, sendError } = require('../lib/http-errors');
+const { createShareLink, listShareLinks, revokeShareLink } = require('../lib/share-links');
+
+// Owners manage the public links of their sheets and folders; see public-links.js for opening them
+const router = express.Router();
+
+// The same routes for /api/sheets/:id/links and /api/folders/:id/links
+const TARGETS = {
+    sheets: { label: 'Sheet', key: 'sheetId', getAccess: getSheetAccess },
+    folders: { label: 'Folder', key: 'folderId', getAccess: getFolderAccess }
+};
+
+for (const [path, { label, key, getAccess }] of Object.entries(TARGETS)) {
+    const requireOwner = async (req) => {
+        const access = await getAccess(req.params.id, req.user.id);
+        if (access?.permission !== 'owner') throw httpError(404, `${label} not found or you do not own it`);
+        return { [key]: req.params.id };
+    };
+
+    // Body: { permission?: 'view' | 'download', expiresAt?, password?, maxViews? }
+    router.post(`/${path}/:id/links`, authenticate, async (req, res) => {
+        try {
+            const target = await requireOwner(req);
+            res.status(201).json(await createShareLink(target, req.user.id, req.body || {}));
+        } catch (e) {
+            sendError(res, 'Create share link', e);
+        }
+    });
+
+    // Links with their view counts and status (active, expired, used_up, revoked)
+    router.get(`/${path}/:id/links`, authenticate, async (req, res) => {
+        try {
+            const target = await requireOwner(req);
+            res.json(await listShareLinks(target));
+        } catch (e) {
+            sendError(res, 'List share links', e);
+        }
+    });
+
+    router.delete(`/${path}/:id/links/:linkId`, authenticate, async (req, res) => {
+        try {
+            const target = await requireOwner(req);
+            const link = await revokeShareLink(target, req.params.linkId);
+            if (!link) throw httpError(404, 'Link not found');
+            res.json(link);
+        } catch (e) {
+            sendError(res, 'Revoke share link', e);
+        }
+    });
+}
+
+module.exports = router;
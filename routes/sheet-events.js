@@ -0,0 +1,83 @@
+const express = require('express');
+const db = require('../lib/db');
+const { authenticate, authenticateStream } = require('../middleware/auth');
+const { getSheetAccess, requireSheetAccess } = require('../lib/access');
+const { httpError, sendError } = require('../lib/http-errors');
+const { join, setPresence } = require('../lib/sheet-events');
+
+const router = express.Router();
+
+// Keeps proxies from closing an idle event stream; access is checked again on each beat
+const HEARTBEAT_MS = 15000;
+
+// Server-Sent Events for everyone with access to the sheet:
+//   ready       { session_id, permission, presence } once connected
+//   annotation  { action: added | updated | deleted, layer_id, revision, page, annotation | annotation_id, user_id }
+//   layer       { action: created | updated | deleted, layer, user_id }
+//   presence    { action: joined | moved | left, session_id, user_id, name, page }
+//   closed      { reason } before the server ends the stream
+// EventSource can't send headers, so the token may be given as ?token=
+router.get('/:id/events', authenticateStream, async (req, res) => {
+    let access, name;
+    try {
+        access = await requireSheetAccess(req.params.id, req.user.id);
+        const user = await db.query('SELECT display_name FROM users WHERE id = $1', [req.user.id]);
+        name = user.rows[0]?.display_name || req.user.email;
+    } catch (e) {
+        return sendError(res, 'Follow sheet', e);
+    }
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+    const session = join(req.params.id, { userId: req.user.id, name }, send);
+    send('ready', { session_id: session.sessionId, permission: access.permission, presence: session.presence });
+
+    // Stop sending once the sheet is deleted or no longer shared with the user
+    const heartbeat = setInterval(async () => {
+        res.write(': keep-alive\n\n');
+        try {
+            if (!await getSheetAccess(req.params.id, req.user.id) && !closed) {
+                send('closed', { reason: 'Access to the sheet was removed' });
+                close();
+            }
+        } catch (e) {
+            console.error('Sheet access check failed:', e);
+        }
+    }, HEARTBEAT_MS);
+
+    let closed = false;
+    function close() {
+        if (closed) return;
+        closed = true;
+        clearInterval(heartbeat);
+        session.leave();
+        res.end();
+    }
+    req.on('close', close);
+});
+
+// Body: { sessionId, page } - the page the user is looking at (null when none)
+router.post('/:id/presence', authenticate, async (req, res) => {
+    const { sessionId } = req.body;
+    const page = req.body.page === null || req.body.page === undefined ? null : parseInt(req.body.page);
+
+    try {
+        await requireSheetAccess(req.params.id, req.user.id);
+        if (page !== null && !(page >= 1)) throw httpError(400, 'Invalid page number');
+        if (!setPresence(req.params.id, sessionId, req.user.id, page)) {
+            throw httpError(404, 'No such session; connect to the events stream first');
+        }
+        res.status(204).end();
+    } catch (e) {
+        sendError(res, 'Update presence', e);
+    }
+});
+
+module.exports = router;
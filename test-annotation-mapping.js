@@ -0,0 +1,100 @@
+const { ANNOTATION_TYPES } = require('./lib/annotation-schema');
+const { mapAnnotations, rotatePoint, cropPoint } = require('./lib/pdf-tools');
+
+// Annotations follow their page when it is turned (POST /api/sheets/:id/pages)
+// or cropped (POST /api/sheets/:id/crop). One sample per annotation type, with
+// where it should land. Run after changing mapAnnotations or adding a type:
+//   node test-annotation-mapping.js
+//
+// The crop cuts 100pt off the left and 200pt off the top of a 400 x 400 page,
+// keeping 300 x 200: x' = (400x - 100) / 300, y' = 2y - 1.
+const PAGE = { width: 400, height: 400 };
+const CROP = { top: 200, right: 0, bottom: 0, left: 100 };
+
+const box = { x: 0.4, y: 0.6, width: 0.15, height: 0.1 };
+const boxTurned = { x: 0.3, y: 0.4, width: 0.1, height: 0.15 };
+const boxCropped = { x: 0.2, y: 0.2, width: 0.2, height: 0.2 };
+const anchor = { x: 0.4, y: 0.6 };
+const anchorTurned = { x: 0.4, y: 0.4 };
+const anchorCropped = { x: 0.2, y: 0.2 };
+
+// type -> [annotation, after a 90° turn, after the crop]
+const SAMPLES = {
+    path: [
+        { points: [{ x: 0.4, y: 0.6 }, { x: 0.55, y: 0.7 }], strokeWidth: 2 },
+        { points: [{ x: 0.4, y: 0.4 }, { x: 0.3, y: 0.55 }] },
+        { points: [{ x: 0.2, y: 0.2 }, { x: 0.4, y: 0.4 }] }
+    ],
+    eraser: [
+        { points: [{ x: 0.25, y: 0.5 }, { x: 0.7, y: 0.8 }], strokeWidth: 8 },
+        { points: [{ x: 0.5, y: 0.25 }, { x: 0.2, y: 0.7 }] },
+        { points: [{ x: 0, y: 0 }, { x: 0.6, y: 0.6 }] }
+    ],
+    highlight: [box, boxTurned, boxCropped],
+    whiteout: [box, boxTurned, boxCropped],
+    rectangle: [{ ...box, strokeWidth: 1 }, boxTurned, boxCropped],
+    ellipse: [{ ...box, fill: true }, boxTurned, boxCropped],
+    arrow: [
+        { from: { x: 0.25, y: 0.5 }, to: { x: 0.7, y: 0.8 }, heads: 'end' },
+        { from: { x: 0.5, y: 0.25 }, to: { x: 0.2, y: 0.7 } },
+        { from: { x: 0, y: 0 }, to: { x: 0.6, y: 0.6 } }
+    ],
+    text: [{ ...anchor, text: 'dolce', size: 12 }, anchorTurned, anchorCropped],
+    stamp: [{ ...anchor, text: 'D.C. al Fine', size: 10 }, anchorTurned, anchorCropped],
+    image: [{ ...box, src: 'data:image/png;base64,iVBORw0KGgo=' }, boxTurned, boxCropped],
+    symbol: [{ ...anchor, symbol: 'fermata', size: 16 }, anchorTurned, anchorCropped]
+};
+
+// A box under every turn; its size swaps on a quarter turn
+const TURNS = {
+    90: boxTurned,
+    180: { x: 0.45, y: 0.3, width: 0.15, height: 0.1 },
+    270: { x: 0.6, y: 0.45, width: 0.1, height: 0.15 }
+};
+
+const close = (a, b) => Math.abs(a - b) < 1e-9;
+
+// Fields of `expected` that `actual` gets wrong, nested points included
+function mismatches(actual, expected, prefix = '') {
+    return Object.entries(expected).flatMap(([key, value]) => {
+        const got = actual?.[key];
+        if (value && typeof value === 'object') return mismatches(got, value, `${prefix}${key}.`);
+        if (typeof value === 'number' && typeof got === 'number' && close(got, value)) return [];
+        return got === value ? [] : [`${prefix}${key}: expected ${value}, got ${got}`];
+    });
+}
+
+function run() {
+    const results = [];
+    const check = (name, problems) => results.push({ name, problems });
+
+    const untested = Object.keys(ANNOTATION_TYPES).filter(type => !SAMPLES[type]);
+    check('every annotation type has a sample', untested.map(type => `no sample for ${type}`));
+
+    for (const [type, [sample, turned, cropped]] of Object.entries(SAMPLES)) {
+        const annotation = { id: `${type}-1`, type, ...sample };
+        const [afterTurn] = mapAnnotations([annotation], rotatePoint(90));
+        check(`${type}: turned 90°`, mismatches(afterTurn, { ...annotation, ...turned }));
+        const [afterCrop] = mapAnnotations([annotation], cropPoint(PAGE.width, PAGE.height, CROP));
+        check(`${type}: cropped`, mismatches(afterCrop, { ...annotation, ...cropped }));
+
+        let full = [annotation];
+        for (let i = 0; i < 4; i++) full = mapAnnotations(full, rotatePoint(90));
+        check(`${type}: four quarter turns`, mismatches(full[0], annotation));
+    }
+
+    for (const [angle, expected] of Object.entries(TURNS)) {
+        const [turned] = mapAnnotations([{ type: 'rectangle', ...box }], rotatePoint(Number(angle)));
+        check(`box turned ${angle}°`, mismatches(turned, expected));
+    }
+
+    for (const { name, problems } of results) {
+        console.log(problems.length === 0 ? `✅ ${name}` : `❌ ${name}`);
+        problems.forEach(p => console.log(`     ${p}`));
+    }
+    const failures = results.filter(r => r.problems.length > 0).length;
+    console.log(`\n${results.length - failures}/${results.length} checks passed`);
+    process.exit(failures > 0 ? 1 : 0);
+}
+
+run();
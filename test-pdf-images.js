@@ -1,25 +1,18 @@
 const fs = require('fs');
-const { PDFDocument } = require('pdf-lib');
+const path = require('path');
+const { renderPdfPages } = require('./lib/pdf-render');
 
-async function extractImages(pdfPath) {
+// Render the first pages of a PDF to PNG files next to it, to check what the
+// OCR pipeline sees for scanned (image-only) PDFs.
+async function extractImages(pdfPath, maxPages = 1) {
     const pdfBytes = fs.readFileSync(pdfPath);
-    const pdfDoc = await PDFDocument.load(pdfBytes);
-    const pages = pdfDoc.getPages();
-    
-    console.log(`PDF has ${pages.length} pages.`);
-    
-    // We only care about the first page for metadata usually
-    // But pdf-lib extracts images from the doc catalog, not per page easily without parsing operators.
-    // However, often scanned PDFs are just one big image per page.
-    
-    // Let's try to just check if we can get page content operators or assume standard structure.
-    // Actually, creating a new PDF with just the first page and then converting that might be complex without a renderer.
-    
-    // Alternative: standard 'pdf-parse' didn't work.
-    // Let's rely on the client!
-    
-    console.log("Server-side PDF-to-Image is complex without binary dependencies (ghostscript/imagemagick).");
-    console.log("RECOMMENDATION: Perform PDF rendering on the Client (browser) where 'pdf.js' is native/easy, convert to image, and send IMAGE to OCR endpoint.");
+    const pages = await renderPdfPages(pdfBytes, { maxPages });
+
+    for (const page of pages) {
+        const outPath = pdfPath.replace(/\.pdf$/i, '') + `-page${page.pageNumber}.png`;
+        fs.writeFileSync(outPath, page.image);
+        console.log(`Page ${page.pageNumber}: ${page.width}x${page.height} -> ${path.basename(outPath)}`);
+    }
 }
 
-extractImages(process.argv[2]);
\ No newline at end of file
+extractImages(process.argv[2], parseInt(process.argv[3]) || 1);
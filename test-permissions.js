@@ -0,0 +1,262 @@
+require('dotenv').config();
+const path = require('path');
+const { spawn } = require('child_process');
+const jwt = require('jsonwebtoken');
+
+// Who may do what with sheets and folders: lib/access.js and the routes that use
+// it, for owners, direct shares, folder shares, shares of a parent folder, several
+// shares at once and no access. Builds its own tables in a scratch schema of the
+// DATABASE_URL database (dropped afterwards) and starts the server against them:
+//   DATABASE_URL=postgres://localhost/opusone_test?sslmode=disable node test-permissions.js
+// TEST_PORT picks the server's port (default 5099).
+const SCHEMA = 'permissions_test';
+const PORT = process.env.TEST_PORT || 5099;
+const JWT_SECRET = process.env.JWT_SECRET || 'fallback-secret-change-me';
+
+// Every connection, ours and the server's, works in the scratch schema
+process.env.PGOPTIONS = `-c search_path=${SCHEMA}`;
+const db = require('./lib/db');
+const { getSheetAccess, getSheetsAccess, getFolderAccess, filterManageableFolders, hasPermission } = require('./lib/access');
+
+// The tables access and the checked routes touch, with the columns they use
+const SCHEMA_SQL = `
+    DROP SCHEMA IF EXISTS ${SCHEMA} CASCADE;
+    CREATE SCHEMA ${SCHEMA};
+    CREATE TYPE share_permission AS ENUM ('view', 'annotate_self', 'annotate_all', 'full');
+    CREATE TABLE users (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        email TEXT UNIQUE NOT NULL,
+        display_name TEXT
+    );
+    CREATE TABLE folders (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        name TEXT NOT NULL,
+        parent_id UUID REFERENCES folders(id) ON DELETE CASCADE,
+        color TEXT,
+        display_order SMALLINT DEFAULT 0
+    );
+    CREATE TABLE sheets (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        title TEXT NOT NULL,
+        file_url TEXT,
+        storage_key TEXT,
+        thumbnail_key TEXT,
+        page_previews JSONB DEFAULT '[]'
+    );
+    CREATE TABLE sheet_folders (
+        sheet_id UUID NOT NULL REFERENCES sheets(id) ON DELETE CASCADE,
+        folder_id UUID NOT NULL REFERENCES folders(id) ON DELETE CASCADE,
+        PRIMARY KEY (sheet_id, folder_id)
+    );
+    CREATE TABLE sheet_shares (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        sheet_id UUID NOT NULL REFERENCES sheets(id) ON DELETE CASCADE,
+        shared_with_user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        shared_by_user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        permission share_permission DEFAULT 'view' NOT NULL,
+        CONSTRAINT unique_sheet_share UNIQUE (sheet_id, shared_with_user_id)
+    );
+    CREATE TABLE folder_shares (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        folder_id UUID NOT NULL REFERENCES folders(id) ON DELETE CASCADE,
+        shared_with_user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        shared_by_user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        permission share_permission DEFAULT 'view' NOT NULL,
+        CONSTRAINT unique_folder_share UNIQUE (folder_id, shared_with_user_id)
+    );
+    CREATE TABLE annotation_layers (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        sheet_id UUID NOT NULL REFERENCES sheets(id) ON DELETE CASCADE,
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        annotations JSONB NOT NULL DEFAULT '{}',
+        created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL
+    );
+`;
+
+const insert = async (sql, params) => (await db.query(sql, params)).rows[0].id;
+const addUser = (name) => insert('INSERT INTO users (email, display_name) VALUES ($1, $2) RETURNING id', [`${name}@example.com`, name]);
+const addFolder = (userId, name, parentId = null) =>
+    insert('INSERT INTO folders (user_id, name, parent_id) VALUES ($1, $2, $3) RETURNING id', [userId, name, parentId]);
+
+async function addSheet(userId, title, folderIds = []) {
+    const id = await insert("INSERT INTO sheets (user_id, title, file_url) VALUES ($1, $2, 'https://example.com/sheet.pdf') RETURNING id", [userId, title]);
+    for (const folderId of folderIds) {
+        await db.query('INSERT INTO sheet_folders (sheet_id, folder_id) VALUES ($1, $2)', [id, folderId]);
+    }
+    return id;
+}
+
+const share = (table, column) => (id, withUserId, byUserId, permission) => db.query(
+    `INSERT INTO ${table} (${column}, shared_with_user_id, shared_by_user_id, permission) VALUES ($1, $2, $3, $4)`,
+    [id, withUserId, byUserId, permission]
+);
+const shareSheet = share('sheet_shares', 'sheet_id');
+const shareFolder = share('folder_shares', 'folder_id');
+
+// The matrix: what `reader` should get on each sheet and folder (null: no access)
+async function buildMatrix() {
+    const owner = await addUser('owner');
+    const reader = await addUser('reader');
+    const other = await addUser('other');
+    const sheets = [];
+    const folders = [];
+
+    // Owner
+    const own = await addFolder(reader, 'Own folder');
+    folders.push({ name: 'own folder', id: own, expected: 'owner' });
+    sheets.push({ name: 'own sheet', id: await addSheet(reader, 'Own', [own]), expected: 'owner' });
+
+    // Direct sheet share
+    const direct = await addSheet(owner, 'Direct');
+    await shareSheet(direct, reader, owner, 'annotate_self');
+    sheets.push({ name: 'direct sheet share', id: direct, expected: 'annotate_self' });
+
+    // Folder share
+    const shared = await addFolder(owner, 'Shared');
+    await shareFolder(shared, reader, owner, 'annotate_all');
+    folders.push({ name: 'shared folder', id: shared, expected: 'annotate_all' });
+    sheets.push({ name: 'sheet in a shared folder', id: await addSheet(owner, 'In shared', [shared]), expected: 'annotate_all' });
+
+    // Share of a folder two levels up
+    const parent = await addFolder(owner, 'Parent');
+    await shareFolder(parent, reader, owner, 'full');
+    const child = await addFolder(owner, 'Child', parent);
+    const grandchild = await addFolder(owner, 'Grandchild', child);
+    folders.push({ name: 'subfolder of a shared folder', id: child, expected: 'full' });
+    folders.push({ name: 'folder two levels below a share', id: grandchild, expected: 'full' });
+    sheets.push({ name: 'sheet two levels below a folder share', id: await addSheet(owner, 'Nested', [grandchild]), expected: 'full' });
+
+    // Several shares: the strongest counts, wherever it comes from
+    const strongParent = await addFolder(owner, 'Strong parent');
+    await shareFolder(strongParent, reader, owner, 'annotate_all');
+    const weakChild = await addFolder(owner, 'Weak child', strongParent);
+    await shareFolder(weakChild, reader, owner, 'view');
+    folders.push({ name: 'folder shared weaker than its parent', id: weakChild, expected: 'annotate_all' });
+    const viaFolder = await addSheet(owner, 'Strongest via folder', [weakChild]);
+    await shareSheet(viaFolder, reader, owner, 'view');
+    sheets.push({ name: 'sheet shared weaker than its folder', id: viaFolder, expected: 'annotate_all' });
+    const viewFolder = await addFolder(owner, 'View folder');
+    await shareFolder(viewFolder, reader, owner, 'view');
+    const viaSheet = await addSheet(owner, 'Strongest via sheet', [viewFolder, weakChild]);
+    await shareSheet(viaSheet, reader, owner, 'full');
+    sheets.push({ name: 'sheet shared stronger than its folders', id: viaSheet, expected: 'full' });
+
+    // No access: nothing shared with the reader, only with someone else
+    const privateFolder = await addFolder(owner, 'Private');
+    await shareFolder(privateFolder, other, owner, 'full');
+    folders.push({ name: 'folder shared with someone else', id: privateFolder, expected: null });
+    const privateSheet = await addSheet(owner, 'Private', [privateFolder]);
+    await shareSheet(privateSheet, other, owner, 'full');
+    sheets.push({ name: 'sheet shared with someone else', id: privateSheet, expected: null });
+    sheets.push({ name: 'unshared sheet', id: await addSheet(owner, 'Unshared'), expected: null });
+
+    return { reader, sheets, folders };
+}
+
+// Start index.js on PORT against the scratch schema; resolves once it listens
+function startServer() {
+    const server = spawn(process.execPath, [path.join(__dirname, 'index.js')], {
+        cwd: __dirname,
+        env: { ...process.env, PORT: String(PORT) },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+    let output = '';
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`Server did not start:\n${output}`)), 30000);
+        server.stderr.on('data', chunk => { output += chunk; });
+        server.stdout.on('data', chunk => {
+            output += chunk;
+            if (output.includes('Server running')) {
+                clearTimeout(timer);
+                resolve(server);
+            }
+        });
+        server.on('exit', code => reject(new Error(`Server exited with ${code}:\n${output}`)));
+    });
+}
+
+async function run() {
+    await db.query(SCHEMA_SQL);
+    const { reader, sheets, folders } = await buildMatrix();
+    const results = [];
+    const check = (name, ok, detail) => results.push({ name, ok, detail });
+
+    // lib/access.js
+    for (const { name, id, expected } of sheets) {
+        const access = await getSheetAccess(id, reader);
+        check(`getSheetAccess: ${name}`, (access?.permission || null) === expected, `expected ${expected}, got ${access?.permission || null}`);
+    }
+    for (const { name, id, expected } of folders) {
+        const access = await getFolderAccess(id, reader);
+        check(`getFolderAccess: ${name}`, (access?.permission || null) === expected, `expected ${expected}, got ${access?.permission || null}`);
+    }
+    const batch = new Map((await getSheetsAccess(sheets.map(s => s.id), reader)).map(a => [a.sheet.id, a.permission]));
+    const batchMismatches = sheets.filter(s => (batch.get(s.id) || null) !== s.expected).map(s => s.name);
+    check('getSheetsAccess: every sheet at once', batchMismatches.length === 0, `wrong for: ${batchMismatches.join(', ')}`);
+    // The folders new and edited sheets may be put in (createSheet, PUT /api/sheets/:id)
+    const manageable = new Set(await filterManageableFolders(folders.map(f => f.id), reader));
+    const manageMismatches = folders.filter(f => manageable.has(f.id) !== hasPermission(f.expected, 'full')).map(f => f.name);
+    check('filterManageableFolders: owned and fully shared folders only', manageMismatches.length === 0, `wrong for: ${manageMismatches.join(', ')}`);
+
+    // Routes, as the reader
+    const server = await startServer();
+    try {
+        const token = jwt.sign({ userId: reader, email: 'reader@example.com' }, JWT_SECRET);
+        const request = (method, url, body) => fetch(`http://localhost:${PORT}${url}`, {
+            method,
+            headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+            body: body && JSON.stringify(body)
+        });
+        // 'full' (or owning it) allows a change, a weaker share forbids it, no access hides it
+        const gateStatus = (expected, allowed) => expected === null ? 404 : hasPermission(expected, 'full') ? allowed : 403;
+
+        for (const { name, id, expected } of sheets) {
+            const res = await request('GET', `/api/sheets/${id}`);
+            const body = await res.json();
+            const ok = expected === null ? res.status === 404 : res.status === 200 && body.permission === expected;
+            check(`GET /api/sheets/:id: ${name}`, ok, `got ${res.status} ${body.permission || body.error}`);
+        }
+
+        const listed = new Map((await (await request('GET', '/api/folders')).json()).map(f => [f.id, f]));
+        for (const { name, id, expected } of folders) {
+            const folder = listed.get(id);
+            const got = folder ? (folder.is_owner ? 'owner' : folder.share_permission) : null;
+            check(`GET /api/folders: ${name}`, got === expected, `expected ${expected}, got ${got}`);
+        }
+
+        for (const { name, id, expected } of folders) {
+            const res = await request('POST', '/api/folders', { name: 'New subfolder', parentId: id });
+            check(`POST /api/folders (subfolder): ${name}`, res.status === gateStatus(expected, 201), `got ${res.status}`);
+        }
+
+        // Last, as it removes the sheets it may
+        for (const { name, id, expected } of sheets) {
+            const res = await request('DELETE', `/api/sheets/${id}`);
+            check(`DELETE /api/sheets/:id: ${name}`, res.status === gateStatus(expected, 204), `got ${res.status}`);
+        }
+    } finally {
+        server.kill();
+    }
+
+    for (const { name, ok, detail } of results) {
+        console.log(ok ? `✅ ${name}` : `❌ ${name}\n     ${detail}`);
+    }
+    const failures = results.filter(r => !r.ok).length;
+    console.log(`\n${results.length - failures}/${results.length} checks passed`);
+    return failures;
+}
+
+run()
+    .then(async failures => {
+        await db.query(`DROP SCHEMA IF EXISTS ${SCHEMA} CASCADE`);
+        await db.pool.end();
+        process.exit(failures > 0 ? 1 : 0);
+    })
+    .catch(async e => {
+        console.error('Error:', e);
+        await db.query(`DROP SCHEMA IF EXISTS ${SCHEMA} CASCADE`).catch(() => {});
+        await db.pool.end();
+        process.exit(1);
+    });